@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+let memoryServer = null;
+
+/**
+ * Connect to MongoDB.
+ * Uses MONGO_URI when set, otherwise starts an in-memory MongoDB (development only) so the API
+ * runs locally without installing a database.
+ */
+async function connectDB() {
+    let uri = process.env.MONGO_URI;
+
+    if (!uri) {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('MONGO_URI is required in production');
+        }
+        // Dev dependency, only loaded when no real database is configured
+        const { MongoMemoryServer } = require('mongodb-memory-server');
+        memoryServer = await MongoMemoryServer.create();
+        uri = memoryServer.getUri();
+        console.log('MONGO_URI not set, using in-memory MongoDB (data is lost on restart)');
+    }
+
+    await mongoose.connect(uri);
+    console.log(`MongoDB connected: ${mongoose.connection.host}`);
+}
+
+async function disconnectDB() {
+    await mongoose.disconnect();
+    if (memoryServer) {
+        await memoryServer.stop();
+        memoryServer = null;
+    }
+}
+
+module.exports = { connectDB, disconnectDB };
@@ -0,0 +1,95 @@
+const User = require('../models/User');
+const { ApiError } = require('../middleware/error.middleware');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+
+/**
+ * POST /api/auth/signup
+ */
+async function signup(req, res, next) {
+    try {
+        const { email, password, name } = req.body;
+        if (!email || !password) throw new ApiError(400, 'Email and password are required');
+
+        if (await User.exists({ email: String(email).toLowerCase() })) {
+            throw new ApiError(409, 'An account with this email already exists');
+        }
+
+        const user = await User.create({ email, password, name });
+        res.status(201).json({ user, ...issueTokens(user) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /api/auth/login
+ */
+async function login(req, res, next) {
+    try {
+        const { email, password } = req.body;
+        if (!email || !password) throw new ApiError(400, 'Email and password are required');
+
+        const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+        // Same message for unknown email and wrong password
+        if (!user || !(await user.comparePassword(password))) {
+            throw new ApiError(401, 'Invalid email or password');
+        }
+
+        res.json({ user, ...issueTokens(user) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /api/auth/refresh
+ * Exchanges a refresh token for a new access/refresh pair.
+ */
+async function refresh(req, res, next) {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) throw new ApiError(400, 'Refresh token is required');
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch {
+            throw new ApiError(401, 'Invalid refresh token');
+        }
+
+        const user = await User.findById(payload.sub);
+        if (!user || user.tokenVersion !== payload.ver) throw new ApiError(401, 'Refresh token revoked');
+
+        res.json({ user, ...issueTokens(user) });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * POST /api/auth/logout
+ * Revokes every refresh token of the user. Access tokens stay valid until they expire.
+ */
+async function logout(req, res, next) {
+    try {
+        await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /api/auth/me
+ */
+async function me(req, res, next) {
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user) throw new ApiError(404, 'User not found');
+        res.json(user);
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { signup, login, refresh, logout, me };
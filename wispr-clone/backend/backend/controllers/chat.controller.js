@@ -0,0 +1,87 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { ApiError } = require('../middleware/error.middleware');
+const { getPagination, paginated } = require('../utils/pagination');
+
+/**
+ * POST /api/chats
+ * Starts a recording session owned by the signed-in user.
+ */
+async function createChat(req, res, next) {
+    try {
+        const { title, language, startedAt, recordingId } = req.body;
+        const chat = await Chat.create({ user: req.user.id, title, language, startedAt, recordingId });
+        res.status(201).json(chat);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /api/chats?page=1&limit=20
+ * Lists the user's sessions, newest first.
+ */
+async function listChats(req, res, next) {
+    try {
+        const pagination = getPagination(req.query);
+        const [chats, total] = await Promise.all([
+            Chat.find({ user: req.user.id }).sort({ createdAt: -1 }).skip(pagination.skip).limit(pagination.limit),
+            Chat.countDocuments({ user: req.user.id }),
+        ]);
+        res.json(paginated(chats, total, pagination));
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /api/chats/:chatId
+ */
+async function getChat(req, res, next) {
+    try {
+        const chat = await Chat.findOne({ _id: req.params.chatId, user: req.user.id });
+        if (!chat) throw new ApiError(404, 'Chat not found');
+
+        const messageCount = await Message.countDocuments({ chat: chat._id });
+        res.json({ ...chat.toJSON(), messageCount });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * PATCH /api/chats/:chatId
+ * Renames a session, records its end time or the speaker names resolved during it.
+ */
+async function updateChat(req, res, next) {
+    try {
+        const updates = {};
+        ['title', 'endedAt', 'speakers', 'recordingId'].forEach(key => {
+            if (req.body[key] !== undefined) updates[key] = req.body[key];
+        });
+
+        const chat = await Chat.findOneAndUpdate({ _id: req.params.chatId, user: req.user.id }, updates, { new: true, runValidators: true });
+        if (!chat) throw new ApiError(404, 'Chat not found');
+        res.json(chat);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * DELETE /api/chats/:chatId
+ * Removes the session and all of its messages.
+ */
+async function deleteChat(req, res, next) {
+    try {
+        const chat = await Chat.findOneAndDelete({ _id: req.params.chatId, user: req.user.id });
+        if (!chat) throw new ApiError(404, 'Chat not found');
+
+        await Message.deleteMany({ chat: chat._id });
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { createChat, listChats, getChat, updateChat, deleteChat };
@@ -0,0 +1,42 @@
+const Dictionary = require('../models/Dictionary');
+const { ApiError } = require('../middleware/error.middleware');
+
+const EMPTY = { vocabulary: [], replacements: [] };
+
+/**
+ * GET /api/dictionary
+ * The user's personal dictionary, empty until it is first saved.
+ */
+async function getDictionary(req, res, next) {
+    try {
+        const dictionary = await Dictionary.findOne({ user: req.user.id });
+        res.json(dictionary || { ...EMPTY, user: req.user.id });
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * PUT /api/dictionary
+ * Replaces the vocabulary and the replacement rules (both, or whichever is sent).
+ */
+async function saveDictionary(req, res, next) {
+    try {
+        const updates = {};
+        ['vocabulary', 'replacements'].forEach(key => {
+            if (req.body[key] === undefined) return;
+            if (!Array.isArray(req.body[key])) throw new ApiError(400, `${key} must be an array`);
+            updates[key] = req.body[key];
+        });
+
+        // Loaded and saved rather than updated in place, so the rule validators see each whole rule
+        const dictionary = (await Dictionary.findOne({ user: req.user.id })) || new Dictionary({ user: req.user.id });
+        dictionary.set(updates);
+        await dictionary.save();
+        res.json(dictionary);
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { getDictionary, saveDictionary };
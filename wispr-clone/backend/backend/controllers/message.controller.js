@@ -0,0 +1,92 @@
+const Chat = require('../models/Chat');
+const Message = require('../models/Message');
+const { ApiError } = require('../middleware/error.middleware');
+const { getPagination, paginated } = require('../utils/pagination');
+
+const MESSAGE_FIELDS = ['speakerId', 'speakerName', 'text', 'start', 'end', 'language', 'confidence', 'words'];
+
+function pickMessageFields(body, chat) {
+    const message = { chat: chat._id, language: chat.language };
+    MESSAGE_FIELDS.forEach(key => {
+        if (body[key] !== undefined) message[key] = body[key];
+    });
+    if (message.speakerId !== undefined) message.speakerId = String(message.speakerId);
+    return message;
+}
+
+/**
+ * Loads a chat of the signed-in user; other users' chats are reported as missing.
+ */
+async function findChat(req) {
+    const chat = await Chat.findOne({ _id: req.params.chatId, user: req.user.id });
+    if (!chat) throw new ApiError(404, 'Chat not found');
+    return chat;
+}
+
+/**
+ * POST /api/chats/:chatId/messages
+ * Stores one finalized speaker segment, or several when the body is an array.
+ */
+async function createMessages(req, res, next) {
+    try {
+        const chat = await findChat(req);
+        const items = Array.isArray(req.body) ? req.body : [req.body];
+        if (items.length === 0) throw new ApiError(400, 'No messages given');
+
+        const messages = await Message.insertMany(items.map(item => pickMessageFields(item, chat)));
+        res.status(201).json(Array.isArray(req.body) ? messages : messages[0]);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /api/chats/:chatId/messages?page=1&limit=20
+ * Lists a session's segments in speaking order.
+ */
+async function listMessages(req, res, next) {
+    try {
+        const chat = await findChat(req);
+        const pagination = getPagination(req.query);
+        const [messages, total] = await Promise.all([
+            Message.find({ chat: chat._id })
+                .sort({ start: 1, createdAt: 1 })
+                .skip(pagination.skip)
+                .limit(pagination.limit),
+            Message.countDocuments({ chat: chat._id }),
+        ]);
+        res.json(paginated(messages, total, pagination));
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * GET /api/chats/:chatId/messages/:messageId
+ */
+async function getMessage(req, res, next) {
+    try {
+        const chat = await findChat(req);
+        const message = await Message.findOne({ _id: req.params.messageId, chat: chat._id });
+        if (!message) throw new ApiError(404, 'Message not found');
+        res.json(message);
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * DELETE /api/chats/:chatId/messages/:messageId
+ */
+async function deleteMessage(req, res, next) {
+    try {
+        const chat = await findChat(req);
+        const message = await Message.findOneAndDelete({ _id: req.params.messageId, chat: chat._id });
+        if (!message) throw new ApiError(404, 'Message not found');
+        res.status(204).end();
+    } catch (error) {
+        next(error);
+    }
+}
+
+module.exports = { createMessages, listMessages, getMessage, deleteMessage };
@@ -0,0 +1,24 @@
+const { ApiError } = require('./error.middleware');
+const { verifyAccessToken } = require('../utils/tokens');
+
+/**
+ * Requires a valid `Authorization: Bearer <access token>` header and sets `req.user = { id, email }`.
+ */
+function protect(req, res, next) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return next(new ApiError(401, 'Authentication required'));
+    }
+
+    try {
+        const payload = verifyAccessToken(token);
+        req.user = { id: payload.sub, email: payload.email };
+        next();
+    } catch (err) {
+        next(new ApiError(401, err.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'));
+    }
+}
+
+module.exports = { protect };
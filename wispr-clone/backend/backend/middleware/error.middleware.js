@@ -0,0 +1,34 @@
+/**
+ * Error with an HTTP status, thrown by controllers and rendered by errorHandler.
+ */
+class ApiError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+function notFound(req, res, next) {
+    next(new ApiError(404, `Not found: ${req.method} ${req.originalUrl}`));
+}
+
+// Express recognizes error handlers by their four parameters, so `_next` stays
+function errorHandler(err, req, res, _next) {
+    let statusCode = err.statusCode || 500;
+    let message = err.message || 'Internal server error';
+
+    // Mongoose errors caused by bad input
+    if (err.name === 'CastError') {
+        statusCode = 400;
+        message = `Invalid ${err.path}: ${err.value}`;
+    } else if (err.name === 'ValidationError') {
+        statusCode = 400;
+        message = Object.values(err.errors).map(e => e.message).join(', ');
+    }
+
+    if (statusCode >= 500) console.error(err);
+
+    res.status(statusCode).json({ error: message });
+}
+
+module.exports = { ApiError, notFound, errorHandler };
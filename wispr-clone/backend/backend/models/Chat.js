@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+/**
+ * A recording session. Its finalized speaker segments are stored as Messages.
+ */
+const chatSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        title: {
+            type: String,
+            trim: true,
+            default: 'Untitled session',
+        },
+        language: {
+            type: String,
+            default: 'en',
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        endedAt: {
+            type: Date,
+        },
+        // Speaker names resolved during the session: { "0": "John", "1": "Jane" }
+        speakers: {
+            type: Map,
+            of: String,
+            default: {},
+        },
+        // Relay recording of the session's audio (GET /api/recordings/:id on the relay), if it was recorded
+        recordingId: {
+            type: String,
+        },
+    },
+    { timestamps: true }
+);
+
+chatSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Chat', chatSchema);
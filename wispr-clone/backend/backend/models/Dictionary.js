@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const MAX_TERMS = 100;
+const MAX_RULES = 200;
+
+const isValidPattern = (pattern) => {
+    try {
+        new RegExp(pattern, 'u');
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Vocabulary sent upstream as a Deepgram keyword boost, "term:boost" (so no ":" in a term).
+ */
+const termSchema = new mongoose.Schema(
+    {
+        term: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: [50, 'Vocabulary terms must be at most 50 characters'],
+            match: [/^[^:,]+$/, 'Vocabulary terms cannot contain ":" or ","'],
+        },
+        // Deepgram intensifier, negative values suppress the term
+        boost: {
+            type: Number,
+            default: 2,
+            min: [-10, 'Boost must be between -10 and 10'],
+            max: [10, 'Boost must be between -10 and 10'],
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * Replacement applied to finalized text on the client (src/utils/replacements.js).
+ */
+const ruleSchema = new mongoose.Schema(
+    {
+        find: {
+            type: String,
+            required: true,
+            maxlength: [200, 'Find patterns must be at most 200 characters'],
+        },
+        replace: {
+            type: String,
+            default: '',
+            maxlength: [200, 'Replacements must be at most 200 characters'],
+        },
+        type: {
+            type: String,
+            enum: ['literal', 'regex'],
+            default: 'literal',
+        },
+        matchCase: {
+            type: Boolean,
+            default: false,
+        },
+        // Literal rules only: match whole words, so "art" leaves "start" alone
+        wholeWord: {
+            type: Boolean,
+            default: true,
+        },
+        enabled: {
+            type: Boolean,
+            default: true,
+        },
+    },
+    { _id: false }
+);
+
+ruleSchema.path('find').validate(function validPattern(find) {
+    return this.type !== 'regex' || isValidPattern(find);
+}, 'Invalid regular expression');
+
+/**
+ * A user's personal dictionary: vocabulary boosted upstream and text replacement rules.
+ * One per user, created on first save.
+ */
+const dictionarySchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            unique: true,
+        },
+        vocabulary: {
+            type: [termSchema],
+            default: [],
+            validate: [(terms) => terms.length <= MAX_TERMS, `At most ${MAX_TERMS} vocabulary terms`],
+        },
+        replacements: {
+            type: [ruleSchema],
+            default: [],
+            validate: [(rules) => rules.length <= MAX_RULES, `At most ${MAX_RULES} replacement rules`],
+        },
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model('Dictionary', dictionarySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Word timings, so a stored transcript can follow its audio during playback
+const wordSchema = new mongoose.Schema(
+    {
+        word: { type: String, required: true },
+        start: { type: Number, min: 0 },
+        end: { type: Number, min: 0 },
+        confidence: { type: Number, min: 0, max: 1 },
+    },
+    { _id: false }
+);
+
+/**
+ * A finalized speaker segment of a Chat (recording session).
+ * Times are seconds from the start of the session's audio stream.
+ */
+const messageSchema = new mongoose.Schema(
+    {
+        chat: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Chat',
+            required: true,
+            index: true,
+        },
+        // Diarized speaker index from the transcription provider ("0", "1", or "Unknown")
+        speakerId: {
+            type: String,
+            required: true,
+        },
+        speakerName: {
+            type: String,
+        },
+        text: {
+            type: String,
+            required: true,
+        },
+        start: {
+            type: Number,
+            min: 0,
+        },
+        end: {
+            type: Number,
+            min: 0,
+        },
+        language: {
+            type: String,
+        },
+        confidence: {
+            type: Number,
+            min: 0,
+            max: 1,
+        },
+        words: {
+            type: [wordSchema],
+            default: undefined,
+        },
+    },
+    { timestamps: true }
+);
+
+messageSchema.index({ chat: 1, start: 1 });
+
+module.exports = mongoose.model('Message', messageSchema);
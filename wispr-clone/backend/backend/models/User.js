@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const userSchema = new mongoose.Schema(
+    {
+        email: {
+            type: String,
+            required: true,
+            unique: true,
+            lowercase: true,
+            trim: true,
+            match: [/^\S+@\S+\.\S+$/, 'Invalid email address'],
+        },
+        name: {
+            type: String,
+            trim: true,
+        },
+        password: {
+            type: String,
+            required: true,
+            minlength: [8, 'Password must be at least 8 characters'],
+            select: false, // Only loaded explicitly for login
+        },
+        // Bumped on logout so every refresh token issued before is rejected
+        tokenVersion: {
+            type: Number,
+            default: 0,
+        },
+    },
+    { timestamps: true }
+);
+
+userSchema.pre('save', async function hashPassword() {
+    if (!this.isModified('password')) return;
+    this.password = await bcrypt.hash(this.password, 12);
+});
+
+userSchema.methods.comparePassword = function comparePassword(candidate) {
+    return bcrypt.compare(candidate, this.password);
+};
+
+userSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.tokenVersion;
+        return ret;
+    },
+});
+
+module.exports = mongoose.model('User', userSchema);
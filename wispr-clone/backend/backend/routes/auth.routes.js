@@ -0,0 +1,13 @@
+const express = require('express');
+const { signup, login, refresh, logout, me } = require('../controllers/auth.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.post('/signup', signup);
+router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', protect, logout);
+router.get('/me', protect, me);
+
+module.exports = router;
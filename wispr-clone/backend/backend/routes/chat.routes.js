@@ -0,0 +1,22 @@
+const express = require('express');
+const { createChat, listChats, getChat, updateChat, deleteChat } = require('../controllers/chat.controller');
+const messageRoutes = require('./message.routes');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+// Every session belongs to a user
+router.use(protect);
+
+router.route('/')
+    .get(listChats)
+    .post(createChat);
+
+router.route('/:chatId')
+    .get(getChat)
+    .patch(updateChat)
+    .delete(deleteChat);
+
+router.use('/:chatId/messages', messageRoutes);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { getDictionary, saveDictionary } = require('../controllers/dictionary.controller');
+const { protect } = require('../middleware/auth.middleware');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+    .get(getDictionary)
+    .put(saveDictionary);
+
+module.exports = router;
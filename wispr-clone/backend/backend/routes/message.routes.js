@@ -0,0 +1,15 @@
+const express = require('express');
+const { createMessages, listMessages, getMessage, deleteMessage } = require('../controllers/message.controller');
+
+// mergeParams exposes :chatId from the parent chat router
+const router = express.Router({ mergeParams: true });
+
+router.route('/')
+    .get(listMessages)
+    .post(createMessages);
+
+router.route('/:messageId')
+    .get(getMessage)
+    .delete(deleteMessage);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+const express = require('express');
+const cors = require('cors');
+require('dotenv').config();
+const { connectDB } = require('./config/db');
+const authRoutes = require('./routes/auth.routes');
+const chatRoutes = require('./routes/chat.routes');
+const dictionaryRoutes = require('./routes/dictionary.routes');
+const { notFound, errorHandler } = require('./middleware/error.middleware');
+
+/**
+ * CONFIGURATION
+ */
+const PORT = process.env.PORT || 5000;
+// Vite dev server and the Tauri webview (macOS/Linux and Windows origins)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173,tauri://localhost,http://tauri.localhost')
+    .split(',')
+    .map(origin => origin.trim());
+
+const app = express();
+
+app.use(cors({ origin: CORS_ORIGINS }));
+app.use(express.json({ limit: '1mb' }));
+
+app.use('/api/auth', authRoutes);
+app.use('/api/chats', chatRoutes);
+app.use('/api/dictionary', dictionaryRoutes);
+
+app.use(notFound);
+app.use(errorHandler);
+
+['JWT_SECRET', 'JWT_REFRESH_SECRET'].forEach((name) => {
+    if (!process.env[name]) {
+        console.error(`${name} missing from .env`);
+        process.exit(1);
+    }
+});
+
+connectDB()
+    .then(() => {
+        app.listen(PORT, () => console.log(`API server running on port ${PORT}`));
+    })
+    .catch((err) => {
+        console.error('Failed to connect to MongoDB:', err.message);
+        process.exit(1);
+    });
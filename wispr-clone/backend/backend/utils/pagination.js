@@ -0,0 +1,29 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Reads `page` / `limit` from a query string, clamped to sane values.
+ * @returns {{ page: number, limit: number, skip: number }}
+ */
+function getPagination(query) {
+    const page = Math.max(1, parseInt(query.page, 10) || 1);
+    const limit = Math.min(MAX_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT));
+    return { page, limit, skip: (page - 1) * limit };
+}
+
+/**
+ * Standard envelope for paginated list responses.
+ */
+function paginated(data, total, { page, limit }) {
+    return {
+        data,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit),
+        },
+    };
+}
+
+module.exports = { getPagination, paginated };
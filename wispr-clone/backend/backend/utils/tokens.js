@@ -0,0 +1,47 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Access tokens are short-lived and checked by the API, the WebSocket relay and the identity service,
+ * which all share JWT_SECRET. Refresh tokens are only ever checked here, with their own secret.
+ */
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+function getSecret(name) {
+    const secret = process.env[name];
+    if (!secret) throw new Error(`${name} is not set`);
+    return secret;
+}
+
+function signAccessToken(user) {
+    return jwt.sign({ sub: user._id.toString(), email: user.email, type: 'access' }, getSecret('JWT_SECRET'), {
+        expiresIn: ACCESS_TOKEN_TTL,
+    });
+}
+
+function signRefreshToken(user) {
+    return jwt.sign({ sub: user._id.toString(), ver: user.tokenVersion, type: 'refresh' }, getSecret('JWT_REFRESH_SECRET'), {
+        expiresIn: REFRESH_TOKEN_TTL,
+    });
+}
+
+function issueTokens(user) {
+    return { accessToken: signAccessToken(user), refreshToken: signRefreshToken(user) };
+}
+
+/**
+ * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+ */
+function verifyAccessToken(token) {
+    const payload = jwt.verify(token, getSecret('JWT_SECRET'));
+    if (payload.type !== 'access') throw new jwt.JsonWebTokenError('Not an access token');
+    return payload;
+}
+
+function verifyRefreshToken(token) {
+    const payload = jwt.verify(token, getSecret('JWT_REFRESH_SECRET'));
+    if (payload.type !== 'refresh') throw new jwt.JsonWebTokenError('Not a refresh token');
+    return payload;
+}
+
+module.exports = { issueTokens, verifyAccessToken, verifyRefreshToken };
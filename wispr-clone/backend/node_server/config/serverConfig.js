@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+/**
+ * Relay settings.
+ *
+ * Sources, later ones win:
+ *   1. the defaults below
+ *   2. a JSON config file: RELAY_CONFIG, or relay.config.json next to server.js if it exists
+ *      (relay.config.example.json lists every key)
+ *   3. environment variables, loaded from ENV_FILE (default: the repo's .env) on top of the real environment
+ *
+ * Secrets (JWT_SECRET, DEEPGRAM_API_KEY, CLEANUP_LLM_API_KEY) are only read from the environment, never from the file.
+ */
+
+const DEFAULT_CONFIG = {
+    port: 3000,
+    pythonServiceUrl: 'http://localhost:8000',
+    // Vite dev server and the Tauri webview (macOS/Linux and Windows origins)
+    corsOrigins: ['http://localhost:5173', 'tauri://localhost', 'http://tauri.localhost'],
+    logLevel: 'info', // debug | info | warn | error
+    // How long a dropped client may take to resume before its upstream stream is closed
+    sessionGraceMs: 30000,
+    // Silence gating (services/voiceActivity.js), disabled forwards every frame
+    vad: { enabled: true, thresholdDb: 12, tailMs: 1500 },
+    // Per-turn identification clips (services/turnIdentification.js), the /identify request timeout and
+    // the circuit breaker: that many failures in a row stop identify calls for resetTimeoutMs
+    identify: { minSeconds: 2, maxSeconds: 8, timeoutMs: 5000, failureThreshold: 3, resetTimeoutMs: 30000 },
+    transcription: {
+        provider: 'deepgram', // deepgram | local | fake
+        local: { command: 'python', args: ['local_asr.py'], cwd: '../python_service' },
+        fake: { speakers: 1, openDelayMs: 0 },
+    },
+    // /readyz gives up on a dependency after this long
+    readinessTimeoutMs: 2000,
+    // On SIGTERM, how long to wait for upstream streams to deliver their last results
+    shutdownTimeoutMs: 10000,
+    // Session audio and transcript archive (services/sessionRecorder.js). dir is relative to node_server,
+    // opus needs ffmpeg, retentionDays 0 keeps recordings forever
+    recording: { enabled: false, dir: './recordings', format: 'wav', retentionDays: 30, ffmpegPath: 'ffmpeg' },
+    // Dictation cleanup with an LLM (services/llmCleanup.js), an OpenAI-compatible API base such as
+    // https://api.openai.com/v1. Without a url /api/cleanup answers 501 and clients use their offline rules
+    cleanup: { url: '', model: 'gpt-4o-mini', timeoutMs: 15000 },
+};
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const RECORDING_FORMATS = ['wav', 'opus'];
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Environment variable -> [config path, parser].
+ */
+const ENV_VARIABLES = {
+    RELAY_PORT: ['port', Number],
+    PYTHON_SERVICE_URL: ['pythonServiceUrl', String],
+    CORS_ORIGINS: ['corsOrigins', list],
+    LOG_LEVEL: ['logLevel', String],
+    SESSION_GRACE_MS: ['sessionGraceMs', Number],
+    VAD: ['vad.enabled', (value) => value !== 'off'],
+    VAD_THRESHOLD_DB: ['vad.thresholdDb', Number],
+    VAD_TAIL_MS: ['vad.tailMs', Number],
+    IDENTIFY_MIN_SECONDS: ['identify.minSeconds', Number],
+    IDENTIFY_MAX_SECONDS: ['identify.maxSeconds', Number],
+    IDENTIFY_TIMEOUT_MS: ['identify.timeoutMs', Number],
+    IDENTIFY_FAILURE_THRESHOLD: ['identify.failureThreshold', Number],
+    IDENTIFY_RESET_MS: ['identify.resetTimeoutMs', Number],
+    TRANSCRIPTION_PROVIDER: ['transcription.provider', String],
+    LOCAL_ASR_COMMAND: ['transcription.local.command', String],
+    LOCAL_ASR_ARGS: ['transcription.local.args', (value) => value.split(' ')],
+    LOCAL_ASR_CWD: ['transcription.local.cwd', String],
+    FAKE_SPEAKERS: ['transcription.fake.speakers', Number],
+    FAKE_OPEN_DELAY_MS: ['transcription.fake.openDelayMs', Number],
+    READINESS_TIMEOUT_MS: ['readinessTimeoutMs', Number],
+    SHUTDOWN_TIMEOUT_MS: ['shutdownTimeoutMs', Number],
+    RECORDING: ['recording.enabled', (value) => value === 'on'],
+    RECORDING_DIR: ['recording.dir', String],
+    RECORDING_FORMAT: ['recording.format', String],
+    RECORDING_RETENTION_DAYS: ['recording.retentionDays', Number],
+    FFMPEG_PATH: ['recording.ffmpegPath', String],
+    CLEANUP_LLM_URL: ['cleanup.url', String],
+    CLEANUP_LLM_MODEL: ['cleanup.model', String],
+    CLEANUP_LLM_TIMEOUT_MS: ['cleanup.timeoutMs', Number],
+};
+
+const NUMBER_PATHS = [
+    'port', 'sessionGraceMs', 'vad.thresholdDb', 'vad.tailMs', 'identify.minSeconds', 'identify.maxSeconds',
+    'identify.timeoutMs', 'identify.failureThreshold', 'identify.resetTimeoutMs', 'transcription.fake.speakers',
+    'transcription.fake.openDelayMs', 'readinessTimeoutMs', 'shutdownTimeoutMs',
+    'recording.retentionDays', 'cleanup.timeoutMs',
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function merge(base, override) {
+    const result = { ...base };
+    for (const [key, value] of Object.entries(override)) {
+        result[key] = isObject(value) && isObject(base[key]) ? merge(base[key], value) : value;
+    }
+    return result;
+}
+
+const getPath = (config, keyPath) => keyPath.split('.').reduce((node, key) => node?.[key], config);
+
+function setPath(config, keyPath, value) {
+    const keys = keyPath.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => node[key], config);
+    parent[keys[keys.length - 1]] = value;
+}
+
+function readConfigFile(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new Error(`Could not read config file ${file}: ${err.message}`);
+    }
+}
+
+function validate(config) {
+    const errors = [];
+    NUMBER_PATHS.forEach(keyPath => {
+        const value = getPath(config, keyPath);
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+            errors.push(`${keyPath} must be a non-negative number (got ${typeof value === 'number' ? value : JSON.stringify(value)})`);
+        }
+    });
+    if (!LOG_LEVELS.includes(config.logLevel)) {
+        errors.push(`logLevel must be one of ${LOG_LEVELS.join(', ')} (got ${JSON.stringify(config.logLevel)})`);
+    }
+    if (!RECORDING_FORMATS.includes(config.recording.format)) {
+        errors.push(`recording.format must be one of ${RECORDING_FORMATS.join(', ')} (got ${JSON.stringify(config.recording.format)})`);
+    }
+    if (config.identify.maxSeconds < config.identify.minSeconds) {
+        errors.push('identify.maxSeconds must not be smaller than identify.minSeconds');
+    }
+    if (!config.jwtSecret) {
+        errors.push('JWT_SECRET missing from .env');
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid relay configuration:\n  ${errors.join('\n  ')}`);
+    }
+}
+
+/**
+ * Builds the relay configuration. Throws with every invalid setting listed.
+ * @param {object} [opts]
+ * @param {object} [opts.env=process.env]
+ * @param {string} [opts.envFile] - Overrides ENV_FILE.
+ * @param {string} [opts.configFile] - Overrides RELAY_CONFIG.
+ */
+function loadConfig({ env = process.env, envFile, configFile } = {}) {
+    // The real environment wins over the .env file (dotenv never overwrites)
+    dotenv.config({ path: envFile || env.ENV_FILE || path.resolve(__dirname, '../../../.env'), processEnv: env });
+
+    const file = configFile || env.RELAY_CONFIG || path.resolve(__dirname, '../relay.config.json');
+    const explicitFile = Boolean(configFile || env.RELAY_CONFIG);
+    let config = merge(structuredClone(DEFAULT_CONFIG), explicitFile || fs.existsSync(file) ? readConfigFile(file) : {});
+
+    for (const [name, [keyPath, parse]] of Object.entries(ENV_VARIABLES)) {
+        if (env[name] !== undefined && env[name] !== '') setPath(config, keyPath, parse(env[name]));
+    }
+
+    config = {
+        ...config,
+        recording: { ...config.recording, dir: path.resolve(__dirname, '..', config.recording.dir) },
+        jwtSecret: env.JWT_SECRET, // Shared with the API server that issues tokens
+        transcription: {
+            ...config.transcription,
+            // Never a VITE_ variable: Vite would bundle it into the frontend
+            deepgram: { apiKey: env.DEEPGRAM_API_KEY },
+        },
+        cleanup: { ...config.cleanup, apiKey: env.CLEANUP_LLM_API_KEY },
+        warnings: env.VITE_DEEPGRAM_API_KEY
+            ? ['VITE_DEEPGRAM_API_KEY is set: Vite ships VITE_ variables to the browser. Rename it to DEEPGRAM_API_KEY.']
+            : [],
+    };
+
+    validate(config);
+    return config;
+}
+
+module.exports = { loadConfig, DEFAULT_CONFIG, ENV_VARIABLES };
@@ -0,0 +1,121 @@
+/**
+ * Session options a client may request for its upstream transcription stream.
+ * Anything outside these lists is rejected before a stream is opened.
+ */
+const ALLOWED_OPTIONS = {
+    language: ['en', 'en-US', 'en-GB', 'en-IN', 'hi', 'es', 'fr'],
+    model: ['nova-2', 'nova-2-general', 'nova-2-meeting', 'nova-2-phonecall'],
+    diarize: [true, false],
+    punctuate: [true, false],
+    smart_format: [true, false],
+};
+
+/**
+ * Extra options only valid for whole-file (prerecorded) transcription.
+ */
+const FILE_OPTIONS = {
+    utterances: [true, false],
+};
+
+const DEFAULT_OPTIONS = {
+    model: "nova-2",
+    language: "en-US",
+    smart_format: true,
+    diarize: true,
+    punctuate: true,
+};
+
+const BOOLEAN_OPTIONS = ['diarize', 'punctuate', 'smart_format', 'utterances'];
+
+/**
+ * Deepgram keyword boosts from the user's dictionary: "term" or "term:intensifier" (-10..10).
+ * Free-form, so checked by shape instead of against a list.
+ */
+const MAX_KEYWORDS = 100;
+const KEYWORD_PATTERN = /^[^:,]{1,50}(?::-?(?:10|\d)(?:\.\d+)?)?$/;
+
+/**
+ * @param {string|string[]} value - An array (JSON handshake) or comma-separated (query string).
+ * @returns {{ keywords?: string[], message?: string }}
+ */
+function resolveKeywords(value) {
+    const keywords = (Array.isArray(value) ? value : String(value).split(','))
+        .map(keyword => (typeof keyword === 'string' ? keyword.trim() : keyword))
+        .filter(keyword => keyword !== '');
+    if (keywords.length > MAX_KEYWORDS) return { message: `At most ${MAX_KEYWORDS} keywords are allowed` };
+    const invalid = keywords.find(keyword => typeof keyword !== 'string' || !KEYWORD_PATTERN.test(keyword));
+    if (invalid !== undefined) return { message: `Invalid keyword "${invalid}". Expected "term" or "term:boost" with a boost from -10 to 10` };
+    return { keywords };
+}
+
+/**
+ * Query params arrive as strings, JSON control messages may carry real booleans.
+ */
+function coerceValue(key, value) {
+    if (BOOLEAN_OPTIONS.includes(key) && typeof value === 'string') {
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+    }
+    return value;
+}
+
+/**
+ * Merge the requested settings over the defaults and check them against the allow-list
+ * (`keywords` against its shape, see resolveKeywords). Unknown keys are ignored so clients
+ * can send extra fields (e.g. `type`).
+ * @param {object} requested - Settings from the handshake (query params or control message).
+ * @param {object} [extraAllowed] - Additional allow-list entries, e.g. FILE_OPTIONS.
+ * @returns {{ options: object, errors: Array<{ option: string, value: any, message: string }> }}
+ */
+function resolveTranscriptionOptions(requested = {}, extraAllowed = {}) {
+    const allowed = { ...ALLOWED_OPTIONS, ...extraAllowed };
+    const options = { ...DEFAULT_OPTIONS };
+    const errors = [];
+
+    for (const key of Object.keys(allowed)) {
+        if (requested[key] === undefined || requested[key] === null || requested[key] === '') continue;
+
+        const value = coerceValue(key, requested[key]);
+        if (!allowed[key].includes(value)) {
+            errors.push({
+                option: key,
+                value: requested[key],
+                message: `Unsupported ${key} "${requested[key]}". Allowed: ${allowed[key].join(', ')}`,
+            });
+            continue;
+        }
+        options[key] = value;
+    }
+
+    if (requested.keywords !== undefined && requested.keywords !== null && requested.keywords !== '') {
+        const { keywords, message } = resolveKeywords(requested.keywords);
+        if (message) errors.push({ option: 'keywords', value: requested.keywords, message });
+        else if (keywords.length > 0) options.keywords = keywords;
+    }
+
+    return { options, errors };
+}
+
+/**
+ * Extract handshake settings from a connection URL (e.g. `/?language=hi&model=nova-2`).
+ * @returns {object|null} The requested settings, or null if the URL carries none.
+ */
+function parseQueryOptions(url) {
+    const params = new URL(url || '/', 'ws://localhost').searchParams;
+    const requested = {};
+
+    for (const key of Object.keys(ALLOWED_OPTIONS)) {
+        if (params.has(key)) requested[key] = params.get(key);
+    }
+    if (params.has('keywords')) requested.keywords = params.getAll('keywords').join(',');
+
+    return Object.keys(requested).length > 0 ? requested : null;
+}
+
+module.exports = {
+    ALLOWED_OPTIONS,
+    FILE_OPTIONS,
+    DEFAULT_OPTIONS,
+    resolveTranscriptionOptions,
+    parseQueryOptions,
+};
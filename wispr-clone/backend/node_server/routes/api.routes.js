@@ -0,0 +1,107 @@
+const express = require('express');
+const { resolveTranscriptionOptions, FILE_OPTIONS } = require('../config/transcriptionOptions');
+const { authenticate } = require('../services/auth');
+const { createRecordingsRouter } = require('./recordings.routes');
+const logger = require('../services/logger');
+
+const MAX_UPLOAD_BYTES = '200mb';
+
+const CLEANUP_LEVELS = ['light', 'full'];
+const MAX_CLEANUP_CHARS = 20000;
+
+/**
+ * HTTP endpoints of the relay, all behind the same access token as the WebSocket.
+ * They exist so the browser never needs the provider's API key.
+ * @param {{ provider: object, jwtSecret: string, recordings?: object|null, cleanup?: object|null }} deps -
+ *   `recordings`: the session recording store, /api/recordings answers 404 without it.
+ *   `cleanup`: from createLlmCleanup, /api/cleanup answers 501 without it.
+ */
+function createApiRouter({ provider, jwtSecret, recordings = null, cleanup = null }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        try {
+            req.user = authenticate(req, jwtSecret);
+            next();
+        } catch (err) {
+            res.status(401).json({ error: err.message });
+        }
+    });
+
+    /**
+     * POST /api/transcribe?language=en&model=nova-2&diarize=true&utterances=true
+     * Body: the raw audio file, with its Content-Type. Responds with the provider's prerecorded result.
+     */
+    router.post('/transcribe', express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+        if (!provider.transcribeFile) {
+            return res.status(501).json({ error: `${provider.name} does not support file transcription` });
+        }
+        if (!req.body || req.body.length === 0) {
+            return res.status(400).json({ error: 'Request body must be the audio file' });
+        }
+
+        const { options, errors } = resolveTranscriptionOptions(req.query, FILE_OPTIONS);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors.map(e => e.message).join('; '), code: 'unsupported_option' });
+        }
+
+        try {
+            const result = await provider.transcribeFile(req.body, {
+                ...options,
+                mimetype: req.headers['content-type'] || 'audio/webm',
+            });
+            res.json(result);
+        } catch (err) {
+            logger.error(`${provider.name} file transcription error:`, err);
+            res.status(502).json({ error: err.message || 'Transcription failed' });
+        }
+    });
+
+    /**
+     * POST /api/token
+     * Short-lived token for streaming from the browser straight to the provider.
+     */
+    router.post('/token', async (req, res) => {
+        if (!provider.grantToken) {
+            return res.status(501).json({ error: `${provider.name} does not issue client tokens` });
+        }
+
+        try {
+            const { access_token, expires_in } = await provider.grantToken();
+            res.json({ provider: provider.name, access_token, expires_in });
+        } catch (err) {
+            logger.error(`${provider.name} token error:`, err);
+            res.status(502).json({ error: err.message || 'Could not issue a token' });
+        }
+    });
+
+    /**
+     * POST /api/cleanup  { text, level: 'light'|'full', language }
+     * Dictated text cleaned up by the configured LLM: { text }.
+     */
+    router.post('/cleanup', express.json({ limit: '100kb' }), async (req, res) => {
+        if (!cleanup) {
+            return res.status(501).json({ error: 'No cleanup model is configured on the relay' });
+        }
+        const { text, level = 'full', language = 'en' } = req.body || {};
+        if (typeof text !== 'string' || !text.trim() || text.length > MAX_CLEANUP_CHARS) {
+            return res.status(400).json({ error: `text must be a non-empty string of at most ${MAX_CLEANUP_CHARS} characters` });
+        }
+        if (!CLEANUP_LEVELS.includes(level)) {
+            return res.status(400).json({ error: `level must be one of ${CLEANUP_LEVELS.join(', ')}` });
+        }
+
+        try {
+            res.json({ text: await cleanup.clean(text, { level, language: String(language) }) });
+        } catch (err) {
+            logger.error('LLM cleanup error:', err.message);
+            res.status(502).json({ error: 'The cleanup model did not answer' });
+        }
+    });
+
+    if (recordings) router.use('/recordings', createRecordingsRouter({ recordings }));
+
+    return router;
+}
+
+module.exports = { createApiRouter };
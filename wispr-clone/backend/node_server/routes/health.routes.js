@@ -0,0 +1,60 @@
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Operational endpoints, without authentication (for orchestrators and Prometheus):
+ *   GET /healthz  the process is up
+ *   GET /readyz   the transcription provider and the identity service are reachable, 503 otherwise
+ *                 or while the server is shutting down
+ *   GET /metrics  Prometheus metrics (services/metrics.js)
+ * @param {{ provider: object, pythonServiceUrl: string, timeoutMs: number, metrics: object,
+ *   isShuttingDown: () => boolean }} deps
+ */
+function createHealthRouter({ provider, pythonServiceUrl, timeoutMs, metrics, isShuttingDown }) {
+    const router = express.Router();
+
+    const withTimeout = (promise) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+
+    const runCheck = async (check) => {
+        try {
+            await withTimeout(check());
+            return { ok: true };
+        } catch (err) {
+            return { ok: false, error: err.message || String(err) };
+        }
+    };
+
+    const checks = {
+        // Providers without a remote service (local, fake) have nothing to reach
+        upstream: () => (provider.checkReady ? provider.checkReady() : Promise.resolve()),
+        identity: () => axios.get(`${pythonServiceUrl}/health`, { timeout: timeoutMs }),
+    };
+
+    router.get('/healthz', (req, res) => {
+        res.json({ status: 'ok' });
+    });
+
+    router.get('/readyz', async (req, res) => {
+        if (isShuttingDown()) {
+            return res.status(503).json({ status: 'shutting_down' });
+        }
+
+        const names = Object.keys(checks);
+        const results = await Promise.all(names.map(name => runCheck(checks[name])));
+        const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+        const ready = results.every(result => result.ok);
+
+        res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', provider: provider.name, checks: report });
+    });
+
+    router.get('/metrics', (req, res) => {
+        res.type('text/plain; version=0.0.4').send(metrics.registry.render());
+    });
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
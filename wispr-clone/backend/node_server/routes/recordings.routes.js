@@ -0,0 +1,74 @@
+const express = require('express');
+const logger = require('../services/logger');
+
+/**
+ * Session recordings of the signed-in user (services/sessionRecorder.js), mounted at /api/recordings
+ * behind the API router's authentication. A recording's id is the relay session id.
+ *   GET    /              recordings, newest first, without transcripts
+ *   GET    /:id           the manifest, with the transcript in session time
+ *   GET    /:id/audio     the audio file (Range requests supported), ?download=1 as an attachment
+ *   DELETE /:id
+ * @param {{ recordings: object }} deps - Store from createRecordingStore.
+ */
+function createRecordingsRouter({ recordings }) {
+    const router = express.Router();
+
+    const findRecording = async (req, res, next) => {
+        try {
+            req.recording = await recordings.get(req.user.id, req.params.id);
+            if (!req.recording) return res.status(404).json({ error: 'Recording not found' });
+            next();
+        } catch (err) {
+            next(err);
+        }
+    };
+
+    router.get('/', async (req, res, next) => {
+        try {
+            res.json({ recordings: await recordings.list(req.user.id) });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/:id', findRecording, (req, res) => {
+        res.json(req.recording);
+    });
+
+    router.get('/:id/audio', findRecording, (req, res, next) => {
+        if (req.recording.status === 'recording') {
+            return res.status(409).json({ error: 'The session is still being recorded' });
+        }
+
+        const { file, contentType } = recordings.audio(req.recording);
+        const options = { headers: { 'Content-Type': contentType } };
+        const done = (err) => {
+            if (err && !res.headersSent) next(err);
+        };
+        if (req.query.download) res.download(file, req.recording.audioFile, options, done);
+        else res.sendFile(file, options, done);
+    });
+
+    router.delete('/:id', findRecording, async (req, res, next) => {
+        if (req.recording.status === 'recording') {
+            return res.status(409).json({ error: 'The session is still being recorded' });
+        }
+        try {
+            await recordings.remove(req.user.id, req.recording.id);
+            res.status(204).end();
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    // Storage errors: the recording exists but cannot be read
+    router.use((err, req, res, _next) => {
+        if (err.code === 'ENOENT') return res.status(404).json({ error: 'Recording audio is missing' });
+        logger.error('Recordings error:', err);
+        res.status(500).json({ error: 'Could not read the recording' });
+    });
+
+    return router;
+}
+
+module.exports = { createRecordingsRouter };
@@ -1,193 +1,312 @@
 const WebSocket = require('ws');
-const fs = require('fs');
 const http = require('http');
+const express = require('express');
+const cors = require('cors');
 const axios = require('axios');
 const FormData = require('form-data');
-const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
-require('dotenv').config({ path: '../../.env' }); // Load from root .env
+const { loadConfig } = require('./config/serverConfig');
+const { resolveTranscriptionOptions, parseQueryOptions } = require('./config/transcriptionOptions');
+const { createTranscriptionProvider } = require('./services/transcription');
+const { authenticate, signServiceToken } = require('./services/auth');
+const { createRelaySession, createSessionRegistry } = require('./services/relaySession');
+const { createRelayMetrics } = require('./services/metrics');
+const { createCircuitBreaker } = require('./services/circuitBreaker');
+const { toWav } = require('./services/wav');
+const { createRecordingStore } = require('./services/sessionRecorder');
+const { createLlmCleanup } = require('./services/llmCleanup');
+const logger = require('./services/logger');
+const { createApiRouter } = require('./routes/api.routes');
+const { createHealthRouter } = require('./routes/health.routes');
 
 /**
- * CONFIGURATION
+ * CONFIGURATION (config/serverConfig.js: defaults, relay.config.json, environment)
  */
-const PYTHON_SERVICE_URL = 'http://localhost:8000';
-const WS_PORT = 3000;
-const DEEPGRAM_API_KEY = process.env.VITE_DEEPGRAM_API_KEY;
+let config;
+try {
+    config = loadConfig();
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+logger.setLevel(config.logLevel);
+config.warnings.forEach(warning => logger.warn(warning));
+
+// Silence gating (services/voiceActivity.js), false forwards every frame
+const VAD_OPTIONS = config.vad.enabled ? { thresholdDb: config.vad.thresholdDb, tailMs: config.vad.tailMs } : false;
+const TURN_OPTIONS = { minSeconds: config.identify.minSeconds, maxSeconds: config.identify.maxSeconds };
 
-if (!DEEPGRAM_API_KEY) {
-    console.error("Deepgram API Key missing from .env (VITE_DEEPGRAM_API_KEY)");
+let provider;
+try {
+    const providerName = config.transcription.provider;
+    provider = createTranscriptionProvider(providerName, config.transcription[providerName]);
+} catch (err) {
+    logger.error(err.message);
     process.exit(1);
 }
 
+// Session audio archive (services/sessionRecorder.js), off by default
+const recordings = config.recording.enabled ? createRecordingStore(config.recording) : null;
+const RETENTION_SWEEP_MS = 60 * 60 * 1000;
+
+// Dictation cleanup with an LLM (services/llmCleanup.js), /api/cleanup answers 501 without one
+const cleanup = config.cleanup.url ? createLlmCleanup(config.cleanup) : null;
+
 /**
  * STATE
  */
-// Map to track active Deepgram connections per client
-const clients = new Map();
-
-const wss = new WebSocket.Server({ port: WS_PORT });
-
-console.log(`Node.js WebSocket Server running on port ${WS_PORT}`);
-
-wss.on('connection', (ws) => {
-    console.log('Client connected');
-
-    // 1. Setup Deepgram Connection
-    const deepgram = createClient(DEEPGRAM_API_KEY);
-    let keepAlive;
-    let audioBuffer = []; // Buffer for raw audio to send to Python for ID
-    let lastIdentifyTime = Date.now();
-    let currentSpeakerMap = new Map(); // speakerId (0,1) -> identifiedName ("John")
-
-    const dgConnection = deepgram.listen.live({
-        model: "nova-2",
-        language: "en-US",
-        smart_format: true,
-        diarize: true,
-        punctuate: true,
-        encoding: "linear16",
-        sample_rate: 16000,
-    });
+// Live sessions by id, so a client can resume one after its socket drops
+const sessions = createSessionRegistry({ graceMs: config.sessionGraceMs });
+let shuttingDown = false;
 
-    // 2. Handle Deepgram Events
-    dgConnection.on(LiveTranscriptionEvents.Open, () => {
-        console.log("Connected to Deepgram");
+// Identity service health as every client sees it: available | degraded | unavailable
+let identityStatus = { status: 'available', reason: null };
+const identityBreaker = createCircuitBreaker({
+    name: 'Identity service',
+    failureThreshold: config.identify.failureThreshold,
+    resetTimeoutMs: config.identify.resetTimeoutMs,
+    timeoutMs: config.identify.timeoutMs,
+    // A rejected clip says nothing about whether the service is up
+    isFailure: (err) => !(err.response && [400, 413, 422].includes(err.response.status)),
+    onStateChange: ({ state, failures, lastError }) => {
+        const status = state === 'open' ? 'unavailable' : (state === 'half_open' || failures > 0 ? 'degraded' : 'available');
+        if (status === identityStatus.status) return;
+        identityStatus = { status, reason: lastError };
+        (status === 'available' ? logger.info : logger.warn)(`Identity service ${status}${lastError ? `: ${lastError}` : ''}`);
+        sessions.broadcast({ type: 'identity_status', ...identityStatus });
+    },
+});
 
-        // KeepAlive logic
-        keepAlive = setInterval(() => {
-            if (dgConnection.getReadyState() === 1) { // 1 = OPEN
-                dgConnection.keepAlive();
-            }
-        }, 10000);
-    });
+// HTTP API (file transcription, client tokens), health/metrics and the WebSocket relay share one port
+const app = express();
+const server = http.createServer(app);
 
-    dgConnection.on(LiveTranscriptionEvents.Transcript, (data) => {
-        // Forward transcript to React Client
-        // We enrich it with our local speaker mapping
-        const enrichedData = enrichTranscriptWithIdentity(data, currentSpeakerMap);
-        ws.send(JSON.stringify({ type: 'transcript', data: enrichedData }));
-    });
+const wss = new WebSocket.Server({
+    server,
+    // Reject the upgrade unless it carries a valid access token
+    verifyClient: ({ req }, done) => {
+        if (shuttingDown) return done(false, 503, 'Shutting down');
+        try {
+            req.user = authenticate(req, config.jwtSecret);
+            done(true);
+        } catch (err) {
+            logger.info('Rejected connection:', err.message);
+            done(false, 401, 'Unauthorized');
+        }
+    },
+});
 
-    dgConnection.on(LiveTranscriptionEvents.Close, () => {
-        console.log("Deepgram connection closed");
-        clearInterval(keepAlive);
-    });
+const metrics = createRelayMetrics({
+    activeSessions: () => sessions.size(),
+    connectedClients: () => wss.clients.size,
+});
 
-    dgConnection.on(LiveTranscriptionEvents.Error, (err) => {
-        console.error("Deepgram error:", err);
-    });
+app.use(createHealthRouter({
+    provider,
+    pythonServiceUrl: config.pythonServiceUrl,
+    timeoutMs: config.readinessTimeoutMs,
+    metrics,
+    isShuttingDown: () => shuttingDown,
+}));
+app.use(cors({ origin: config.corsOrigins }));
+app.use('/api', createApiRouter({ provider, jwtSecret: config.jwtSecret, recordings, cleanup }));
+
+server.listen(config.port, () => {
+    logger.info(`Node.js WebSocket Server running on port ${config.port} (transcription: ${provider.name})`);
+});
+
+if (recordings) {
+    const { retentionDays } = config.recording;
+    logger.info(`Recording sessions to ${recordings.dir} as ${recordings.format} (retention: ${retentionDays ? `${retentionDays} days` : 'none'})`);
+    const sweep = () => recordings.sweep()
+        .then(deleted => deleted && logger.info(`Deleted ${deleted} recording(s) past retention`))
+        .catch(err => logger.error('Recording retention sweep failed:', err.message));
+    recordings.recover()
+        .then(repaired => repaired && logger.warn(`Repaired ${repaired} recording(s) cut off by a previous crash`))
+        .catch(err => logger.error('Could not check recordings for interrupted sessions:', err.message))
+        .then(sweep);
+    setInterval(sweep, RETENTION_SWEEP_MS).unref();
+}
+
+wss.on('connection', (ws, req) => {
+    const { user } = req;
+    logger.info(`Client connected (user ${user.id})`);
+
+    let session = null; // Relay session this socket feeds, created by the handshake or resumed
+    let finished = false; // Client sent CloseStream, so a disconnect is not a dropped connection
+
+    const sendError = (code, message, extra = {}) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify({ type: 'error', code, message, ...extra }));
+        }
+    };
+
+    // 1. Setup the upstream transcription stream with the settings negotiated in the handshake
+    const openSession = (requested) => {
+        const { options, errors } = resolveTranscriptionOptions(requested);
+        if (errors.length > 0) {
+            errors.forEach(({ option, value, message }) => {
+                sendError('unsupported_option', message, { option, value });
+            });
+            return;
+        }
+
+        logger.info(`Opening ${provider.name} stream with`, options);
+        const upstream = provider.startStream(options);
+        const current = createRelaySession({
+            user,
+            upstream,
+            options,
+            identify: (clips) => identifySpeakers(clips, signServiceToken(user, config.jwtSecret)),
+            identityStatus: () => identityStatus,
+            recordings,
+            graceMs: sessions.graceMs,
+            vad: VAD_OPTIONS,
+            turns: TURN_OPTIONS,
+            metrics,
+            onEnd: () => sessions.remove(current.id),
+        });
+        session = current;
+        sessions.add(current);
+
+        // 2. Handle transcription events (same shape for every provider), results go through the session
+        upstream.on('open', () => {
+            logger.info(`Connected to ${provider.name} (session ${current.id})`);
+            if (ws.readyState === WebSocket.OPEN) current.attach(ws);
+        });
+
+        upstream.on('close', () => {
+            logger.info(`${provider.name} connection closed (session ${current.id})`);
+        });
+
+        upstream.on('error', (err) => {
+            logger.error(`${provider.name} error:`, err);
+            current.sendError('upstream_error', err.message || 'Transcription stream error');
+        });
+    };
+
+    // A reconnecting client picks up its session where the dropped socket left it
+    const resumeSession = ({ sessionId, lastResultEnd }) => {
+        const found = sessions.get(sessionId, user.id);
+        if (!found) {
+            sendError('session_not_found', 'Session expired or unknown, start a new one', { sessionId });
+            return;
+        }
+
+        logger.info(`Session ${sessionId} resumed`);
+        session = found;
+        sessions.attach(sessionId);
+        session.attach(ws, { resumed: true, lastResultEnd: Number(lastResultEnd) || 0 });
+    };
+
+    // Settings may come in the connection URL, otherwise we wait for a `configure` message
+    const queryOptions = parseQueryOptions(req.url);
+    if (queryOptions) openSession(queryOptions);
 
     // 3. Handle Client Messages (Audio + Control)
-    ws.on('message', async (message) => {
+    ws.on('message', async (message, isBinary) => {
         // Assume binary message is audio (Int16 PCM)
-        if (Buffer.isBuffer(message)) {
-            // Send to Deepgram
-            if (dgConnection.getReadyState() === 1) {
-                dgConnection.send(message);
-            }
-
-            // Buffer for Python Identification
-            audioBuffer.push(message);
-
-            // Every 3 seconds, try to identify
-            if (Date.now() - lastIdentifyTime > 3000) {
-                lastIdentifyTime = Date.now();
-                const bufferPayload = Buffer.concat(audioBuffer);
-                audioBuffer = []; // Clear buffer
-
-                identifySpeaker(bufferPayload).then((result) => {
-                    if (result && result.speaker !== 'Unknown') {
-                        console.log("Identified:", result);
-                        // In a real app, we need to correlate this identification 
-                        // with the ACTIVE Deepgram speaker. 
-                        // Ideally, we check who Deepgram said was speaking recently.
-                        // For this demo, let's just broadcast the Identity Event.
-                        ws.send(JSON.stringify({
-                            type: 'identification',
-                            speaker: result.speaker,
-                            confidence: result.confidence
-                        }));
-
-                        // Heuristic: Map the most probable speaker to the active diarized label?
-                        // This is complex without precise timestamp alignment.
-                        // We will let Frontend handle the "Current Speaker" UI update.
-                    }
-                });
-            }
+        if (isBinary) {
+            // Clients that skip the handshake get the default settings
+            if (!session) openSession({});
+            if (!session) return;
+            session.handleAudio(message);
         } else {
             // Text message (control)
+            let msg;
             try {
-                const msg = JSON.parse(message);
-                if (msg.type === 'close') {
-                    dgConnection.finish();
+                msg = JSON.parse(message.toString());
+            } catch {
+                sendError('invalid_message', 'Control messages must be JSON');
+                return;
+            }
+
+            if (msg.type === 'configure' || msg.type === 'resume') {
+                if (session) {
+                    sendError('already_configured', 'Session settings can only be sent once per connection');
+                    return;
                 }
-            } catch (e) {
-                // Ignore
+                if (msg.type === 'configure') openSession(msg.options || {});
+                else resumeSession(msg);
+            } else if (msg.type === 'close' || msg.type === 'CloseStream') {
+                finished = true;
+                if (session) session.finish();
             }
         }
     });
 
     ws.on('close', () => {
-        console.log('Client disconnected');
-        if (keepAlive) clearInterval(keepAlive);
-        dgConnection.finish();
+        logger.info(`Client disconnected (user ${user.id})`);
+        if (!session) return;
+        // Gone before the upstream stream opened: there is nothing to resume
+        if (!session.isAttached()) {
+            sessions.remove(session.id);
+            session.finish();
+            return;
+        }
+        // Dropped connections keep the upstream stream alive for the grace period
+        if (session.detach(ws) && !finished) sessions.detach(session.id);
     });
 });
 
 /**
- * Helper: Identify Speaker via Python Service
+ * Helper: Identify Speakers via Python Service, all clips of a batch in one request.
+ * Resolves with null when the service failed or the circuit is open: transcription goes on without names.
  */
-async function identifySpeaker(pcmBuffer) {
+async function identifySpeakers(clips, accessToken) {
     try {
-        // Python expects a file upload. We need to convert PCM to WAV headers or just send raw if Python handles it.
-        // resemblyzer uses librosa/audioread usually, which prefers WAV.
-        // We'll wrap PCM in a WAV header.
-        const wavBuffer = createWavHeader(pcmBuffer);
-
+        // Python expects file uploads. resemblyzer uses librosa/audioread usually, which prefers WAV,
+        // so every PCM clip is wrapped in a WAV header.
         const form = new FormData();
-        form.append('file', wavBuffer, { filename: 'chunk.wav', contentType: 'audio/wav' });
+        clips.forEach(({ id, pcm }) => {
+            form.append('files', toWav(pcm), { filename: `clip-${id}.wav`, contentType: 'audio/wav' });
+            form.append('ids', id);
+        });
 
-        const response = await axios.post(`${PYTHON_SERVICE_URL}/identify`, form, {
-            headers: { ...form.getHeaders() }
+        const response = await identityBreaker.call(() => {
+            metrics.identifyRequests.inc({}, clips.length);
+            return axios.post(`${config.pythonServiceUrl}/identify`, form, {
+                // Voice profiles belong to the user, the identity service checks the same token
+                headers: { ...form.getHeaders(), Authorization: `Bearer ${accessToken}` },
+                timeout: config.identify.timeoutMs,
+            });
         });
 
-        return response.data;
+        const results = response.data.results || [];
+        const failed = results.filter(result => result.error).length;
+        if (failed > 0) metrics.identifyFailures.inc({ reason: 'clip_error' }, failed);
+        return results;
     } catch (error) {
-        // console.error("Identity Service Error (is Python running?):", error.message);
+        metrics.identifyFailures.inc({ reason: identifyFailureReason(error) }, clips.length);
+        logger.debug("Identity Service Error (is Python running?):", error.message);
         return null;
     }
 }
 
-function enrichTranscriptWithIdentity(data, map) {
-    // Pass through for now
-    return data;
+function identifyFailureReason(error) {
+    if (error.code === 'circuit_open') return 'circuit_open';
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return 'timeout';
+    if (error.response) return `http_${error.response.status}`;
+    if (error.request) return 'unreachable';
+    return 'error';
 }
 
 /**
- * Utility: Create WAV Header for valid file upload
+ * SHUTDOWN: stop accepting connections, let every upstream stream flush its last results to the
+ * clients still connected, then close them.
  */
-function createWavHeader(pcmData) {
-    const numChannels = 1;
-    const sampleRate = 16000;
-    const bitsPerSample = 16;
-    const blockAlign = numChannels * bitsPerSample / 8;
-    const byteRate = sampleRate * blockAlign;
-    const dataSize = pcmData.length;
-    const fileSize = 36 + dataSize;
-
-    const buffer = Buffer.alloc(44);
-    buffer.write('RIFF', 0);
-    buffer.writeUInt32LE(fileSize, 4);
-    buffer.write('WAVE', 8);
-    buffer.write('fmt ', 12);
-    buffer.writeUInt32LE(16, 16);
-    buffer.writeUInt16LE(1, 20); // PCM
-    buffer.writeUInt16LE(numChannels, 22);
-    buffer.writeUInt32LE(sampleRate, 24);
-    buffer.writeUInt32LE(byteRate, 28);
-    buffer.writeUInt16LE(blockAlign, 32);
-    buffer.writeUInt16LE(bitsPerSample, 34);
-    buffer.write('data', 36);
-    buffer.writeUInt32LE(dataSize, 40);
-
-    return Buffer.concat([buffer, pcmData]);
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info(`${signal} received, finishing ${sessions.size()} session(s)`);
+
+    server.close(); // No new connections, open sockets stay up until closed below
+    const drained = await sessions.drain(config.shutdownTimeoutMs);
+    if (!drained) logger.warn(`Upstream streams still open after ${config.shutdownTimeoutMs}ms, closing anyway`);
+
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
+    logger.info('Shutdown complete');
+    process.exit(0);
 }
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
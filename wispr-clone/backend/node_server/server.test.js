@@ -0,0 +1,201 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const WebSocket = require('ws');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Drives whole relay sessions through the fake transcription provider: a real server process,
+ * a real WebSocket client, no Deepgram key or network.
+ */
+
+const SECRET = 'relay-test-secret';
+const SAMPLE_RATE = 16000;
+
+let relay;
+let port;
+
+const freePort = () => new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, () => {
+        const { port: free } = probe.address();
+        probe.close(() => resolve(free));
+    }).on('error', reject);
+});
+
+const accessToken = () => jwt.sign({ sub: 'user-1', email: 'test@example.com', type: 'access' }, SECRET, { expiresIn: '5m' });
+
+// Linear16 mono: a 440 Hz tone the fake engine counts as speech, or silence
+const pcm = (seconds, amplitude) => {
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+    }
+    return buffer;
+};
+
+/**
+ * Opens a socket that collects every message; waitFor() resolves with the first one matching.
+ */
+function connect(query = `?access_token=${accessToken()}`) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/${query}`);
+    const messages = [];
+    const waiters = [];
+
+    ws.on('message', (raw) => {
+        const message = JSON.parse(raw.toString());
+        messages.push(message);
+        waiters.filter(w => w.until(message)).forEach((w) => {
+            waiters.splice(waiters.indexOf(w), 1);
+            w.resolve(message);
+        });
+    });
+
+    const waitFor = (until, timeoutMs = 5000) => new Promise((resolve, reject) => {
+        const found = messages.find(until);
+        if (found) return resolve(found);
+        const timer = setTimeout(() => reject(new Error(`Timed out, got: ${messages.map(m => m.type).join(', ')}`)), timeoutMs);
+        waiters.push({ until, resolve: (message) => { clearTimeout(timer); resolve(message); } });
+    });
+
+    const opened = new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('unexpected-response', (req, res) => reject(Object.assign(new Error('Rejected'), { statusCode: res.statusCode })));
+        ws.once('error', reject);
+    });
+
+    return { ws, messages, waitFor, opened };
+}
+
+// relay_active_sessions from /metrics
+const activeSessions = async () => {
+    const text = await (await fetch(`http://127.0.0.1:${port}/metrics`)).text();
+    return Number(text.match(/^relay_active_sessions (\S+)$/m)[1]);
+};
+
+before(async () => {
+    port = await freePort();
+    const unused = await freePort();
+    relay = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: {
+            PATH: process.env.PATH,
+            ENV_FILE: path.join(__dirname, 'does-not-exist.env'),
+            RELAY_CONFIG: '',
+            RELAY_PORT: String(port),
+            JWT_SECRET: SECRET,
+            TRANSCRIPTION_PROVIDER: 'fake',
+            FAKE_OPEN_DELAY_MS: '200', // Leaves time to disconnect before the stream opens
+            PYTHON_SERVICE_URL: `http://127.0.0.1:${unused}`, // Identification fails, transcription goes on
+            LOG_LEVEL: 'error',
+        },
+        stdio: ['ignore', 'pipe', 'pipe'],
+    });
+
+    let output = '';
+    relay.stderr.on('data', (chunk) => { output += chunk; });
+    relay.stdout.on('data', (chunk) => { output += chunk; });
+
+    // Ready once the port accepts connections
+    for (let attempt = 0; ; attempt++) {
+        if (relay.exitCode !== null) throw new Error(`Relay exited (${relay.exitCode}): ${output}`);
+        const up = await new Promise(resolve => net.connect(port, '127.0.0.1')
+            .once('connect', function onConnect() { this.end(); resolve(true); })
+            .once('error', () => resolve(false)));
+        if (up) break;
+        if (attempt > 100) throw new Error(`Relay did not start: ${output}`);
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+});
+
+after(() => {
+    if (relay && relay.exitCode === null) relay.kill('SIGTERM');
+});
+
+test('streams a session through the fake engine and ends it cleanly', async () => {
+    const client = connect();
+    await client.opened;
+    client.ws.send(JSON.stringify({ type: 'configure', options: { language: 'en', model: 'nova-2', diarize: true } }));
+
+    const ready = await client.waitFor(m => m.type === 'ready');
+    assert.ok(ready.sessionId);
+    assert.equal(ready.options.language, 'en');
+
+    // 2.5 s of speech (five fake words: a final after four) then silence (speech_final for the fifth)
+    const audio = Buffer.concat([pcm(2.5, 8000), pcm(1, 0)]);
+    for (let offset = 0; offset < audio.length; offset += 1280) { // 40 ms frames, like the client
+        client.ws.send(audio.subarray(offset, offset + 1280));
+    }
+    // The silence closes the utterance
+    await client.waitFor(m => m.type === 'transcript' && m.data.speech_final);
+
+    client.ws.send(JSON.stringify({ type: 'CloseStream' }));
+    await client.waitFor(m => m.type === 'session_ended');
+
+    const results = client.messages.filter(m => m.type === 'transcript').map(m => m.data);
+    assert.ok(results.some(r => !r.is_final), 'interim results are forwarded');
+
+    const finals = results.filter(r => r.is_final);
+    const words = finals.flatMap(r => r.channel.alternatives[0].words);
+    assert.deepEqual(words.map(w => w.word), ['the', 'quick', 'brown', 'fox', 'jumps']);
+    assert.deepEqual(words.map(w => w.end), [0.5, 1, 1.5, 2, 2.5]);
+    assert.ok(words.every(w => w.speaker === 0));
+    client.ws.close();
+});
+
+test('answers unsupported options with an error and no stream', async () => {
+    const client = connect();
+    await client.opened;
+    client.ws.send(JSON.stringify({ type: 'configure', options: { language: 'xx' } }));
+
+    const error = await client.waitFor(m => m.type === 'error');
+    assert.equal(error.code, 'unsupported_option');
+    assert.equal(error.option, 'language');
+    assert.ok(!client.messages.some(m => m.type === 'ready'));
+    client.ws.close();
+});
+
+test('resumes a dropped session and replays the finals after lastResultEnd', async () => {
+    const first = connect();
+    await first.opened;
+    first.ws.send(JSON.stringify({ type: 'configure', options: {} }));
+    const { sessionId } = await first.waitFor(m => m.type === 'ready');
+
+    first.ws.send(pcm(2, 8000));
+    await first.waitFor(m => m.type === 'transcript' && m.data.is_final);
+    first.ws.terminate(); // Dropped without CloseStream
+
+    const second = connect();
+    await second.opened;
+    second.ws.send(JSON.stringify({ type: 'resume', sessionId, lastResultEnd: 0 }));
+    const resumed = await second.waitFor(m => m.type === 'resumed');
+    assert.equal(resumed.bytes, 2 * SAMPLE_RATE * 2);
+
+    const replayed = await second.waitFor(m => m.type === 'transcript' && m.data.is_final);
+    assert.deepEqual(replayed.data.channel.alternatives[0].words.map(w => w.word), ['the', 'quick', 'brown', 'fox']);
+
+    second.ws.send(JSON.stringify({ type: 'CloseStream' }));
+    await second.waitFor(m => m.type === 'session_ended');
+    second.ws.close();
+});
+
+test('drops a session whose client leaves before the stream opens', async () => {
+    const before = await activeSessions();
+    const client = connect();
+    await client.opened;
+    client.ws.send(JSON.stringify({ type: 'configure', options: {} }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.equal(await activeSessions(), before + 1);
+
+    client.ws.close();
+    await new Promise(resolve => client.ws.once('close', resolve));
+    await new Promise(resolve => setTimeout(resolve, 400)); // Past the stream opening
+    assert.equal(await activeSessions(), before);
+    assert.ok(!client.messages.some(m => m.type === 'ready'));
+});
+
+test('rejects connections without a valid access token', async () => {
+    const client = connect('');
+    await assert.rejects(client.opened, { statusCode: 401 });
+});
@@ -0,0 +1,40 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Checks access tokens issued by the API server (backend/backend), which shares JWT_SECRET.
+ */
+
+/**
+ * Browsers cannot set headers on a WebSocket, so the token comes as `?access_token=`;
+ * other clients may use `Authorization: Bearer`.
+ */
+function getTokenFromRequest(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7);
+
+    const params = new URL(req.url || '/', 'ws://localhost').searchParams;
+    return params.get('access_token');
+}
+
+/**
+ * @returns {{ id: string, email: string }}
+ * @throws if the token is missing, invalid, expired or not an access token.
+ */
+function authenticate(req, secret) {
+    const token = getTokenFromRequest(req);
+    if (!token) throw new Error('Missing access token');
+
+    const payload = jwt.verify(token, secret);
+    if (payload.type !== 'access') throw new Error('Not an access token');
+    return { id: payload.sub, email: payload.email };
+}
+
+/**
+ * Short-lived token for calls the relay makes on the user's behalf (e.g. the identity service).
+ * The client's own token may expire during a long session, this one is minted per call.
+ */
+function signServiceToken(user, secret) {
+    return jwt.sign({ sub: user.id, email: user.email, type: 'access' }, secret, { expiresIn: '1m' });
+}
+
+module.exports = { authenticate, signServiceToken };
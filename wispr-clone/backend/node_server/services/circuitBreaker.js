@@ -0,0 +1,117 @@
+/**
+ * Circuit breaker for calls to a dependency that may be down (the identity service).
+ *
+ *   closed     calls go through; `failureThreshold` failures in a row open the circuit
+ *   open       calls fail immediately with a CircuitOpenError, for `resetTimeoutMs`
+ *   half_open  one trial call goes through: success closes the circuit, failure opens it again
+ *
+ * Every call is bounded by `timeoutMs`, a call still pending after that counts as a failure.
+ */
+
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`${name} is unavailable, not calling it for now`);
+        this.code = 'circuit_open';
+    }
+}
+
+class CircuitTimeoutError extends Error {
+    constructor(name, timeoutMs) {
+        super(`${name} did not answer within ${timeoutMs}ms`);
+        this.code = 'ETIMEDOUT';
+    }
+}
+
+/**
+ * @param {object} opts
+ * @param {string} [opts.name='dependency'] - Used in error messages.
+ * @param {number} [opts.failureThreshold=3]
+ * @param {number} [opts.resetTimeoutMs=30000] - How long the circuit stays open before a trial call.
+ * @param {number} [opts.timeoutMs=5000]
+ * @param {(err: Error) => boolean} [opts.isFailure] - Errors that say nothing about the dependency's
+ *   health (e.g. a rejected request) can be excluded.
+ * @param {(state: { state: string, failures: number, lastError: string|null }) => void} [opts.onStateChange]
+ */
+function createCircuitBreaker({
+    name = 'dependency',
+    failureThreshold = 3,
+    resetTimeoutMs = 30000,
+    timeoutMs = 5000,
+    isFailure = () => true,
+    onStateChange = () => {},
+} = {}) {
+    let state = 'closed';
+    let failures = 0; // Consecutive failures
+    let openedAt = 0;
+    let trialInFlight = false;
+    let lastError = null;
+
+    const snapshot = () => ({ state, failures, lastError });
+
+    const setState = (next) => {
+        const changed = next !== state;
+        state = next;
+        if (changed) onStateChange(snapshot());
+    };
+
+    const succeeded = () => {
+        const hadFailures = failures > 0;
+        failures = 0;
+        lastError = null;
+        if (state !== 'closed') setState('closed');
+        else if (hadFailures) onStateChange(snapshot());
+    };
+
+    const failed = (err) => {
+        failures += 1;
+        lastError = err.message;
+        if (state === 'half_open' || failures >= failureThreshold) {
+            openedAt = Date.now();
+            setState('open');
+        } else {
+            onStateChange(snapshot());
+        }
+    };
+
+    const withTimeout = (promise) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new CircuitTimeoutError(name, timeoutMs)), timeoutMs);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+
+    return {
+        getState: snapshot,
+
+        /**
+         * Runs `fn` unless the circuit is open.
+         * @template T
+         * @param {() => Promise<T>} fn
+         * @returns {Promise<T>}
+         */
+        async call(fn) {
+            if (state === 'open') {
+                if (Date.now() - openedAt < resetTimeoutMs) throw new CircuitOpenError(name);
+                setState('half_open');
+            }
+            if (state === 'half_open') {
+                // Only one trial at a time, everything else still fails fast
+                if (trialInFlight) throw new CircuitOpenError(name);
+                trialInFlight = true;
+            }
+
+            const trial = state === 'half_open';
+            try {
+                const result = await withTimeout(fn());
+                succeeded();
+                return result;
+            } catch (err) {
+                if (isFailure(err)) failed(err);
+                else if (trial) succeeded(); // The service answered, it is up
+                throw err;
+            } finally {
+                if (trial) trialInFlight = false;
+            }
+        },
+    };
+}
+
+module.exports = { createCircuitBreaker, CircuitOpenError };
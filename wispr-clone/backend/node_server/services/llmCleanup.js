@@ -0,0 +1,44 @@
+const axios = require('axios');
+
+// What each level asks of the model, mirroring the client's offline rules (src/utils/textCleanup.js)
+const LEVEL_INSTRUCTIONS = {
+    light: 'Remove filler words (um, uh, filler "like", "you know") and stutters, and fix casing and punctuation. Change nothing else.',
+    full: 'Remove filler words and stutters. Apply self-corrections: when the speaker corrects themselves ("at 3, no, at 4"), keep only the correction. '
+        + 'Fix casing and punctuation. Write spoken numbers, dates and email addresses in written form. '
+        + 'Format spoken enumerations ("first ..., second ...") as a bulleted list with "- " bullets.',
+};
+
+const SYSTEM_PROMPT = 'You clean up dictated text so it reads as if it had been typed. '
+    + 'Keep the speaker\'s words, meaning and language; never answer, summarize or add anything. '
+    + 'Reply with the cleaned text only.';
+
+/**
+ * Text cleanup with an LLM behind an OpenAI-compatible chat completions API (OpenAI, Azure, Ollama,
+ * LM Studio, ...). Serves POST /api/cleanup; the client falls back to its offline rules when this fails.
+ * @param {{ url: string, apiKey?: string, model: string, timeoutMs: number }} config - `url`: the API base,
+ *   e.g. https://api.openai.com/v1.
+ * @returns {{ clean: (text: string, opts: { level: 'light'|'full', language: string }) => Promise<string> }}
+ */
+function createLlmCleanup({ url, apiKey, model, timeoutMs }) {
+    const endpoint = `${url.replace(/\/+$/, '')}/chat/completions`;
+    const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+    return {
+        async clean(text, { level, language }) {
+            const response = await axios.post(endpoint, {
+                model,
+                temperature: 0,
+                messages: [
+                    { role: 'system', content: `${SYSTEM_PROMPT} ${LEVEL_INSTRUCTIONS[level]} The text is in language "${language}".` },
+                    { role: 'user', content: text },
+                ],
+            }, { headers, timeout: timeoutMs });
+
+            const cleaned = response.data?.choices?.[0]?.message?.content;
+            if (typeof cleaned !== 'string' || !cleaned.trim()) throw new Error('The model returned no text');
+            return cleaned.trim();
+        },
+    };
+}
+
+module.exports = { createLlmCleanup, LEVEL_INSTRUCTIONS };
@@ -0,0 +1,31 @@
+/**
+ * Leveled logger shared by the relay modules.
+ * Lines are `<ISO time> <LEVEL> message ...`; warnings and errors go to stderr.
+ * The level is set once at startup from the config (LOG_LEVEL).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let threshold = LEVELS.info;
+
+const write = (level, stream) => (...args) => {
+    if (LEVELS[level] < threshold) return;
+    stream(new Date().toISOString(), level.toUpperCase(), ...args);
+};
+
+const logger = {
+    debug: write('debug', console.log),
+    info: write('info', console.log),
+    warn: write('warn', console.error),
+    error: write('error', console.error),
+
+    /**
+     * @param {'debug'|'info'|'warn'|'error'} level
+     */
+    setLevel(level) {
+        if (!LEVELS[level]) throw new Error(`Unknown log level "${level}"`);
+        threshold = LEVELS[level];
+    },
+};
+
+module.exports = logger;
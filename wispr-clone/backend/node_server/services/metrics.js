@@ -0,0 +1,114 @@
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4) for the relay's /metrics endpoint.
+ *
+ * Counters and histograms take optional labels; gauges are read through a callback when scraped,
+ * so they always report the current value (e.g. the session registry's size).
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function createMetricsRegistry() {
+    const metrics = [];
+
+    const register = (name, help, type, render) => {
+        metrics.push({ name, help, type, render });
+    };
+
+    return {
+        /**
+         * @returns {{ inc(labels?: object, value?: number): void }}
+         */
+        counter(name, help) {
+            const values = new Map(); // labelKey -> { labels, value }
+            register(name, help, 'counter', () => [...values.values()]
+                .map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`));
+
+            return {
+                inc(labels = {}, value = 1) {
+                    const key = labelKey(labels);
+                    if (!values.has(key)) values.set(key, { labels, value: 0 });
+                    values.get(key).value += value;
+                },
+            };
+        },
+
+        /**
+         * @param {() => number} collect - Current value, called on every scrape.
+         */
+        gauge(name, help, collect) {
+            register(name, help, 'gauge', () => [`${name} ${collect()}`]);
+        },
+
+        /**
+         * @param {number[]} buckets - Upper bounds, ascending.
+         * @returns {{ observe(value: number, labels?: object): void }}
+         */
+        histogram(name, help, buckets) {
+            const series = new Map(); // labelKey -> { labels, counts, sum, count }
+            register(name, help, 'histogram', () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`,
+            ]));
+
+            return {
+                observe(value, labels = {}) {
+                    const key = labelKey(labels);
+                    if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+                    const entry = series.get(key);
+                    buckets.forEach((le, i) => {
+                        if (value <= le) entry.counts[i] += 1;
+                    });
+                    entry.sum += value;
+                    entry.count += 1;
+                },
+            };
+        },
+
+        /**
+         * Body for GET /metrics (Content-Type `text/plain; version=0.0.4`).
+         */
+        render() {
+            return metrics.map(({ name, help, type, render }) => [
+                `# HELP ${name} ${help}`,
+                `# TYPE ${name} ${type}`,
+                ...render(),
+            ].join('\n')).join('\n') + '\n';
+        },
+    };
+}
+
+/**
+ * The relay's instruments. Gauges read the live state through `sources`.
+ * @param {{ activeSessions: () => number, connectedClients: () => number }} sources
+ */
+function createRelayMetrics({ activeSessions, connectedClients }) {
+    const registry = createMetricsRegistry();
+
+    registry.gauge('relay_active_sessions', 'Relay sessions with an open upstream stream, attached or waiting for a resume.', activeSessions);
+    registry.gauge('relay_connected_clients', 'Client WebSockets currently connected.', connectedClients);
+
+    return {
+        registry,
+        audioBytes: registry.counter('relay_audio_bytes_total', 'Audio bytes received from clients.'),
+        forwardedBytes: registry.counter('relay_audio_forwarded_bytes_total', 'Audio bytes sent to the transcription provider (after silence gating).'),
+        transcriptLatency: registry.histogram(
+            'relay_transcript_latency_seconds',
+            'Time from receiving the end of a result\'s audio to receiving the result, by result type (interim/final).',
+            [0.1, 0.25, 0.5, 1, 2, 5, 10],
+        ),
+        identifyRequests: registry.counter('relay_identify_requests_total', 'Clips sent to the identity service.'),
+        identifyFailures: registry.counter('relay_identify_failures_total', 'Clips the identity service failed to score (unreachable, timeout, HTTP error, unreadable clip), by reason.'),
+    };
+}
+
+module.exports = { createMetricsRegistry, createRelayMetrics };
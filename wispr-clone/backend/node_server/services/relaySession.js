@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { createSpeakerAligner } = require('./speakerAlignment');
+const { createVoiceActivityDetector, createStreamClock } = require('./voiceActivity');
+const { createAudioHistory, createTurnCollector } = require('./turnIdentification');
+const logger = require('./logger');
+
+/**
+ * Resumable relay sessions.
+ *
+ * A session owns the upstream transcription stream and everything derived from it (speaker
+ * alignment, audio history for identification, recent results). The client WebSocket is only attached to it:
+ * when the socket drops without a CloseStream the session is detached and kept alive for a grace
+ * period, and a new socket can resume it with `{ type: 'resume', sessionId, lastResultEnd }`.
+ *
+ * Protocol additions:
+ * - `ready` carries `sessionId` and `graceMs`, how long the relay waits for a resume.
+ * - relay -> client `{ type: 'ack', bytes }`: total audio bytes received, so the client can drop
+ *   its copy of everything before that offset.
+ * - relay -> client `{ type: 'resumed', sessionId, bytes }`: the client replays audio from `bytes` on.
+ * - Final results the client has not seen (end > lastResultEnd) are replayed on resume.
+ * - relay -> client `{ type: 'speech_started' | 'speech_ended', at }` from the voice activity detector.
+ * - relay -> client `{ type: 'identity_status', status, reason }` when attached and whenever the identity
+ *   service changes between available, degraded and unavailable. Transcription never depends on it.
+ * - relay -> client `{ type: 'identification', speaker, turns, name, confidence }` for every
+ *   identified clip: the diarized speaker index and the turns `[{ start, end }]` the clip was cut from.
+ * - relay -> client `{ type: 'session_ended' }` once the upstream stream has closed: every result has
+ *   been sent, e.g. after a CloseStream the client can close its socket.
+ * - `ready` carries `recordingId` when the session is recorded (see sessionRecorder.js), so the
+ *   client can link its stored transcript to the audio.
+ *
+ * With VAD on, long silences never reach the provider (see voiceActivity.js). Result timestamps are
+ * mapped back to session time, so they always match the audio the client sent.
+ */
+
+const BYTES_PER_SECOND = 16000 * 2; // linear16 mono at 16 kHz
+const ACK_INTERVAL_MS = 250;
+const KEEPALIVE_MS = 5000; // Provider streams time out when nothing is sent for ~10s
+const LATENCY_WINDOW_SECONDS = 30; // Results for older audio are not measured
+const IDENTIFY_BATCH_MS = 250; // Clips ready within this time share one identify request
+
+/**
+ * End of a result in stream time (seconds).
+ */
+function resultEnd(data) {
+    return (data.start || 0) + (data.duration || 0);
+}
+
+/**
+ * @param {object} opts
+ * @param {{ id: string, email: string }} opts.user
+ * @param {object} opts.upstream - Provider stream, see services/transcription.
+ * @param {object} opts.options - Resolved transcription options, echoed in `ready`.
+ * @param {(clips: Array<{ id: string, pcm: Buffer }>) => Promise<Array<object>|null>} opts.identify - Voice ID
+ *   for a batch of clips, resolves with `{ id, speaker, confidence }` per clip (null if the service failed).
+ * @param {number} [opts.graceMs] - Resume window announced to the client in `ready`.
+ * @param {number} [opts.historySeconds=90] - How far back final results are kept for replay.
+ * @param {object|false} [opts.vad] - Options for createVoiceActivityDetector, false to forward all audio.
+ * @param {object} [opts.turns] - Options for createTurnCollector (clip lengths).
+ * @param {object} [opts.metrics] - Instruments from createRelayMetrics.
+ * @param {() => object} [opts.identityStatus] - Current `identity_status` payload, sent on attach.
+ * @param {object|null} [opts.recordings] - Store from createRecordingStore, null to not record.
+ * @param {() => void} [opts.onEnd] - Called once the upstream stream has closed and the recording is saved.
+ */
+function createRelaySession({
+    user, upstream, options, identify, graceMs, historySeconds = 90, vad = {}, turns: turnOptions, metrics,
+    identityStatus = null, recordings = null, onEnd = () => {},
+}) {
+    const id = crypto.randomUUID();
+    const aligner = createSpeakerAligner(); // Builds speakerId (0,1) -> identifiedName ("John")
+
+    let recorder = null;
+    if (recordings) {
+        try {
+            recorder = recordings.start({ id, user, options });
+        } catch (err) {
+            logger.error(`Session ${id} will not be recorded:`, err.message);
+        }
+    }
+
+    const detector = vad ? createVoiceActivityDetector(vad) : null;
+    const clock = createStreamClock();
+    const audioHistory = createAudioHistory(historySeconds);
+    const turns = createTurnCollector(turnOptions);
+
+    let ws = null;
+    let bytesReceived = 0; // Audio received from the client, the offset clients replay from
+    let lastForwardTime = Date.now();
+    let lastAckTime = 0;
+    let lastFinalEnd = 0; // Session time covered by final results so far
+    let finals = []; // Recent final results { end, message } for replay on resume
+    let arrivals = []; // { end, at }: session time received by wall-clock time `at`, for transcript latency
+    let queuedClips = []; // Clips waiting for the next identify batch
+    let batchTimer = null;
+    let clipCount = 0;
+    let ended = false;
+    let finishing = false; // finish() came before the upstream stream opened
+
+    // Gated silence (or a detached client) sends nothing upstream, keep the provider stream open
+    const keepAliveTimer = setInterval(() => {
+        if (upstream.isOpen() && Date.now() - lastForwardTime >= KEEPALIVE_MS) upstream.keepAlive();
+    }, KEEPALIVE_MS);
+
+    const send = (message) => {
+        if (ws && ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+
+    const sendSpeakerMap = () => send({ type: 'speaker_map', speakers: aligner.getSpeakerMap() });
+
+    const sendAck = () => {
+        lastAckTime = Date.now();
+        send({ type: 'ack', bytes: bytesReceived });
+    };
+
+    const flushClips = () => {
+        clearTimeout(batchTimer);
+        batchTimer = null;
+        const batch = queuedClips;
+        queuedClips = [];
+        if (batch.length === 0) return;
+
+        identify(batch.map(({ id: clipId, pcm }) => ({ id: clipId, pcm }))).then((results) => {
+            let changed = false;
+            (results || []).forEach((result) => {
+                const clip = batch.find(c => c.id === result.id);
+                if (!clip || !result.speaker || result.speaker === 'Unknown') return;
+                logger.debug("Identified:", result, "as speaker", clip.speaker, "in", clip.turns);
+                send({ type: 'identification', speaker: clip.speaker, turns: clip.turns, name: result.speaker, confidence: result.confidence });
+                if (aligner.addTurnIdentification(clip.speaker, result)) changed = true;
+            });
+            if (changed) sendSpeakerMap();
+        });
+    };
+
+    // One diarized speaker per clip: its turns are cut from the session audio at the word boundaries
+    const queueClip = ({ speaker, turns: clipTurns }) => {
+        const pcm = Buffer.concat(clipTurns.map(t => audioHistory.slice(t.start, t.end)));
+        queuedClips.push({ id: String(clipCount++), speaker, turns: clipTurns, pcm });
+        if (!batchTimer) batchTimer = setTimeout(flushClips, IDENTIFY_BATCH_MS);
+    };
+
+    // Latency: from the moment the result's last audio arrived from the client to now
+    const observeLatency = (data) => {
+        const end = resultEnd(data);
+        const arrival = arrivals.find(a => a.end >= end);
+        if (arrival) metrics?.transcriptLatency.observe((Date.now() - arrival.at) / 1000, { type: data.is_final ? 'final' : 'interim' });
+    };
+
+    upstream.on('transcript', (upstreamData) => {
+        const data = clock.mapResult(upstreamData);
+        observeLatency(data);
+        if (data.is_final) {
+            // Final results never overlap, anything ending inside covered time is a repeat
+            const end = resultEnd(data);
+            if (end <= lastFinalEnd) return;
+            lastFinalEnd = end;
+
+            const words = data.channel?.alternatives?.[0]?.words || [];
+            turns.add(words, data.speech_final).forEach(queueClip);
+        }
+
+        // Forward transcript to React Client, enriched with our speaker mapping
+        const message = { type: 'transcript', data: aligner.enrich(data) };
+        if (data.is_final) {
+            recorder?.addFinal(message.data);
+            finals.push({ end: lastFinalEnd, message });
+            finals = finals.filter(f => f.end >= lastFinalEnd - historySeconds);
+        }
+        send(message);
+    });
+
+    upstream.on('open', () => {
+        if (finishing) upstream.finish();
+    });
+
+    upstream.on('close', () => {
+        clearInterval(keepAliveTimer);
+        flushClips();
+        ended = true;
+        send({ type: 'session_ended' });
+        // Shutdown waits for onEnd, so the recording is complete on disk before the process exits
+        if (!recorder) onEnd();
+        else recorder.finish({ speakers: aligner.getSpeakerMap() }).then(onEnd);
+    });
+
+    return {
+        id,
+        user,
+        options,
+
+        isEnded: () => ended,
+
+        isAttached: () => ws !== null,
+
+        /**
+         * Binds a client socket. On resume, replays the final results the client is missing.
+         * @param {WebSocket} socket
+         * @param {{ resumed?: boolean, lastResultEnd?: number }} [opts]
+         */
+        attach(socket, { resumed = false, lastResultEnd = 0 } = {}) {
+            ws = socket;
+            if (!resumed) {
+                send({ type: 'ready', options, sessionId: id, graceMs, ...(recorder && { recordingId: recorder.id }) });
+            } else {
+                send({ type: 'resumed', sessionId: id, bytes: bytesReceived });
+                finals.filter(f => f.end > lastResultEnd).forEach(f => send(f.message));
+                sendSpeakerMap();
+            }
+            if (identityStatus) send({ type: 'identity_status', ...identityStatus() });
+        },
+
+        /**
+         * @returns {boolean} false if another socket has already taken over the session.
+         */
+        detach(socket) {
+            if (ws !== socket) return false;
+            ws = null;
+            return true;
+        },
+
+        /**
+         * Int16 PCM from the client.
+         */
+        handleAudio(message) {
+            const offset = bytesReceived;
+            bytesReceived += message.length;
+            if (Date.now() - lastAckTime > ACK_INTERVAL_MS) sendAck();
+            metrics?.audioBytes.inc({}, message.length);
+
+            arrivals.push({ end: bytesReceived / BYTES_PER_SECOND, at: Date.now() });
+            while (arrivals[0].end < arrivals[arrivals.length - 1].end - LATENCY_WINDOW_SECONDS) arrivals.shift();
+
+            audioHistory.append(offset, message);
+            recorder?.write(message);
+
+            const { forward, events } = detector
+                ? detector.push(message)
+                : { forward: [{ offset, data: message }], events: [] };
+
+            events.forEach(event => send(event));
+
+            if (!upstream.isOpen()) return;
+            forward.forEach(piece => {
+                upstream.send(piece.data);
+                clock.forwarded(piece.offset, piece.data.length);
+                metrics?.forwardedBytes.inc({}, piece.data.length);
+                lastForwardTime = Date.now();
+            });
+        },
+
+        sendError(code, message, extra = {}) {
+            send({ type: 'error', code, message, ...extra });
+        },
+
+        /**
+         * Sends a relay-wide event (e.g. `identity_status`) if a client is attached.
+         */
+        notify(message) {
+            send(message);
+        },
+
+        /**
+         * Client is done: flush the upstream stream, results still arrive until it closes.
+         * A stream that is still connecting is finished as soon as it opens.
+         */
+        finish() {
+            clearInterval(keepAliveTimer);
+            if (upstream.isOpen()) upstream.finish();
+            else finishing = true;
+        },
+    };
+}
+
+/**
+ * Sessions by id, with a grace timer for detached ones.
+ * @param {{ graceMs?: number }} [opts]
+ */
+function createSessionRegistry({ graceMs = 30000 } = {}) {
+    const sessions = new Map(); // id -> { session, timer }
+    let onEmpty = null; // Resolves a pending drain()
+
+    const remove = (id) => {
+        const entry = sessions.get(id);
+        if (!entry) return;
+        clearTimeout(entry.timer);
+        sessions.delete(id);
+        if (sessions.size === 0 && onEmpty) onEmpty();
+    };
+
+    return {
+        graceMs,
+
+        add(session) {
+            sessions.set(session.id, { session, timer: null });
+        },
+
+        /**
+         * Only the owner can resume a session.
+         * @returns {object|null}
+         */
+        get(id, userId) {
+            const entry = sessions.get(id);
+            if (!entry || entry.session.user.id !== userId || entry.session.isEnded()) return null;
+            return entry.session;
+        },
+
+        /**
+         * Socket dropped: finish the session unless it is resumed within the grace period.
+         */
+        detach(id) {
+            const entry = sessions.get(id);
+            if (!entry) return;
+            clearTimeout(entry.timer);
+            entry.timer = setTimeout(() => {
+                logger.info(`Session ${id} not resumed within ${graceMs}ms, closing upstream`);
+                remove(id);
+                entry.session.finish();
+            }, graceMs);
+        },
+
+        attach(id) {
+            const entry = sessions.get(id);
+            if (entry) clearTimeout(entry.timer);
+        },
+
+        remove,
+
+        size: () => sessions.size,
+
+        broadcast(message) {
+            for (const entry of sessions.values()) entry.session.notify(message);
+        },
+
+        /**
+         * Shutdown: finishes every session, attached or detached, so the providers flush their last
+         * results to the clients still connected.
+         * @param {number} timeoutMs
+         * @returns {Promise<boolean>} false if some upstream streams were still open after `timeoutMs`.
+         */
+        drain(timeoutMs) {
+            for (const entry of sessions.values()) {
+                clearTimeout(entry.timer);
+                entry.session.finish();
+            }
+            if (sessions.size === 0) return Promise.resolve(true);
+
+            return new Promise(resolve => {
+                const timer = setTimeout(() => resolve(false), timeoutMs);
+                onEmpty = () => {
+                    clearTimeout(timer);
+                    resolve(true);
+                };
+            });
+        },
+    };
+}
+
+module.exports = { createRelaySession, createSessionRegistry, BYTES_PER_SECOND };
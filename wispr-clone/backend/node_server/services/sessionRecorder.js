@@ -0,0 +1,307 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createWavHeader, wavSizeFields, HEADER_BYTES, SAMPLE_RATE } = require('./wav');
+const logger = require('./logger');
+
+/**
+ * Session recordings on disk.
+ *
+ * Every session's audio, as received from the client (before silence gating), is streamed to
+ * `<dir>/<userId>/<sessionId>.wav`, with a manifest `<sessionId>.json` next to it:
+ *
+ *   { id, userId, status: recording | complete | interrupted, createdAt, endedAt, durationSeconds,
+ *     format, audioFile, sampleRate, options, speakers, transcript: [{ start, end, transcript, words }] }
+ *
+ * Transcript times are session seconds, i.e. offsets into the audio file. With format `opus` the WAV
+ * is transcoded with ffmpeg once the session ends; if that fails the WAV is kept.
+ * Recordings older than `retentionDays` are deleted by sweep() (0 keeps them forever).
+ */
+
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+const AUDIO_TYPES = { wav: 'audio/wav', opus: 'audio/ogg' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ids become file names: user ids are ObjectIds, session ids UUIDs
+const isSafeId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+
+async function readJson(file) {
+    try {
+        return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+}
+
+async function writeJson(file, data) {
+    // Written aside and renamed, a manifest is never half-written
+    await fsp.writeFile(`${file}.tmp`, JSON.stringify(data, null, 2));
+    await fsp.rename(`${file}.tmp`, file);
+}
+
+async function patchWavHeader(file, dataSize) {
+    const handle = await fsp.open(file, 'r+');
+    try {
+        for (const { position, value } of wavSizeFields(dataSize)) {
+            const field = Buffer.alloc(4);
+            field.writeUInt32LE(value);
+            await handle.write(field, 0, 4, position);
+        }
+    } finally {
+        await handle.close();
+    }
+}
+
+function transcode(ffmpegPath, input, output) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', '-i', input, '-c:a', 'libopus', '-b:a', '24k', '-f', 'ogg', output]);
+        let stderr = '';
+        ffmpeg.stderr.on('data', (chunk) => { stderr += chunk; });
+        ffmpeg.on('error', reject); // e.g. ENOENT: ffmpeg is not installed
+        ffmpeg.on('close', (code) => {
+            if (code === 0) resolve();
+            else reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+        });
+    });
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.dir - Root directory, created if missing.
+ * @param {'wav'|'opus'} [opts.format='wav']
+ * @param {number} [opts.retentionDays=30]
+ * @param {string} [opts.ffmpegPath='ffmpeg'] - Only used for `opus`.
+ */
+function createRecordingStore({ dir, format = 'wav', retentionDays = 30, ffmpegPath = 'ffmpeg' }) {
+    const root = path.resolve(dir);
+    const openedAt = Date.now();
+    const userDir = (userId) => path.join(root, userId);
+    const manifestPath = (userId, id) => path.join(userDir(userId), `${id}.json`);
+
+    const finishAudio = async (manifest) => {
+        const wavFile = path.join(userDir(manifest.userId), manifest.audioFile);
+        if (format !== 'opus') return manifest;
+
+        const opusFile = wavFile.replace(/\.wav$/, '.opus');
+        try {
+            // Transcoded under a temporary name: if the relay stops halfway the WAV is still the recording
+            await transcode(ffmpegPath, wavFile, `${opusFile}.part`);
+            await fsp.rename(`${opusFile}.part`, opusFile);
+        } catch (err) {
+            logger.warn(`Keeping recording ${manifest.id} as WAV, Opus encoding failed: ${err.message}`);
+            await fsp.rm(`${opusFile}.part`, { force: true });
+            return manifest;
+        }
+
+        const transcoded = { ...manifest, format: 'opus', audioFile: path.basename(opusFile) };
+        await writeJson(manifestPath(manifest.userId, manifest.id), transcoded);
+        await fsp.rm(wavFile, { force: true });
+        return transcoded;
+    };
+
+    const store = {
+        dir: root,
+        format,
+
+        /**
+         * Starts recording a session. The recorder never throws: a disk error stops the recording
+         * (logged), transcription goes on.
+         * @param {{ id: string, user: { id: string }, options: object }} session
+         */
+        start({ id, user, options }) {
+            if (!isSafeId(id) || !isSafeId(user.id)) throw new Error(`Cannot record session ${id} of user ${user.id}`);
+
+            const manifest = {
+                id,
+                userId: user.id,
+                status: 'recording',
+                createdAt: new Date().toISOString(),
+                endedAt: null,
+                durationSeconds: 0,
+                format: 'wav',
+                audioFile: `${id}.wav`,
+                sampleRate: SAMPLE_RATE,
+                options,
+                speakers: {},
+                transcript: [],
+            };
+            const audioFile = path.join(userDir(user.id), manifest.audioFile);
+
+            let bytes = 0;
+            let failed = false;
+            let finishing = null;
+
+            fs.mkdirSync(userDir(user.id), { recursive: true });
+            // Sizes are unknown until the end, they are patched into the header then
+            const stream = fs.createWriteStream(audioFile);
+            stream.write(createWavHeader(0));
+            stream.on('error', (err) => {
+                if (failed) return;
+                failed = true;
+                logger.error(`Recording ${id} stopped:`, err.message);
+            });
+            const ready = writeJson(manifestPath(user.id, id), manifest).catch((err) => {
+                logger.error(`Recording ${id}: could not write its manifest:`, err.message);
+            });
+
+            return {
+                id,
+
+                /**
+                 * Appends client audio (Int16 PCM, session order).
+                 */
+                write(pcm) {
+                    if (failed || finishing) return;
+                    bytes += pcm.length;
+                    stream.write(pcm);
+                },
+
+                /**
+                 * Keeps a final result (session time, enriched with speaker names) for the manifest.
+                 */
+                addFinal(data) {
+                    const alternative = data.channel?.alternatives?.[0];
+                    if (!alternative || !alternative.transcript) return;
+                    manifest.transcript.push({
+                        start: data.start || 0,
+                        end: (data.start || 0) + (data.duration || 0),
+                        transcript: alternative.transcript,
+                        words: alternative.words || [],
+                    });
+                },
+
+                /**
+                 * Closes the audio file, completes the manifest and (for opus) transcodes.
+                 * @param {{ speakers?: object }} [extra]
+                 * @returns {Promise<object|null>} The manifest, null if the recording failed.
+                 */
+                finish({ speakers = {} } = {}) {
+                    if (finishing) return finishing;
+                    finishing = (async () => {
+                        await new Promise(resolve => stream.end(resolve));
+                        await ready;
+                        if (failed) return null;
+
+                        await patchWavHeader(audioFile, bytes);
+                        const complete = {
+                            ...manifest,
+                            status: 'complete',
+                            endedAt: new Date().toISOString(),
+                            durationSeconds: bytes / BYTES_PER_SECOND,
+                            speakers,
+                        };
+                        await writeJson(manifestPath(user.id, id), complete);
+                        return finishAudio(complete);
+                    })().catch((err) => {
+                        logger.error(`Recording ${id}: could not complete it:`, err.message);
+                        return null;
+                    });
+                    return finishing;
+                },
+            };
+        },
+
+        /**
+         * The user's recordings, newest first, without their transcripts.
+         */
+        async list(userId) {
+            if (!isSafeId(userId)) return [];
+            const files = await fsp.readdir(userDir(userId)).catch(() => []);
+            const manifests = await Promise.all(files
+                .filter(file => file.endsWith('.json'))
+                .map(file => readJson(path.join(userDir(userId), file)).catch(() => null)));
+
+            return manifests
+                .filter(Boolean)
+                .map(({ transcript, ...summary }) => ({ ...summary, segmentCount: transcript.length }))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        },
+
+        /**
+         * @returns {Promise<object|null>} The full manifest, null if the user has no such recording.
+         */
+        async get(userId, id) {
+            if (!isSafeId(userId) || !isSafeId(id)) return null;
+            return readJson(manifestPath(userId, id));
+        },
+
+        /**
+         * @returns {{ file: string, contentType: string }}
+         */
+        audio(manifest) {
+            return {
+                file: path.join(userDir(manifest.userId), manifest.audioFile),
+                contentType: AUDIO_TYPES[manifest.format],
+            };
+        },
+
+        /**
+         * @returns {Promise<boolean>} false if there was no such recording.
+         */
+        async remove(userId, id) {
+            const manifest = await store.get(userId, id);
+            if (!manifest) return false;
+            await fsp.rm(path.join(userDir(userId), manifest.audioFile), { force: true });
+            await fsp.rm(manifestPath(userId, id), { force: true });
+            return true;
+        },
+
+        /**
+         * Recordings still marked `recording` from before this store was created were cut off by a
+         * crash: their WAV headers get the real sizes and they are marked `interrupted`.
+         * @returns {Promise<number>} Recordings repaired.
+         */
+        async recover() {
+            let repaired = 0;
+            for (const { userId, manifest } of await allManifests()) {
+                if (manifest.status !== 'recording' || Date.parse(manifest.createdAt) >= openedAt) continue;
+                const file = path.join(userDir(userId), manifest.audioFile);
+                const size = (await fsp.stat(file).catch(() => ({ size: 0 }))).size;
+                if (size >= HEADER_BYTES) await patchWavHeader(file, size - HEADER_BYTES);
+                await writeJson(manifestPath(userId, manifest.id), {
+                    ...manifest,
+                    status: 'interrupted',
+                    durationSeconds: Math.max(0, size - HEADER_BYTES) / BYTES_PER_SECOND,
+                });
+                repaired += 1;
+            }
+            return repaired;
+        },
+
+        /**
+         * Deletes recordings that ended more than `retentionDays` ago.
+         * @returns {Promise<number>} Recordings deleted.
+         */
+        async sweep(now = Date.now()) {
+            if (!retentionDays) return 0;
+            const cutoff = now - retentionDays * DAY_MS;
+            let deleted = 0;
+            for (const { userId, manifest } of await allManifests()) {
+                if (manifest.status === 'recording') continue;
+                if (Date.parse(manifest.endedAt || manifest.createdAt) >= cutoff) continue;
+                await store.remove(userId, manifest.id);
+                deleted += 1;
+            }
+            return deleted;
+        },
+    };
+
+    async function allManifests() {
+        const users = await fsp.readdir(root, { withFileTypes: true }).catch(() => []);
+        const found = [];
+        for (const entry of users.filter(e => e.isDirectory() && isSafeId(e.name))) {
+            const files = await fsp.readdir(userDir(entry.name));
+            for (const file of files.filter(f => f.endsWith('.json'))) {
+                const manifest = await readJson(path.join(userDir(entry.name), file)).catch(() => null);
+                if (manifest) found.push({ userId: entry.name, manifest });
+            }
+        }
+        return found;
+    }
+
+    return store;
+}
+
+module.exports = { createRecordingStore };
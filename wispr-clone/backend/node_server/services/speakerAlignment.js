@@ -0,0 +1,80 @@
+/**
+ * Aligns voice-ID results with Deepgram's diarized speakers.
+ *
+ * Identifications cut from a diarized speaker's turns (see turnIdentification.js) vote for that
+ * speaker. Votes accumulate per session into a stable speakerId -> name map.
+ */
+
+function createSpeakerAligner() {
+    const votes = new Map(); // speakerId -> Map(name -> weight)
+    let speakerMap = {}; // speakerId -> { name, confidence }
+
+    const rebuildMap = () => {
+        const next = {};
+        for (const [speaker, byName] of votes) {
+            let total = 0;
+            let winner = null;
+            for (const [name, weight] of byName) {
+                total += weight;
+                if (!winner || weight > winner.weight) winner = { name, weight };
+            }
+            // Confidence is the winner's share of all evidence gathered for this speaker
+            next[speaker] = { name: winner.name, confidence: total > 0 ? winner.weight / total : 0 };
+        }
+
+        const changed = JSON.stringify(next) !== JSON.stringify(speakerMap);
+        speakerMap = next;
+        return changed;
+    };
+
+    const vote = (speaker, name, weight) => {
+        if (!votes.has(speaker)) votes.set(speaker, new Map());
+        const byName = votes.get(speaker);
+        byName.set(name, (byName.get(name) || 0) + weight);
+    };
+
+    const isIdentified = (result) => result && result.speaker && result.speaker !== 'Unknown' && result.speaker !== 'Error';
+
+    return {
+        /**
+         * Records an identify response for audio of a single diarized speaker.
+         * @param {number} speaker - Diarized speaker index the clip was cut for.
+         * @param {{ speaker: string, confidence: number }|null} result - Response from the Python service.
+         * @returns {boolean} true if the speaker map changed.
+         */
+        addTurnIdentification(speaker, result) {
+            if (!isIdentified(result)) return false;
+            vote(speaker, result.speaker, result.confidence || 0);
+            return rebuildMap();
+        },
+
+        /**
+         * Returns a copy of a Deepgram result with `speaker_name` / `speaker_confidence` on every mapped word.
+         */
+        enrich(data) {
+            const alternatives = data?.channel?.alternatives;
+            if (!alternatives) return data;
+
+            return {
+                ...data,
+                channel: {
+                    ...data.channel,
+                    alternatives: alternatives.map(alt => ({
+                        ...alt,
+                        words: (alt.words || []).map(word => {
+                            const identity = speakerMap[word.speaker];
+                            if (!identity) return word;
+                            return { ...word, speaker_name: identity.name, speaker_confidence: identity.confidence };
+                        }),
+                    })),
+                },
+            };
+        },
+
+        getSpeakerMap() {
+            return { ...speakerMap };
+        },
+    };
+}
+
+module.exports = { createSpeakerAligner };
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSpeakerAligner } = require('./speakerAlignment');
+
+// Fake Deepgram final result: [word, start, end, speaker]
+const finalResult = (start, duration, words) => ({
+    is_final: true,
+    start,
+    duration,
+    channel: {
+        alternatives: [{
+            transcript: words.map(([word]) => word).join(' '),
+            words: words.map(([word, wordStart, end, speaker]) => ({ word, start: wordStart, end, speaker })),
+        }],
+    },
+});
+
+// Fake identify responses from the Python service
+const identified = (speaker, confidence = 0.9) => ({ speaker, confidence });
+
+test('unidentified responses are ignored', () => {
+    const aligner = createSpeakerAligner();
+
+    assert.equal(aligner.addTurnIdentification(0, identified('Unknown')), false);
+    assert.equal(aligner.addTurnIdentification(0, identified('Error')), false);
+    assert.equal(aligner.addTurnIdentification(0, null), false);
+    assert.deepEqual(aligner.getSpeakerMap(), {});
+});
+
+test('votes accumulate across clips into a stable map', () => {
+    const aligner = createSpeakerAligner();
+
+    aligner.addTurnIdentification(0, identified('Ann', 0.9));
+    aligner.addTurnIdentification(1, identified('Ben', 0.8));
+    // One misidentification of speaker 0 does not flip the name
+    aligner.addTurnIdentification(0, identified('Ben', 0.5));
+    aligner.addTurnIdentification(0, identified('Ann', 0.9));
+
+    const map = aligner.getSpeakerMap();
+    assert.equal(map[0].name, 'Ann');
+    assert.equal(map[1].name, 'Ben');
+    // Ann: 1.8 of 2.3 votes for speaker 0
+    assert.ok(Math.abs(map[0].confidence - 1.8 / 2.3) < 1e-9);
+    assert.equal(map[1].confidence, 1);
+
+    // A repeat of the same evidence does not report a change
+    assert.equal(aligner.addTurnIdentification(1, identified('Ben', 0.8)), false);
+});
+
+test('turn identifications vote for their speaker directly', () => {
+    const aligner = createSpeakerAligner();
+    assert.equal(aligner.addTurnIdentification(2, identified('Cleo', 0.7)), true);
+    assert.deepEqual(aligner.getSpeakerMap(), { 2: { name: 'Cleo', confidence: 1 } });
+});
+
+test('each session keeps its own map', () => {
+    const first = createSpeakerAligner();
+    const second = createSpeakerAligner();
+    first.addTurnIdentification(0, identified('Ann'));
+    second.addTurnIdentification(0, identified('Ben'));
+
+    assert.equal(first.getSpeakerMap()[0].name, 'Ann');
+    assert.equal(second.getSpeakerMap()[0].name, 'Ben');
+});
+
+test('enrich names every word of a mapped speaker without touching the input', () => {
+    const aligner = createSpeakerAligner();
+    aligner.addTurnIdentification(0, identified('Ann'));
+
+    const result = finalResult(0, 2, [['hi', 0, 1, 0], ['yo', 1, 2, 1]]);
+    const enriched = aligner.enrich(result);
+    const [ann, unknown] = enriched.channel.alternatives[0].words;
+
+    assert.equal(ann.speaker_name, 'Ann');
+    assert.equal(ann.speaker_confidence, 1);
+    assert.equal(unknown.speaker_name, undefined);
+    assert.equal(result.channel.alternatives[0].words[0].speaker_name, undefined);
+    assert.deepEqual(aligner.enrich({ type: 'Metadata' }), { type: 'Metadata' });
+});
@@ -0,0 +1,89 @@
+const { EventEmitter } = require('events');
+const { createClient, LiveTranscriptionEvents } = require('@deepgram/sdk');
+
+/**
+ * Deepgram live streaming provider.
+ * @param {{ apiKey: string }} config
+ */
+function createDeepgramProvider({ apiKey }) {
+    if (!apiKey) {
+        throw new Error("Deepgram API Key missing from .env (DEEPGRAM_API_KEY)");
+    }
+    const deepgram = createClient(apiKey);
+
+    return {
+        name: 'deepgram',
+
+        startStream(options) {
+            const stream = new EventEmitter();
+            let keepAliveTimer;
+
+            const connection = deepgram.listen.live({
+                ...options,
+                encoding: "linear16",
+                sample_rate: 16000,
+            });
+
+            connection.on(LiveTranscriptionEvents.Open, () => {
+                // Deepgram closes idle streams after ~10s without audio or KeepAlive
+                keepAliveTimer = setInterval(() => stream.keepAlive(), 10000);
+                stream.emit('open');
+            });
+
+            connection.on(LiveTranscriptionEvents.Transcript, (data) => stream.emit('transcript', data));
+
+            connection.on(LiveTranscriptionEvents.Close, () => {
+                clearInterval(keepAliveTimer);
+                stream.emit('close');
+            });
+
+            connection.on(LiveTranscriptionEvents.Error, (err) => stream.emit('error', err));
+
+            stream.isOpen = () => connection.getReadyState() === 1; // 1 = OPEN
+            stream.send = (pcm) => {
+                if (stream.isOpen()) connection.send(pcm);
+            };
+            stream.keepAlive = () => {
+                if (stream.isOpen()) connection.keepAlive();
+            };
+            stream.finish = () => {
+                clearInterval(keepAliveTimer);
+                connection.finish();
+            };
+
+            return stream;
+        },
+
+        /**
+         * Transcribes a whole file. Resolves with Deepgram's prerecorded response.
+         * @param {Buffer} audio
+         * @param {object} options - Resolved session options plus `mimetype`.
+         */
+        async transcribeFile(audio, options) {
+            const { result, error } = await deepgram.listen.prerecorded.transcribeFile(audio, options);
+            if (error) throw error;
+            return result;
+        },
+
+        /**
+         * Mints a short-lived token (30s) a browser can use to stream to Deepgram directly,
+         * so the API key itself never leaves the server.
+         * @returns {Promise<{ access_token: string, expires_in: number }>}
+         */
+        async grantToken() {
+            const { result, error } = await deepgram.auth.grantToken();
+            if (error) throw error;
+            return result;
+        },
+
+        /**
+         * Rejects unless Deepgram is reachable and accepts the API key.
+         */
+        async checkReady() {
+            const { error } = await deepgram.manage.getProjects();
+            if (error) throw error;
+        },
+    };
+}
+
+module.exports = { createDeepgramProvider };
@@ -0,0 +1,104 @@
+const { EventEmitter } = require('events');
+const { buildResult } = require('./results');
+
+const SAMPLE_RATE = 16000;
+const DEFAULT_SCRIPT = 'the quick brown fox jumps over the lazy dog'.split(' ');
+
+/**
+ * Deterministic offline engine for tests and demos: no network, no model.
+ * Every `wordSeconds` of voiced audio (RMS above `silenceThreshold`) becomes the next word of `script`,
+ * with real stream timestamps. Partial results are emitted per word, a final every `finalEvery` words
+ * or as soon as a silent chunk follows speech (then `speech_final` is set too).
+ * Speakers rotate every `wordsPerTurn` words across `speakers` diarized indices.
+ * Streams open after `openDelayMs`, like a provider that takes a while to connect.
+ */
+function createFakeProvider({
+    script = DEFAULT_SCRIPT,
+    wordSeconds = 0.5,
+    finalEvery = 4,
+    silenceThreshold = 500,
+    speakers = 1,
+    wordsPerTurn = 8,
+    openDelayMs = 0,
+} = {}) {
+    const chunkSamples = Math.round(SAMPLE_RATE * wordSeconds);
+
+    return {
+        name: 'fake',
+
+        startStream() {
+            const stream = new EventEmitter();
+            let open = false;
+            let samplesSeen = 0; // Stream position in samples
+            let chunkFill = 0;
+            let chunkEnergy = 0;
+            let wordIndex = 0;
+            let pending = []; // Words not finalized yet
+            let leftover = Buffer.alloc(0); // Odd byte carried between sends
+
+            const emitFinal = (speechFinal) => {
+                if (pending.length === 0) return;
+                stream.emit('transcript', buildResult({ words: pending, isFinal: true, speechFinal }));
+                pending = [];
+            };
+
+            const closeChunk = () => {
+                const end = samplesSeen / SAMPLE_RATE;
+                const rms = Math.sqrt(chunkEnergy / chunkFill);
+                chunkFill = 0;
+                chunkEnergy = 0;
+
+                if (rms < silenceThreshold) {
+                    emitFinal(true);
+                    return;
+                }
+
+                pending.push({
+                    word: script[wordIndex % script.length],
+                    start: end - wordSeconds,
+                    end,
+                    speaker: Math.floor(wordIndex / wordsPerTurn) % speakers,
+                });
+                wordIndex++;
+
+                if (pending.length >= finalEvery) {
+                    emitFinal(false);
+                } else {
+                    stream.emit('transcript', buildResult({ words: pending, isFinal: false }));
+                }
+            };
+
+            stream.isOpen = () => open;
+            stream.send = (pcm) => {
+                if (!open) return;
+                const data = Buffer.concat([leftover, pcm]);
+                const usable = data.length - (data.length % 2);
+                leftover = data.subarray(usable);
+
+                for (let i = 0; i < usable; i += 2) {
+                    const sample = data.readInt16LE(i);
+                    chunkEnergy += sample * sample;
+                    chunkFill++;
+                    samplesSeen++;
+                    if (chunkFill === chunkSamples) closeChunk();
+                }
+            };
+            stream.keepAlive = () => {};
+            stream.finish = () => {
+                if (!open) return;
+                open = false;
+                emitFinal(true);
+                setImmediate(() => stream.emit('close'));
+            };
+
+            setTimeout(() => {
+                open = true;
+                stream.emit('open');
+            }, openDelayMs);
+
+            return stream;
+        },
+    };
+}
+
+module.exports = { createFakeProvider };
@@ -0,0 +1,46 @@
+/**
+ * Transcription providers.
+ *
+ * Every provider exposes `startStream(options)` which returns a stream (an EventEmitter) with:
+ *   - send(pcm)     push a chunk of linear16 mono 16 kHz PCM
+ *   - keepAlive()   keep the upstream session open while no audio is sent
+ *   - finish()      flush pending audio and close; 'close' is emitted when done
+ *   - isOpen()      true once the stream accepts audio
+ * and emits:
+ *   - 'open'
+ *   - 'transcript'  a result in Deepgram's live `Results` shape (see results.js), interim or final
+ *   - 'error'       (err)
+ *   - 'close'
+ *
+ * Optional, for providers that support them (the HTTP API answers 501 otherwise):
+ *   - transcribeFile(audio, options)  whole-file transcription, resolves with a prerecorded response
+ *   - grantToken()                    short-lived token for streaming from the browser directly
+ *   - checkReady()                    rejects while the upstream service is unreachable (used by /readyz),
+ *                                     providers without a remote service leave it out
+ *
+ * Keeping Deepgram's message shape as the common format means the React client and the speaker
+ * aligner work unchanged whichever provider produced the result.
+ */
+const { createDeepgramProvider } = require('./deepgramProvider');
+const { createLocalProvider } = require('./localProvider');
+const { createFakeProvider } = require('./fakeProvider');
+
+const PROVIDERS = {
+    deepgram: createDeepgramProvider,
+    local: createLocalProvider,
+    fake: createFakeProvider,
+};
+
+/**
+ * @param {string} name - One of the keys of PROVIDERS (TRANSCRIPTION_PROVIDER).
+ * @param {object} config - Provider-specific settings (API key, command line, ...).
+ */
+function createTranscriptionProvider(name, config = {}) {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown transcription provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(config);
+}
+
+module.exports = { createTranscriptionProvider, PROVIDERS };
@@ -0,0 +1,80 @@
+const { EventEmitter } = require('events');
+const { spawn } = require('child_process');
+const readline = require('readline');
+const { buildResult } = require('./results');
+const logger = require('../logger');
+
+/**
+ * Offline CPU engine running as a subprocess (python_service/local_asr.py wraps Vosk by default).
+ * Raw PCM goes to the child's stdin; the child writes one JSON object per line to stdout:
+ *   { "type": "partial", "words": [{ "word", "start", "end", "conf" }] }
+ *   { "type": "final", "words": [...] }
+ * Anything else the child prints on stderr is logged.
+ *
+ * @param {{ command: string, args?: string[], cwd?: string }} config
+ */
+function createLocalProvider({ command = 'python', args = ['local_asr.py'], cwd } = {}) {
+    return {
+        name: 'local',
+
+        startStream(options) {
+            const stream = new EventEmitter();
+            let open = false;
+
+            const child = spawn(command, [...args, '--language', options.language || 'en'], {
+                cwd,
+                stdio: ['pipe', 'pipe', 'pipe'],
+            });
+
+            child.on('spawn', () => {
+                open = true;
+                stream.emit('open');
+            });
+            child.on('error', (err) => stream.emit('error', err));
+            child.on('close', (code) => {
+                open = false;
+                if (code) stream.emit('error', new Error(`Local ASR exited with code ${code}`));
+                stream.emit('close');
+            });
+            child.stdin.on('error', (err) => stream.emit('error', err));
+            child.stderr.on('data', (chunk) => logger.error('[local-asr]', chunk.toString().trim()));
+
+            readline.createInterface({ input: child.stdout }).on('line', (line) => {
+                let msg;
+                try {
+                    msg = JSON.parse(line);
+                } catch {
+                    return; // Engine chatter that isn't a result
+                }
+                if (msg.type !== 'partial' && msg.type !== 'final') return;
+
+                const words = (msg.words || []).map(w => ({
+                    word: w.word,
+                    start: w.start,
+                    end: w.end,
+                    confidence: w.conf,
+                    speaker: 0, // No diarization in the local engine
+                }));
+                if (words.length === 0 && msg.type === 'partial') return;
+
+                const isFinal = msg.type === 'final';
+                stream.emit('transcript', buildResult({ words, isFinal, speechFinal: isFinal }));
+            });
+
+            stream.isOpen = () => open;
+            stream.send = (pcm) => {
+                if (open) child.stdin.write(pcm);
+            };
+            stream.keepAlive = () => {};
+            stream.finish = () => {
+                if (!open) return;
+                open = false;
+                child.stdin.end(); // The engine flushes its last final on EOF and exits
+            };
+
+            return stream;
+        },
+    };
+}
+
+module.exports = { createLocalProvider };
@@ -0,0 +1,42 @@
+/**
+ * Builds a result in Deepgram's live `Results` shape, the format every provider emits.
+ * @param {object} params
+ * @param {Array<{ word: string, start: number, end: number, confidence?: number, speaker?: number, punctuated_word?: string }>} params.words
+ * @param {boolean} params.isFinal
+ * @param {boolean} [params.speechFinal]
+ * @param {number} [params.start] - Stream time (s) the result covers from, defaults to the first word.
+ * @param {number} [params.duration] - Length (s) of audio covered, defaults to the span of the words.
+ */
+function buildResult({ words, isFinal, speechFinal = false, start, duration }) {
+    const normalized = words.map(w => ({
+        word: w.word,
+        start: w.start,
+        end: w.end,
+        confidence: w.confidence ?? 1,
+        speaker: w.speaker ?? 0,
+        punctuated_word: w.punctuated_word || w.word,
+    }));
+
+    const resultStart = start ?? (normalized.length > 0 ? normalized[0].start : 0);
+    const resultEnd = normalized.length > 0 ? normalized[normalized.length - 1].end : resultStart;
+    const confidence = normalized.length > 0
+        ? normalized.reduce((sum, w) => sum + w.confidence, 0) / normalized.length
+        : 0;
+
+    return {
+        type: 'Results',
+        is_final: isFinal,
+        speech_final: speechFinal,
+        start: resultStart,
+        duration: duration ?? resultEnd - resultStart,
+        channel: {
+            alternatives: [{
+                transcript: normalized.map(w => w.punctuated_word).join(' '),
+                confidence,
+                words: normalized,
+            }],
+        },
+    };
+}
+
+module.exports = { buildResult };
@@ -0,0 +1,114 @@
+/**
+ * Speaker-turn based identification.
+ *
+ * Instead of identifying whatever audio arrived in the last few seconds (which often mixes two
+ * speakers or cuts a word in half), final results are split into diarized speaker turns using their
+ * word timestamps. Each speaker's turns are gathered until there is enough audio for a voice print,
+ * and the clip is cut from the session audio at exactly those word boundaries. A clip therefore
+ * only ever contains one diarized speaker, and its result can vote for that speaker directly.
+ */
+
+const BYTES_PER_SECOND = 16000 * 2; // linear16 mono at 16 kHz
+
+/**
+ * Recent session audio, addressable by session time.
+ * @param {number} [seconds=60] - How much audio to keep.
+ */
+function createAudioHistory(seconds = 60) {
+    let chunks = []; // { offset, data } in session bytes, contiguous
+    const maxBytes = seconds * BYTES_PER_SECOND;
+
+    return {
+        append(offset, data) {
+            chunks.push({ offset, data });
+            const end = offset + data.length;
+            chunks = chunks.filter(c => c.offset + c.data.length > end - maxBytes);
+        },
+
+        /**
+         * Audio between two session times, clamped to what is still kept.
+         * @returns {Buffer}
+         */
+        slice(start, end) {
+            // Whole samples only
+            const from = Math.floor(start * BYTES_PER_SECOND / 2) * 2;
+            const to = Math.ceil(end * BYTES_PER_SECOND / 2) * 2;
+            const parts = [];
+            for (const chunk of chunks) {
+                const chunkEnd = chunk.offset + chunk.data.length;
+                if (chunkEnd <= from || chunk.offset >= to) continue;
+                parts.push(chunk.data.subarray(Math.max(0, from - chunk.offset), Math.min(chunk.data.length, to - chunk.offset)));
+            }
+            return Buffer.concat(parts);
+        },
+    };
+}
+
+/**
+ * Splits final words into turns and gathers them per speaker into identification clips.
+ * @param {object} [opts]
+ * @param {number} [opts.minSeconds=2] - Shortest clip worth identifying.
+ * @param {number} [opts.maxSeconds=8] - A long turn is cut into clips of at most this length.
+ * @param {number} [opts.padding=0.05] - Audio kept around the first/last word of a turn.
+ */
+function createTurnCollector({ minSeconds = 2, maxSeconds = 8, padding = 0.05 } = {}) {
+    const gathering = new Map(); // speaker -> { turns: [{ start, end }], seconds } not identified yet
+    let currentSpeaker = null; // Speaker of the turn still in progress
+
+    const take = (speaker) => {
+        const clip = gathering.get(speaker);
+        gathering.delete(speaker);
+        return { speaker, turns: clip.turns };
+    };
+
+    const addTurn = (speaker, start, end) => {
+        if (!gathering.has(speaker)) gathering.set(speaker, { turns: [], seconds: 0 });
+        const clip = gathering.get(speaker);
+        const last = clip.turns[clip.turns.length - 1];
+
+        // Words of one turn split across two results continue the same range
+        if (last && start - last.end <= padding * 2) {
+            last.end = end;
+        } else {
+            clip.turns.push({ start, end });
+        }
+        clip.seconds = clip.turns.reduce((sum, t) => sum + t.end - t.start, 0);
+    };
+
+    return {
+        /**
+         * Adds the words of a final result.
+         * @param {Array<{ start: number, end: number, speaker?: number }>} words - Session-time words.
+         * @param {boolean} [speechFinal] - The speaker finished talking, the current turn is over.
+         * @returns {Array<{ speaker: number, turns: Array<{ start: number, end: number }> }>} Clips ready to identify.
+         */
+        add(words, speechFinal = false) {
+            const ready = [];
+
+            for (const word of words) {
+                // Without diarization there are no turns to follow
+                if (word.speaker === undefined) continue;
+
+                if (currentSpeaker !== null && word.speaker !== currentSpeaker) {
+                    // The previous speaker's turn ended: identify what they said if it is long enough
+                    const previous = gathering.get(currentSpeaker);
+                    if (previous && previous.seconds >= minSeconds) ready.push(take(currentSpeaker));
+                }
+                currentSpeaker = word.speaker;
+
+                addTurn(word.speaker, Math.max(0, word.start - padding), word.end + padding);
+                if (gathering.get(word.speaker).seconds >= maxSeconds) ready.push(take(word.speaker));
+            }
+
+            if (speechFinal && currentSpeaker !== null) {
+                const current = gathering.get(currentSpeaker);
+                if (current && current.seconds >= minSeconds) ready.push(take(currentSpeaker));
+                currentSpeaker = null;
+            }
+
+            return ready;
+        },
+    };
+}
+
+module.exports = { createAudioHistory, createTurnCollector };
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAudioHistory, createTurnCollector } = require('./turnIdentification');
+
+const BYTES_PER_SECOND = 16000 * 2;
+
+// `count` final words of one diarized speaker, one every 0.5 s from `from`
+const speech = (speaker, from, count) => Array.from({ length: count }, (_, i) => ({
+    start: from + i * 0.5,
+    end: from + i * 0.5 + 0.4,
+    speaker,
+}));
+
+// Clip turns rounded to 10 ms, the padding makes them inexact
+const rounded = (clips) => clips.map(clip => ({
+    ...clip,
+    turns: clip.turns.map(t => ({ start: Number(t.start.toFixed(2)), end: Number(t.end.toFixed(2)) })),
+}));
+
+test('a speaker change hands over the previous turn once it is long enough', () => {
+    const turns = createTurnCollector({ minSeconds: 2 });
+
+    assert.deepEqual(turns.add(speech(0, 0, 5)), []);
+    assert.deepEqual(rounded(turns.add(speech(1, 2.5, 1))), [{ speaker: 0, turns: [{ start: 0, end: 2.45 }] }]);
+});
+
+test('short turns are gathered per speaker until there is enough audio', () => {
+    const turns = createTurnCollector({ minSeconds: 2 });
+    const words = [...speech(0, 0, 2), ...speech(1, 1, 2), ...speech(0, 2, 3)];
+
+    // Speaker 0 spoke twice (0.95 s, then 1.5 s), speaker 1 only 1 s
+    assert.deepEqual(rounded(turns.add(words, true)), [
+        { speaker: 0, turns: [{ start: 0, end: 0.95 }, { start: 1.95, end: 3.45 }] },
+    ]);
+});
+
+test('long turns are cut into clips of at most maxSeconds', () => {
+    const turns = createTurnCollector({ minSeconds: 2, maxSeconds: 3 });
+
+    assert.deepEqual(rounded(turns.add(speech(0, 0, 10))), [{ speaker: 0, turns: [{ start: 0, end: 3.45 }] }]);
+    // The remaining 1.5 s is too short on its own
+    assert.deepEqual(turns.add([], true), []);
+});
+
+test('words without a diarized speaker make no clips', () => {
+    const turns = createTurnCollector({ minSeconds: 1 });
+    assert.deepEqual(turns.add(speech(undefined, 0, 10), true), []);
+});
+
+test('audio history slices session time across chunks', () => {
+    const history = createAudioHistory(60);
+    const audio = Buffer.from(Array.from({ length: BYTES_PER_SECOND }, (_, i) => i % 251));
+    for (let offset = 0; offset < audio.length; offset += 1000) {
+        history.append(offset, audio.subarray(offset, offset + 1000));
+    }
+
+    assert.deepEqual(history.slice(0.25, 0.75), audio.subarray(0.25 * BYTES_PER_SECOND, 0.75 * BYTES_PER_SECOND));
+    assert.equal(history.slice(0.5, 2).length, 0.5 * BYTES_PER_SECOND);
+});
+
+test('audio history drops audio older than its length', () => {
+    const history = createAudioHistory(2);
+    for (let second = 0; second < 5; second++) {
+        history.append(second * BYTES_PER_SECOND, Buffer.alloc(BYTES_PER_SECOND, second));
+    }
+
+    assert.equal(history.slice(0, 3).length, 0);
+    const kept = history.slice(0, 5);
+    assert.equal(kept.length, 2 * BYTES_PER_SECOND);
+    assert.equal(kept[0], 3);
+    assert.equal(kept[kept.length - 1], 4);
+});
@@ -0,0 +1,195 @@
+/**
+ * Energy-based voice activity detection and silence gating for the relay.
+ *
+ * The gate decides, 20 ms at a time, which audio goes upstream: speech, a short pre-roll before it
+ * (so word onsets aren't clipped) and a tail of silence after it (the provider needs that silence
+ * to finalize and endpoint). Longer silences are dropped.
+ *
+ * Dropping audio shifts the provider's clock, so every forwarded piece is recorded in a stream
+ * clock that maps provider timestamps back to session time (seconds of audio received from the client).
+ */
+
+const BYTES_PER_SECOND = 16000 * 2; // linear16 mono at 16 kHz
+const FRAME_BYTES = 640; // 20 ms
+
+const msToFrames = (ms) => Math.max(1, Math.round(ms / 20));
+
+function frameLevelDb(frame) {
+    let sum = 0;
+    const samples = frame.length / 2;
+    for (let i = 0; i < samples; i++) {
+        const s = frame.readInt16LE(i * 2) / 32768;
+        sum += s * s;
+    }
+    return 10 * Math.log10(Math.max(sum / samples, 1e-10));
+}
+
+/**
+ * Merges frames with consecutive offsets into single buffers.
+ */
+function coalesce(frames) {
+    const pieces = [];
+    frames.forEach(frame => {
+        const last = pieces[pieces.length - 1];
+        if (last && last.offset + last.length === frame.offset) {
+            last.parts.push(frame.data);
+            last.length += frame.data.length;
+        } else {
+            pieces.push({ offset: frame.offset, length: frame.data.length, parts: [frame.data] });
+        }
+    });
+    return pieces.map(p => ({ offset: p.offset, data: p.parts.length === 1 ? p.parts[0] : Buffer.concat(p.parts) }));
+}
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.thresholdDb=12] - A frame is voiced this far above the noise floor...
+ * @param {number} [opts.minLevelDb=-50] - ...and above this absolute level (dBFS).
+ * @param {number} [opts.hangoverMs=400] - Non-voiced time before speech counts as ended.
+ * @param {number} [opts.prerollMs=300] - Audio sent ahead of detected speech.
+ * @param {number} [opts.tailMs=1500] - Silence still forwarded after speech ends.
+ * @param {number} [opts.noiseAdaptation=0.05] - How fast the noise floor rises towards unvoiced frames (0..1).
+ * @param {number} [opts.noiseWindowMs=10000] - The floor is at least the quietest level over this window, so
+ *   steady noise that started out counting as speech becomes the floor.
+ */
+function createVoiceActivityDetector({
+    thresholdDb = 12,
+    minLevelDb = -50,
+    hangoverMs = 400,
+    prerollMs = 300,
+    tailMs = 1500,
+    noiseAdaptation = 0.05,
+    noiseWindowMs = 10000,
+} = {}) {
+    const hangoverFrames = msToFrames(hangoverMs);
+    const prerollFrames = msToFrames(prerollMs);
+    const tailFrames = msToFrames(tailMs);
+    const windowFrames = msToFrames(noiseWindowMs);
+
+    // Starts low, so audio that is loud from the first frame counts as speech rather than as the floor
+    let noiseFloorDb = minLevelDb - thresholdDb;
+    let speaking = false;
+    let silentFrames = tailFrames; // Start gated
+    let position = 0; // Session bytes processed
+    let leftover = Buffer.alloc(0);
+    let preroll = []; // Recent gated frames { offset, data }
+    let frameCount = 0;
+    const minima = []; // { index, level } rising from the window minimum, for a sliding minimum
+
+    return {
+        isSpeaking: () => speaking,
+
+        /**
+         * @param {Buffer} chunk - Int16 PCM of any length.
+         * @returns {{ forward: Array<{ offset: number, data: Buffer }>,
+         *   events: Array<{ type: 'speech_started'|'speech_ended', at: number }> }}
+         *   `forward` goes upstream, offsets are session bytes.
+         */
+        push(chunk) {
+            const input = leftover.length ? Buffer.concat([leftover, chunk]) : chunk;
+            const usable = input.length - (input.length % FRAME_BYTES);
+            leftover = Buffer.from(input.subarray(usable));
+
+            const forward = [];
+            const events = [];
+
+            for (let i = 0; i < usable; i += FRAME_BYTES) {
+                const frame = { offset: position, data: input.subarray(i, i + FRAME_BYTES) };
+                position += FRAME_BYTES;
+
+                const level = frameLevelDb(frame.data);
+                const isVoiced = level > Math.max(noiseFloorDb + thresholdDb, minLevelDb);
+
+                // Track the floor quickly downwards and slowly upwards on unvoiced frames. Speech has
+                // pauses within the window, a level that never dipped is noise.
+                if (level < noiseFloorDb) noiseFloorDb = level;
+                else if (!isVoiced) noiseFloorDb += (level - noiseFloorDb) * noiseAdaptation;
+
+                while (minima.length && minima[minima.length - 1].level >= level) minima.pop();
+                minima.push({ index: frameCount, level });
+                if (minima[0].index <= frameCount - windowFrames) minima.shift();
+                frameCount += 1;
+                if (frameCount >= windowFrames) noiseFloorDb = Math.max(noiseFloorDb, minima[0].level);
+
+                if (isVoiced) {
+                    if (!speaking) {
+                        speaking = true;
+                        events.push({ type: 'speech_started', at: frame.offset / BYTES_PER_SECOND });
+                    }
+                    silentFrames = 0;
+                } else {
+                    silentFrames += 1;
+                    if (speaking && silentFrames >= hangoverFrames) {
+                        speaking = false;
+                        const endedAt = (frame.offset + FRAME_BYTES) / BYTES_PER_SECOND - hangoverFrames * 0.02;
+                        events.push({ type: 'speech_ended', at: endedAt });
+                    }
+                }
+
+                if (speaking || silentFrames <= tailFrames) {
+                    // Opening the gate: send the pre-roll first
+                    forward.push(...preroll, frame);
+                    preroll = [];
+                } else {
+                    preroll.push(frame);
+                    if (preroll.length > prerollFrames) preroll.shift();
+                }
+            }
+
+            return { forward: coalesce(forward), events };
+        },
+    };
+}
+
+/**
+ * Maps provider timestamps (seconds of audio forwarded) to session time (seconds of audio received).
+ */
+function createStreamClock() {
+    const spans = []; // { upstreamStart, sessionStart } in bytes, contiguous upstream
+    let upstreamBytes = 0;
+    let lastSessionEnd = null;
+
+    const toSessionTime = (seconds) => {
+        if (seconds === undefined || spans.length === 0) return seconds;
+        const bytes = seconds * BYTES_PER_SECOND;
+        let i = spans.length - 1;
+        while (i > 0 && spans[i].upstreamStart > bytes) i--;
+        return (spans[i].sessionStart + bytes - spans[i].upstreamStart) / BYTES_PER_SECOND;
+    };
+
+    return {
+        /**
+         * Records audio forwarded upstream.
+         * @param {number} sessionOffset - Session byte offset of the forwarded piece.
+         */
+        forwarded(sessionOffset, length) {
+            if (sessionOffset !== lastSessionEnd) {
+                spans.push({ upstreamStart: upstreamBytes, sessionStart: sessionOffset });
+            }
+            upstreamBytes += length;
+            lastSessionEnd = sessionOffset + length;
+        },
+
+        toSessionTime,
+
+        /**
+         * Copy of a result (Deepgram `Results` shape) with every timestamp in session time.
+         */
+        mapResult(data) {
+            const start = toSessionTime(data.start);
+            const end = toSessionTime((data.start || 0) + (data.duration || 0));
+            const alternatives = (data.channel?.alternatives || []).map(alt => ({
+                ...alt,
+                words: (alt.words || []).map(w => ({ ...w, start: toSessionTime(w.start), end: toSessionTime(w.end) })),
+            }));
+            return {
+                ...data,
+                start,
+                duration: end - start,
+                channel: data.channel ? { ...data.channel, alternatives } : data.channel,
+            };
+        },
+    };
+}
+
+module.exports = { createVoiceActivityDetector, createStreamClock, FRAME_BYTES };
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createVoiceActivityDetector, createStreamClock } = require('./voiceActivity');
+
+const SAMPLE_RATE = 16000;
+const BYTES_PER_SECOND = SAMPLE_RATE * 2;
+
+// Linear16 mono 440 Hz tone; amplitude 8000 is speech (-15 dBFS), 0 is digital silence
+const pcm = (seconds, amplitude) => {
+    const samples = Math.round(seconds * SAMPLE_RATE);
+    const buffer = Buffer.alloc(samples * 2);
+    for (let i = 0; i < samples; i++) {
+        buffer.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+    }
+    return buffer;
+};
+
+// Pushes in uneven chunks, like the client's frames after a reconnect, and collects the output
+const run = (detector, audio, chunkBytes = 1000) => {
+    const forward = [];
+    const events = [];
+    for (let offset = 0; offset < audio.length; offset += chunkBytes) {
+        const result = detector.push(audio.subarray(offset, offset + chunkBytes));
+        forward.push(...result.forward);
+        events.push(...result.events);
+    }
+    return { forward, events, bytes: forward.reduce((sum, piece) => sum + piece.data.length, 0) };
+};
+
+test('audio that starts with speech is forwarded from the first frame', () => {
+    const detector = createVoiceActivityDetector();
+    const { forward, events, bytes } = run(detector, pcm(3, 8000));
+
+    assert.equal(bytes, 3 * BYTES_PER_SECOND);
+    assert.equal(forward[0].offset, 0);
+    assert.deepEqual(events, [{ type: 'speech_started', at: 0 }]);
+    assert.equal(detector.isSpeaking(), true);
+});
+
+test('silence is gated, speech goes through with its pre-roll and tail', () => {
+    const detector = createVoiceActivityDetector({ prerollMs: 300, tailMs: 1500, hangoverMs: 400 });
+    const audio = Buffer.concat([pcm(2, 20), pcm(1, 8000), pcm(3, 0)]);
+    const { forward, events, bytes } = run(detector, audio);
+
+    // 0.3 s pre-roll + 1 s speech + 1.5 s tail, in one contiguous piece
+    assert.equal(forward[0].offset, 1.7 * BYTES_PER_SECOND);
+    assert.equal(bytes, 2.8 * BYTES_PER_SECOND);
+    forward.slice(1).forEach((piece, i) => assert.equal(piece.offset, forward[i].offset + forward[i].data.length));
+
+    assert.deepEqual(events.map(e => e.type), ['speech_started', 'speech_ended']);
+    assert.equal(events[0].at, 2);
+    assert.ok(Math.abs(events[1].at - 3) < 1e-9);
+    assert.equal(detector.isSpeaking(), false);
+});
+
+test('the noise floor rises with background noise, not with speech', () => {
+    // Steady noise at about -55 dBFS lifts the floor, so a -45 dBFS murmur above it is not speech...
+    const noisy = createVoiceActivityDetector();
+    const afterNoise = run(noisy, Buffer.concat([pcm(3, 80), pcm(1, 250)]));
+    assert.deepEqual(afterNoise.events, []);
+
+    // ...which it is over a quiet floor
+    const quiet = createVoiceActivityDetector();
+    assert.deepEqual(run(quiet, pcm(1, 250)).events.map(e => e.type), ['speech_started']);
+
+    // Long speech does not become the floor
+    const talker = createVoiceActivityDetector();
+    const { events } = run(talker, Buffer.concat([pcm(5, 8000), pcm(0.5, 0), pcm(1, 8000)]));
+    assert.deepEqual(events.map(e => e.type), ['speech_started', 'speech_ended', 'speech_started']);
+});
+
+test('steady noise that starts out as speech becomes the floor', () => {
+    // 440 Hz tones at about -48, -40 and -30 dBFS, all above the starting floor
+    [184, 463, 1465].forEach((amplitude) => {
+        const detector = createVoiceActivityDetector({ hangoverMs: 400, tailMs: 1500, noiseWindowMs: 10000 });
+        const noise = run(detector, pcm(20, amplitude));
+
+        assert.deepEqual(noise.events.map(e => e.type), ['speech_started', 'speech_ended'], `amplitude ${amplitude}`);
+        assert.equal(detector.isSpeaking(), false);
+        // Forwarded until the window is full, then the hangover and tail
+        assert.ok(noise.bytes <= 12 * BYTES_PER_SECOND, `amplitude ${amplitude}: ${noise.bytes / BYTES_PER_SECOND} s forwarded`);
+        assert.equal(run(detector, pcm(5, amplitude)).bytes, 0);
+
+        // Speech over the noise still opens the gate
+        assert.deepEqual(run(detector, pcm(1, 8000)).events.map(e => e.type), ['speech_started']);
+    });
+});
+
+test('the stream clock maps provider time across gated gaps back to session time', () => {
+    const clock = createStreamClock();
+    clock.forwarded(0, BYTES_PER_SECOND);
+    clock.forwarded(5 * BYTES_PER_SECOND, 2 * BYTES_PER_SECOND); // 4 s gated in between
+
+    assert.equal(clock.toSessionTime(0.5), 0.5);
+    assert.equal(clock.toSessionTime(1.5), 5.5);
+
+    const mapped = clock.mapResult({
+        start: 1,
+        duration: 1,
+        channel: { alternatives: [{ transcript: 'hi', words: [{ word: 'hi', start: 1.2, end: 1.8 }] }] },
+    });
+    assert.equal(mapped.start, 5);
+    assert.equal(mapped.duration, 1);
+    assert.deepEqual(mapped.channel.alternatives[0].words[0], { word: 'hi', start: 5.2, end: 5.8 });
+});
@@ -0,0 +1,52 @@
+/**
+ * WAV helpers for the relay's linear16 mono 16 kHz audio.
+ */
+
+const SAMPLE_RATE = 16000;
+const HEADER_BYTES = 44;
+
+/**
+ * Canonical 44-byte PCM WAV header for `dataSize` bytes of audio.
+ */
+function createWavHeader(dataSize, { numChannels = 1, sampleRate = SAMPLE_RATE, bitsPerSample = 16 } = {}) {
+    const blockAlign = numChannels * bitsPerSample / 8;
+    const byteRate = sampleRate * blockAlign;
+    const fileSize = 36 + dataSize;
+
+    const buffer = Buffer.alloc(HEADER_BYTES);
+    buffer.write('RIFF', 0);
+    buffer.writeUInt32LE(fileSize, 4);
+    buffer.write('WAVE', 8);
+    buffer.write('fmt ', 12);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20); // PCM
+    buffer.writeUInt16LE(numChannels, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(byteRate, 28);
+    buffer.writeUInt16LE(blockAlign, 32);
+    buffer.writeUInt16LE(bitsPerSample, 34);
+    buffer.write('data', 36);
+    buffer.writeUInt32LE(dataSize, 40);
+
+    return buffer;
+}
+
+/**
+ * A complete WAV file for a PCM buffer (e.g. an upload to the identity service).
+ */
+function toWav(pcmData) {
+    return Buffer.concat([createWavHeader(pcmData.length), pcmData]);
+}
+
+/**
+ * The two size fields of a header written before the length was known, as [{ position, value }].
+ * A streamed file starts with createWavHeader(0) and gets these patched in once it is complete.
+ */
+function wavSizeFields(dataSize) {
+    return [
+        { position: 4, value: 36 + dataSize },
+        { position: 40, value: dataSize },
+    ];
+}
+
+module.exports = { createWavHeader, toWav, wavSizeFields, HEADER_BYTES, SAMPLE_RATE };
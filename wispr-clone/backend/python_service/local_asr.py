@@ -0,0 +1,68 @@
+"""
+Offline streaming ASR for the Node relay's `local` transcription provider.
+
+Reads 16 kHz mono linear16 PCM from stdin and writes one JSON result per line to stdout:
+    {"type": "partial", "words": [{"word": "hello", "start": 0.1, "end": 0.4, "conf": 1.0}]}
+    {"type": "final", "words": [...]}
+
+Uses Vosk (CPU only, no network). Models are looked up in LOCAL_ASR_MODEL_DIR
+(default ./models) as vosk-model-small-<language>, e.g. models/vosk-model-small-en-us.
+"""
+import argparse
+import json
+import os
+import sys
+
+from vosk import Model, KaldiRecognizer, SetLogLevel
+
+SAMPLE_RATE = 16000
+CHUNK_BYTES = 4000  # 125 ms of audio
+
+# Every language the relay accepts (node_server/config/transcriptionOptions.js) needs an entry,
+# English variants share the US English model
+MODEL_NAMES = {
+    "en": "vosk-model-small-en-us",
+    "en-US": "vosk-model-small-en-us",
+    "en-GB": "vosk-model-small-en-us",
+    "en-IN": "vosk-model-small-en-us",
+    "hi": "vosk-model-small-hi",
+    "es": "vosk-model-small-es",
+    "fr": "vosk-model-small-fr",
+}
+
+
+def emit(result_type, words):
+    sys.stdout.write(json.dumps({"type": result_type, "words": words}) + "\n")
+    sys.stdout.flush()
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument("--language", default="en")
+    args = parser.parse_args()
+
+    model_dir = os.environ.get("LOCAL_ASR_MODEL_DIR", "models")
+    model_name = MODEL_NAMES.get(args.language)
+    if not model_name:
+        print(f"No local model for language {args.language}", file=sys.stderr)
+        sys.exit(2)
+
+    SetLogLevel(-1)
+    recognizer = KaldiRecognizer(Model(os.path.join(model_dir, model_name)), SAMPLE_RATE)
+    recognizer.SetWords(True)
+    recognizer.SetPartialWords(True)
+
+    while True:
+        data = sys.stdin.buffer.read(CHUNK_BYTES)
+        if not data:
+            break
+        if recognizer.AcceptWaveform(data):
+            emit("final", json.loads(recognizer.Result()).get("result", []))
+        else:
+            emit("partial", json.loads(recognizer.PartialResult()).get("partial_result", []))
+
+    emit("final", json.loads(recognizer.FinalResult()).get("result", []))
+
+
+if __name__ == "__main__":
+    main()
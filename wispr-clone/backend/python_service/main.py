@@ -1,12 +1,17 @@
 
-from fastapi import FastAPI, UploadFile, File, Form, HTTPException
+from fastapi import FastAPI, UploadFile, File, Form, HTTPException, Depends, Header
 from pydantic import BaseModel
 import uvicorn
 import numpy as np
 import os
-import json
+import tempfile
 from typing import List, Optional
 import sys
+import sqlite3
+from contextlib import contextmanager
+import jwt
+import quality
+from voice_index import VoiceIndex, ProfileExists, DEFAULT_THRESHOLD
 
 # Mock Resemblyzer if not available (for demonstration/no-gpu environments)
 try:
@@ -26,118 +31,269 @@ app = FastAPI(title="Voice Identification Service")
 
 from fastapi.middleware.cors import CORSMiddleware
 
+# Vite dev server and the Tauri webview (macOS/Linux and Windows origins)
+CORS_ORIGINS = os.environ.get("CORS_ORIGINS", "http://localhost:5173,tauri://localhost,http://tauri.localhost")
+
 app.add_middleware(
     CORSMiddleware,
-    allow_origins=["*"],  # Allows all origins
+    allow_origins=[o.strip() for o in CORS_ORIGINS.split(",")],
     allow_credentials=True,
-    allow_methods=["*"],  # Allows all methods
-    allow_headers=["*"],  # Allows all haders
+    allow_methods=["GET", "POST", "PATCH", "DELETE"],
+    allow_headers=["Authorization", "Content-Type"],
 )
 
+# Access tokens are issued by the API server (backend/backend) and shared with the Node relay
+JWT_SECRET = os.environ.get("JWT_SECRET")
+if not JWT_SECRET:
+    print("JWT_SECRET is not set. Every request will be rejected.")
+
+def get_current_user(authorization: Optional[str] = Header(None)) -> str:
+    """
+    Returns the user id of a valid `Authorization: Bearer <access token>` header.
+    """
+    if not authorization or not authorization.startswith("Bearer "):
+        raise HTTPException(status_code=401, detail="Authentication required")
+    if not JWT_SECRET:
+        raise HTTPException(status_code=401, detail="Authentication is not configured")
+    try:
+        payload = jwt.decode(authorization[7:], JWT_SECRET, algorithms=["HS256"])
+    except jwt.ExpiredSignatureError:
+        raise HTTPException(status_code=401, detail="Access token expired")
+    except jwt.InvalidTokenError:
+        raise HTTPException(status_code=401, detail="Invalid access token")
+    if payload.get("type") != "access":
+        raise HTTPException(status_code=401, detail="Invalid access token")
+    return payload["sub"]
+
 # Global State
 encoder = VoiceEncoder()
-EMBEDDINGS_FILE = "embeddings.json"
-voice_db = {} # { "john": [embedding_list], "jane": ... }
+VOICE_DB_FILE = os.environ.get("VOICE_DB", "voices.db")
+EMBEDDINGS_FILE = "embeddings.json" # Store used before voices.db, imported once
+LEGACY_OWNER = "legacy" # Profiles enrolled before accounts existed
+MAX_BATCH_CLIPS = 16
 
 class IdentityResponse(BaseModel):
     speaker: str
     confidence: float
 
-def load_db():
-    global voice_db
-    if os.path.exists(EMBEDDINGS_FILE):
+class ProfileUpdate(BaseModel):
+    name: Optional[str] = None
+    # Minimum score to identify this profile, null goes back to the default
+    threshold: Optional[float] = None
+
+index = VoiceIndex(VOICE_DB_FILE)
+imported = index.import_json(EMBEDDINGS_FILE, LEGACY_OWNER)
+if imported:
+    print(f"Imported {imported} samples from {EMBEDDINGS_FILE} into {VOICE_DB_FILE}")
+
+@contextmanager
+def storage_errors():
+    """
+    Turns a failed write into a 500. SQLite rolls the transaction back, nothing is half-saved.
+    """
+    try:
+        yield
+    except sqlite3.Error as e:
+        raise HTTPException(status_code=500, detail=f"Could not save voice profiles: {e}")
+
+def embed_audio(data: bytes, suffix: str = ".wav"):
+    """
+    Speaker embedding of an audio file's contents (wav/mp3).
+    """
+    if MOCK_MODE:
+        return np.random.rand(256) # Mock embedding
+
+    # Save temp file
+    fd, temp_filename = tempfile.mkstemp(suffix=suffix)
+    try:
+        with os.fdopen(fd, "wb") as buffer:
+            buffer.write(data)
+        wav = preprocess_wav(temp_filename)
+        return encoder.embed_speaker(wav)
+    finally:
+        # Cleanup
+        os.remove(temp_filename)
+
+async def embed_upload(file: UploadFile):
+    return embed_audio(await file.read(), os.path.splitext(file.filename or "")[1] or ".wav")
+
+async def embed_enrollment_sample(file: UploadFile, existing: list):
+    """
+    Runs the quality checks (see quality.py) on an enrollment upload and embeds it.
+    Rejected samples raise 422 with `detail: { message, reasons: [{ code, message }], quality }`.
+    Returns (embedding, quality metrics).
+    """
+    data = await file.read()
+    try:
+        samples, rate = quality.read_wav(data)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+
+    metrics = quality.signal_metrics(samples, rate)
+    reasons = quality.signal_reasons(metrics)
+    if not reasons:
         try:
-            with open(EMBEDDINGS_FILE, 'r') as f:
-                data = json.load(f)
-                # Convert list back to numpy arrays
-                voice_db = {k: [np.array(e) for e in v] for k, v in data.items()}
+            embedding = embed_audio(data)
         except Exception as e:
-            print(f"Error loading DB: {e}")
+            raise HTTPException(status_code=500, detail=str(e))
+        # Mock embeddings are random, comparing them would reject everything
+        metrics["consistency"] = None if MOCK_MODE else quality.consistency(embedding, [s["embedding"] for s in existing])
+        reasons = quality.consistency_reasons(metrics["consistency"])
+
+    if reasons:
+        raise HTTPException(status_code=422, detail={"message": "Sample rejected", "reasons": reasons, "quality": metrics})
+    return embedding, metrics
 
-def save_db():
-    # Convert numpy arrays to lists for JSON serialization
-    serialized = {k: [e.tolist() for e in v] for k, v in voice_db.items()}
-    with open(EMBEDDINGS_FILE, 'w') as f:
-        json.dump(serialized, f)
+def profile_summary(profile: dict) -> dict:
+    samples = profile["samples"]
+    dates = [s["created_at"] for s in samples if s["created_at"]]
+    return {
+        "name": profile["name"],
+        "threshold": profile["threshold"],
+        "default_threshold": DEFAULT_THRESHOLD,
+        "sample_count": len(samples),
+        "created_at": min(dates) if dates else None,
+        "updated_at": max(dates) if dates else None,
+        "samples": [{"id": s["id"], "created_at": s["created_at"]} for s in samples],
+    }
 
-# Load DB on startup
-load_db()
+def get_profile(user_id: str, name: str) -> dict:
+    profile = index.get(user_id, name)
+    if profile is None:
+        raise HTTPException(status_code=404, detail=f"No voice profile named '{name}'")
+    return profile
+
+@app.get("/health")
+async def health():
+    """
+    Unauthenticated liveness check, used by the relay's /readyz.
+    """
+    return {"status": "ok", "mock_mode": MOCK_MODE}
 
 @app.post("/enroll")
-async def enroll_speaker(name: str = Form(...), file: UploadFile = File(...)):
+async def enroll_speaker(name: str = Form(...), file: UploadFile = File(...), user_id: str = Depends(get_current_user)):
     """
-    Enroll a new speaker.
-    Accepts an audio file (wav/mp3) and a name.
+    Enroll a new speaker for the signed-in user, or add a sample to an existing one.
+    Accepts a 16-bit PCM WAV sample and a name. The sample must pass the quality checks.
     """
+    name = name.strip()
+    if not name:
+        raise HTTPException(status_code=400, detail="Name is required")
+
+    existing = index.get(user_id, name)
+    embedding, metrics = await embed_enrollment_sample(file, existing["samples"] if existing else [])
+    with storage_errors():
+        profile = index.add_sample(user_id, name, embedding)
+
+    return {"status": "success", "message": f"Enrolled {name}", "profile": profile_summary(profile), "quality": metrics}
+
+@app.get("/profiles")
+async def list_profiles(user_id: str = Depends(get_current_user)):
+    """
+    The signed-in user's voice profiles with sample counts and enrollment dates.
+    """
+    return {"profiles": [profile_summary(p) for p in index.profiles(user_id)]}
+
+@app.patch("/profiles/{name}")
+async def update_profile(name: str, body: ProfileUpdate, user_id: str = Depends(get_current_user)):
+    """
+    Renames a profile and/or sets its identification threshold (`"threshold": null` resets it).
+    """
+    get_profile(user_id, name)
+    fields = body.dict(exclude_unset=True)
+    new_name = None
+    if "name" in fields:
+        new_name = (body.name or "").strip()
+        if not new_name:
+            raise HTTPException(status_code=400, detail="Name is required")
+    if body.threshold is not None and not -1.0 <= body.threshold <= 1.0:
+        raise HTTPException(status_code=400, detail="Threshold must be a similarity between -1 and 1")
+
     try:
-        if MOCK_MODE:
-            # Mock enrollment
-            embedding = np.random.rand(256)
-        else:
-            # Save temp file
-            temp_filename = f"temp_{file.filename}"
-            with open(temp_filename, "wb") as buffer:
-                buffer.write(await file.read())
-            
-            # Process
-            wav = preprocess_wav(temp_filename)
-            embedding = encoder.embed_speaker(wav)
-            
-            # Cleanup
-            os.remove(temp_filename)
-
-        if name not in voice_db:
-            voice_db[name] = []
-        voice_db[name].append(embedding)
-        save_db()
-        
-        return {"status": "success", "message": f"Enrolled {name}"}
-    except Exception as e:
-        raise HTTPException(status_code=500, detail=str(e))
+        with storage_errors():
+            profile = index.update(user_id, name, new_name=new_name, threshold=body.threshold,
+                                   clear_threshold="threshold" in fields and body.threshold is None)
+    except ProfileExists:
+        raise HTTPException(status_code=409, detail=f"A voice profile named '{new_name}' already exists")
+    return profile_summary(profile)
 
-@app.post("/identify")
-async def identify_speaker(file: UploadFile = File(...)):
+@app.delete("/profiles/{name}", status_code=204)
+async def delete_profile(name: str, user_id: str = Depends(get_current_user)):
+    get_profile(user_id, name)
+    with storage_errors():
+        index.delete_profile(user_id, name)
+
+@app.post("/profiles/{name}/samples")
+async def add_sample(name: str, file: UploadFile = File(...), user_id: str = Depends(get_current_user)):
     """
-    Identify the speaker in the provided audio clip.
+    Re-enroll: adds another recording to an existing profile.
     """
-    if not voice_db:
-        return {"speaker": "Unknown", "confidence": 0.0}
+    profile = get_profile(user_id, name)
+    embedding, metrics = await embed_enrollment_sample(file, profile["samples"])
+
+    with storage_errors():
+        profile = index.add_sample(user_id, name, embedding)
+    return {**profile_summary(profile), "quality": metrics}
 
+@app.delete("/profiles/{name}/samples/{sample_id}")
+async def delete_sample(name: str, sample_id: str, user_id: str = Depends(get_current_user)):
+    """
+    Removes one sample. Removing the last one removes the profile, answered with `profile: null`.
+    """
+    get_profile(user_id, name)
     try:
-        if MOCK_MODE:
-            query_embedding = np.random.rand(256)
-        else:
-             # Save temp file
-            temp_filename = f"query_{file.filename}"
-            with open(temp_filename, "wb") as buffer:
-                buffer.write(await file.read())
-            
-            wav = preprocess_wav(temp_filename)
-            query_embedding = encoder.embed_speaker(wav)
-            os.remove(temp_filename)
-
-        # Compare with DB
-        best_score = -1.0
-        best_match = "Unknown"
-
-        for name, embeddings in voice_db.items():
-            # Get average similarity to user's enrolled samples
-            # Cosine similarity
-            for enrolled_emb in embeddings:
-                similarity = np.dot(query_embedding, enrolled_emb) / (np.linalg.norm(query_embedding) * np.linalg.norm(enrolled_emb))
-                if similarity > best_score:
-                    best_score = similarity
-                    best_match = name
-        
-        # Threshold
-        if best_score < 0.70: # Tuning parameter
-            best_match = "Unknown"
-
-        return {"speaker": best_match, "confidence": float(best_score)}
-
-    except Exception as e:
-        print(f"Identification Error: {e}")
-        return {"speaker": "Error", "confidence": 0.0}
+        with storage_errors():
+            profile = index.delete_sample(user_id, name, sample_id)
+    except KeyError:
+        raise HTTPException(status_code=404, detail="Sample not found")
+    return {"profile": profile_summary(profile) if profile else None}
+
+@app.post("/identify")
+async def identify_speaker(
+    file: Optional[UploadFile] = File(None),
+    files: Optional[List[UploadFile]] = File(None),
+    ids: Optional[List[str]] = Form(None),
+    user_id: str = Depends(get_current_user),
+):
+    """
+    Identify the speaker of audio clips among the signed-in user's profiles (see voice_index.py).
+    - `file`: one clip, answered with `{ speaker, confidence, candidates }`. `422` if the clip can't be
+      embedded (not audio, too short).
+    - `files` (repeated, up to MAX_BATCH_CLIPS) with optional `ids` in the same order (default: the
+      filenames): answered with `{ results: [{ id, speaker, confidence, candidates }] }`. A clip that
+      cannot be read gets `{ id, error }` instead, the others are still identified.
+    "Unknown" means no profile matched well enough. Failures are never answered with 200: anything
+    unexpected is a `500`, so the relay can tell an unsure answer from a broken service.
+    """
+    if file is not None:
+        try:
+            embedding = await embed_upload(file)
+        except Exception as e:
+            print(f"Identification Error: {e}")
+            raise HTTPException(status_code=422, detail=f"Could not compute a voice embedding for the clip: {e}")
+        return index.identify(user_id, [embedding])[0]
+
+    if not files:
+        raise HTTPException(status_code=400, detail="Send a clip as `file`, or several as `files`")
+    if len(files) > MAX_BATCH_CLIPS:
+        raise HTTPException(status_code=400, detail=f"At most {MAX_BATCH_CLIPS} clips per request")
+    if ids is not None and len(ids) != len(files):
+        raise HTTPException(status_code=400, detail="`ids` must have one entry per file")
+    clip_ids = ids or [f.filename or str(i) for i, f in enumerate(files)]
+
+    embeddings, errors = {}, {}
+    for clip_id, clip in zip(clip_ids, files):
+        try:
+            embeddings[clip_id] = await embed_upload(clip)
+        except Exception as e:
+            print(f"Identification Error ({clip_id}): {e}")
+            errors[clip_id] = str(e)
+
+    matches = dict(zip(embeddings, index.identify(user_id, list(embeddings.values()))))
+    return {"results": [
+        {"id": clip_id, **matches[clip_id]} if clip_id in matches else {"id": clip_id, "error": errors[clip_id]}
+        for clip_id in clip_ids
+    ]}
 
 if __name__ == "__main__":
     uvicorn.run("main:app", host="0.0.0.0", port=8000, reload=True)
@@ -0,0 +1,126 @@
+"""
+Quality checks for enrollment samples, run before a sample is embedded and saved.
+
+Signal checks work on the raw recording (resemblyzer's preprocess_wav normalizes volume and trims
+silence, which would hide exactly what we're looking for):
+    - voiced duration after a simple energy VAD
+    - clipping and loudness of the voiced part
+    - SNR estimate: voiced energy against the noise floor of the unvoiced frames
+The consistency check compares the new embedding with the profile's existing samples.
+
+Every failed check becomes a reason {"code", "message"} the client can show as is.
+"""
+import io
+import wave
+
+import numpy as np
+
+FRAME_SECONDS = 0.03
+MIN_VOICED_SECONDS = 2.0
+MAX_CLIPPED_RATIO = 0.001 # Share of samples at full scale
+MIN_LOUDNESS_DB = -35.0 # RMS of the voiced frames, dBFS
+MAX_LOUDNESS_DB = -6.0
+MIN_SNR_DB = 15.0
+MIN_CONSISTENCY = 0.6 # Cosine similarity to the profile's centroid
+
+
+def read_wav(data: bytes):
+    """
+    Decodes a 16-bit PCM WAV to float32 mono samples in [-1, 1].
+    Returns (samples, sample_rate), raises ValueError for anything else.
+    """
+    try:
+        with wave.open(io.BytesIO(data), "rb") as wav:
+            if wav.getsampwidth() != 2:
+                raise ValueError("Sample must be 16-bit PCM WAV")
+            channels = wav.getnchannels()
+            rate = wav.getframerate()
+            frames = wav.readframes(wav.getnframes())
+    except (wave.Error, EOFError) as e:
+        raise ValueError(f"Sample must be a WAV file ({e})")
+
+    samples = np.frombuffer(frames, dtype="<i2").astype(np.float32) / 32768.0
+    if channels > 1:
+        samples = samples.reshape(-1, channels).mean(axis=1)
+    return samples, rate
+
+
+def to_db(power):
+    return 10 * np.log10(np.maximum(power, 1e-10))
+
+
+def signal_metrics(samples: np.ndarray, rate: int) -> dict:
+    """
+    Energy VAD over 30 ms frames: a frame is voiced if it is 10 dB above the noise floor
+    (10th percentile of frame energies) and above -50 dBFS.
+    """
+    frame_len = max(1, int(rate * FRAME_SECONDS))
+    count = len(samples) // frame_len
+    if count == 0:
+        return {"duration": len(samples) / rate, "voiced_seconds": 0.0, "clipped_ratio": 0.0,
+                "loudness_db": None, "snr_db": None}
+
+    frames = samples[: count * frame_len].reshape(count, frame_len)
+    energy_db = to_db(np.mean(frames ** 2, axis=1))
+    noise_floor_db = float(np.percentile(energy_db, 10))
+    voiced = energy_db > max(noise_floor_db + 10, -50)
+
+    metrics = {
+        "duration": len(samples) / rate,
+        "voiced_seconds": float(voiced.sum() * FRAME_SECONDS),
+        "clipped_ratio": float(np.mean(np.abs(samples) >= 0.999)),
+        "loudness_db": None,
+        "snr_db": None,
+    }
+    if voiced.any():
+        voiced_power = np.mean(frames[voiced] ** 2)
+        metrics["loudness_db"] = float(to_db(voiced_power))
+        # Without unvoiced frames the noise floor is only an upper bound, the estimate is conservative
+        noise_power = np.mean(frames[~voiced] ** 2) if (~voiced).any() else 10 ** (noise_floor_db / 10)
+        metrics["snr_db"] = float(to_db(voiced_power) - to_db(noise_power))
+    return metrics
+
+
+def signal_reasons(metrics: dict) -> list:
+    reasons = []
+    if metrics["voiced_seconds"] < MIN_VOICED_SECONDS:
+        reasons.append({
+            "code": "too_little_speech",
+            "message": f"Only {metrics['voiced_seconds']:.1f}s of speech detected, at least {MIN_VOICED_SECONDS:.0f}s is needed. Keep talking for the whole recording.",
+        })
+    if metrics["clipped_ratio"] > MAX_CLIPPED_RATIO:
+        reasons.append({
+            "code": "clipping",
+            "message": "The recording is clipping. Move further from the microphone or lower the input gain.",
+        })
+    loudness = metrics["loudness_db"]
+    if loudness is not None and loudness < MIN_LOUDNESS_DB:
+        reasons.append({"code": "too_quiet", "message": "The voice is too quiet. Speak up or move closer to the microphone."})
+    if loudness is not None and loudness > MAX_LOUDNESS_DB:
+        reasons.append({"code": "too_loud", "message": "The voice is too loud. Move further from the microphone."})
+    snr = metrics["snr_db"]
+    if snr is not None and snr < MIN_SNR_DB and metrics["voiced_seconds"] >= MIN_VOICED_SECONDS:
+        reasons.append({
+            "code": "noisy",
+            "message": f"Too much background noise (SNR {snr:.0f} dB, {MIN_SNR_DB:.0f} dB needed). Record somewhere quieter.",
+        })
+    return reasons
+
+
+def consistency(embedding: np.ndarray, existing: list):
+    """
+    Cosine similarity of `embedding` to the centroid of the existing sample embeddings, None without any.
+    """
+    if not existing:
+        return None
+    centroid = np.mean(existing, axis=0)
+    return float(np.dot(embedding, centroid) / (np.linalg.norm(embedding) * np.linalg.norm(centroid)))
+
+
+def consistency_reasons(score) -> list:
+    if score is None or score >= MIN_CONSISTENCY:
+        return []
+    return [{
+        "code": "inconsistent",
+        "message": "This sample doesn't sound like the profile's other samples. Make sure the same person is speaking.",
+    }]
@@ -0,0 +1,217 @@
+"""
+Voice profile store and speaker index.
+
+Profiles and their samples live in SQLite, so every change is one small transaction instead of a
+rewrite of the whole store. For scoring, each user's profiles are kept in memory as matrices of
+unit-length embeddings: one centroid per profile and every individual sample. A query is:
+    1. compared with all centroids at once, the best SHORTLIST profiles go on
+    2. scored per shortlisted profile as the mean of its TOP_K most similar samples
+    3. accepted if the best score reaches that profile's threshold (DEFAULT_THRESHOLD unless set)
+A user's matrices are rebuilt on the first query after one of their profiles changed.
+"""
+import json
+import os
+import sqlite3
+import uuid
+from datetime import datetime, timezone
+
+import numpy as np
+
+DEFAULT_THRESHOLD = float(os.environ.get("IDENTIFY_THRESHOLD", 0.70))
+TOP_K = 3 # Samples averaged per profile
+SHORTLIST = 10 # Profiles scored on their samples after the centroid pass
+CANDIDATES = 3 # Best profiles reported with each result
+
+SCHEMA = """
+CREATE TABLE IF NOT EXISTS profiles (
+    id INTEGER PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    threshold REAL,
+    UNIQUE (user_id, name)
+);
+CREATE TABLE IF NOT EXISTS samples (
+    id TEXT PRIMARY KEY,
+    profile_id INTEGER NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    created_at TEXT,
+    embedding BLOB NOT NULL
+);
+CREATE INDEX IF NOT EXISTS samples_profile ON samples(profile_id);
+"""
+
+
+def now_iso() -> str:
+    return datetime.now(timezone.utc).isoformat()
+
+
+def unit(vectors: np.ndarray) -> np.ndarray:
+    norms = np.linalg.norm(vectors, axis=-1, keepdims=True)
+    return vectors / np.maximum(norms, 1e-10)
+
+
+class ProfileExists(Exception):
+    pass
+
+
+class VoiceIndex:
+    def __init__(self, path: str):
+        self.db = sqlite3.connect(path, check_same_thread=False)
+        self.db.row_factory = sqlite3.Row
+        self.db.execute("PRAGMA foreign_keys = ON")
+        self.db.execute("PRAGMA journal_mode = WAL")
+        self.db.executescript(SCHEMA)
+        self.cache = {} # user_id -> scoring matrices, dropped when the user's profiles change
+
+    # Profiles
+
+    def _profile_row(self, user_id: str, name: str):
+        return self.db.execute("SELECT * FROM profiles WHERE user_id = ? AND name = ?", (user_id, name)).fetchone()
+
+    def _samples(self, profile_id: int) -> list:
+        rows = self.db.execute(
+            "SELECT id, created_at, embedding FROM samples WHERE profile_id = ? ORDER BY rowid", (profile_id,)
+        ).fetchall()
+        return [{"id": r["id"], "created_at": r["created_at"], "embedding": np.frombuffer(r["embedding"], dtype=np.float32)} for r in rows]
+
+    def _profile(self, row) -> dict:
+        return {"name": row["name"], "threshold": row["threshold"], "samples": self._samples(row["id"])}
+
+    def profiles(self, user_id: str) -> list:
+        """
+        The user's profiles `{ name, threshold, samples: [{ id, created_at, embedding }] }`, sorted by name.
+        """
+        rows = self.db.execute("SELECT * FROM profiles WHERE user_id = ? ORDER BY name", (user_id,)).fetchall()
+        return [self._profile(row) for row in rows]
+
+    def get(self, user_id: str, name: str):
+        """
+        One profile like in `profiles`, None if the user has none by that name.
+        """
+        row = self._profile_row(user_id, name)
+        return self._profile(row) if row else None
+
+    def _insert_sample(self, user_id: str, name: str, embedding, sample_id: str, created_at):
+        self.db.execute("INSERT OR IGNORE INTO profiles (user_id, name) VALUES (?, ?)", (user_id, name))
+        self.db.execute(
+            "INSERT INTO samples (id, profile_id, created_at, embedding) VALUES (?, ?, ?, ?)",
+            (sample_id, self._profile_row(user_id, name)["id"], created_at, np.asarray(embedding, dtype=np.float32).tobytes()),
+        )
+
+    def add_sample(self, user_id: str, name: str, embedding) -> dict:
+        """
+        Adds a sample, creating the profile if needed. Returns the updated profile.
+        """
+        with self.db:
+            self._insert_sample(user_id, name, embedding, uuid.uuid4().hex, now_iso())
+        self.cache.pop(user_id, None)
+        return self.get(user_id, name)
+
+    def update(self, user_id: str, name: str, new_name: str = None, threshold=None, clear_threshold: bool = False):
+        """
+        Renames a profile and/or sets its threshold (`clear_threshold` goes back to the default).
+        Raises ProfileExists if `new_name` is taken. Returns the updated profile.
+        """
+        if new_name and new_name != name and self._profile_row(user_id, new_name):
+            raise ProfileExists(new_name)
+        with self.db:
+            if threshold is not None or clear_threshold:
+                self.db.execute("UPDATE profiles SET threshold = ? WHERE user_id = ? AND name = ?", (threshold, user_id, name))
+            if new_name and new_name != name:
+                self.db.execute("UPDATE profiles SET name = ? WHERE user_id = ? AND name = ?", (new_name, user_id, name))
+        self.cache.pop(user_id, None)
+        return self.get(user_id, new_name or name)
+
+    def delete_profile(self, user_id: str, name: str):
+        with self.db:
+            self.db.execute("DELETE FROM profiles WHERE user_id = ? AND name = ?", (user_id, name))
+        self.cache.pop(user_id, None)
+
+    def delete_sample(self, user_id: str, name: str, sample_id: str):
+        """
+        Removes one sample, and the profile with its last one. Returns the profile, None once it is gone.
+        Raises KeyError if the profile has no such sample.
+        """
+        row = self._profile_row(user_id, name)
+        with self.db:
+            deleted = self.db.execute("DELETE FROM samples WHERE id = ? AND profile_id = ?", (sample_id, row["id"])).rowcount
+            if not deleted:
+                raise KeyError(sample_id)
+            self.db.execute(
+                "DELETE FROM profiles WHERE id = ? AND NOT EXISTS (SELECT 1 FROM samples WHERE profile_id = ?)",
+                (row["id"], row["id"]),
+            )
+        self.cache.pop(user_id, None)
+        return self.get(user_id, name)
+
+    # Scoring
+
+    def _matrices(self, user_id: str):
+        if user_id not in self.cache:
+            profiles = [p for p in self.profiles(user_id) if p["samples"]]
+            if not profiles:
+                self.cache[user_id] = None
+            else:
+                embeddings = [unit(np.stack([s["embedding"] for s in p["samples"]])) for p in profiles]
+                self.cache[user_id] = {
+                    "names": [p["name"] for p in profiles],
+                    "thresholds": [p["threshold"] if p["threshold"] is not None else DEFAULT_THRESHOLD for p in profiles],
+                    "centroids": unit(np.stack([e.mean(axis=0) for e in embeddings])),
+                    "samples": embeddings,
+                }
+        return self.cache[user_id]
+
+    def identify(self, user_id: str, queries: list) -> list:
+        """
+        Best matching profile for each query embedding:
+        `{ speaker, confidence, candidates: [{ speaker, score }] }`, speaker "Unknown" below the threshold.
+        """
+        index = self._matrices(user_id)
+        if not queries:
+            return []
+        if index is None:
+            return [{"speaker": "Unknown", "confidence": 0.0, "candidates": []} for _ in queries]
+
+        query_matrix = unit(np.stack([np.asarray(q, dtype=np.float32) for q in queries]))
+        centroid_scores = query_matrix @ index["centroids"].T # queries x profiles
+        results = []
+        for query, scores in zip(query_matrix, centroid_scores):
+            shortlist = np.argsort(scores)[::-1][:SHORTLIST]
+            ranked = []
+            for p in shortlist:
+                similarities = np.sort(index["samples"][p] @ query)[::-1][:TOP_K]
+                ranked.append((float(similarities.mean()), int(p)))
+            ranked.sort(reverse=True)
+
+            score, best = ranked[0]
+            results.append({
+                "speaker": index["names"][best] if score >= index["thresholds"][best] else "Unknown",
+                "confidence": score,
+                "candidates": [{"speaker": index["names"][p], "score": s} for s, p in ranked[:CANDIDATES]],
+            })
+        return results
+
+    # Migration
+
+    def import_json(self, path: str, legacy_owner: str) -> int:
+        """
+        One-time import of the old embeddings.json store into an empty index. Files written before
+        accounts existed (per-name lists) are stored under `legacy_owner`. Returns the sample count.
+        """
+        if not os.path.exists(path) or self.db.execute("SELECT 1 FROM profiles LIMIT 1").fetchone():
+            return 0
+        with open(path, "r") as f:
+            data = json.load(f)
+        if any(isinstance(v, list) for v in data.values()):
+            data = {legacy_owner: data}
+
+        count = 0
+        with self.db:
+            for user_id, profiles in data.items():
+                for name, samples in profiles.items():
+                    for raw in samples:
+                        # Oldest files stored bare embeddings, without id or enrollment date
+                        sample = {"embedding": raw} if isinstance(raw, list) else raw
+                        self._insert_sample(user_id, name, sample["embedding"], sample.get("id") or uuid.uuid4().hex, sample.get("created_at"))
+                        count += 1
+        self.cache.clear()
+        return count
@@ -1,3 +1,6 @@
+mod tray;
+mod typing;
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
   tauri::Builder::default()
@@ -12,8 +15,27 @@ pub fn run() {
       app.handle().plugin(tauri_plugin_fs::init())?;
       app.handle().plugin(tauri_plugin_dialog::init())?;
       app.handle().plugin(tauri_plugin_shell::init())?;
+      // Dictation: the push-to-talk hotkey works while other apps have focus, the text is pasted into them
+      app.handle().plugin(tauri_plugin_clipboard_manager::init())?;
+      #[cfg(desktop)]
+      app.handle().plugin(tauri_plugin_global_shortcut::Builder::new().build())?;
+      tray::create(app.handle())?;
       Ok(())
     })
+    // Closing the main window keeps the app running in the tray; Quit in the tray menu exits
+    .on_window_event(|window, event| {
+      if let tauri::WindowEvent::CloseRequested { api, .. } = event {
+        if window.label() == tray::MAIN_WINDOW {
+          api.prevent_close();
+          let _ = window.hide();
+        }
+      }
+    })
+    .invoke_handler(tauri::generate_handler![
+      typing::type_text,
+      typing::send_paste,
+      tray::set_tray_state
+    ])
     .run(tauri::generate_context!())
     .expect("error while running tauri application");
 }
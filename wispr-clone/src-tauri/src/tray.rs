@@ -0,0 +1,139 @@
+//! System tray: the app keeps running there when the main window is closed.
+//! The menu mirrors the main window's state, which it pushes with `set_tray_state`
+//! (src/hooks/useTray.js); picks the webview has to act on go back as `tray-action` events.
+
+use serde::{Deserialize, Serialize};
+use tauri::{
+  menu::{CheckMenuItem, Menu, MenuEvent, MenuItem, PredefinedMenuItem, Submenu},
+  tray::TrayIconBuilder,
+  AppHandle, Emitter, Manager, Runtime,
+};
+
+const TRAY_ID: &str = "main";
+pub const MAIN_WINDOW: &str = "main";
+const ACTION_EVENT: &str = "tray-action";
+
+#[derive(Deserialize)]
+pub struct Language {
+  code: String,
+  name: String,
+}
+
+#[derive(Deserialize)]
+pub struct RecentTranscript {
+  id: String,
+  title: String,
+}
+
+#[derive(Deserialize)]
+#[serde(rename_all = "camelCase")]
+pub struct TrayState {
+  signed_in: bool,
+  recording: bool,
+  language: String,
+  languages: Vec<Language>,
+  overlay: bool,
+  recent: Vec<RecentTranscript>,
+}
+
+/// Payload of `tray-action`, e.g. `{ "action": "language", "value": "hi" }`.
+#[derive(Clone, Serialize)]
+#[serde(tag = "action", content = "value", rename_all = "kebab-case")]
+enum TrayAction {
+  ToggleRecording,
+  ToggleOverlay,
+  Language(String),
+  OpenTranscript(String),
+}
+
+/// Adds the tray icon. Until the main window reports its state the menu only opens the window or quits.
+pub fn create<R: Runtime>(app: &AppHandle<R>) -> tauri::Result<()> {
+  let mut builder = TrayIconBuilder::with_id(TRAY_ID)
+    .tooltip("WISPR Clone")
+    .menu(&build_menu(app, None)?)
+    .show_menu_on_left_click(true)
+    .on_menu_event(handle_menu_event);
+  if let Some(icon) = app.default_window_icon() {
+    builder = builder.icon(icon.clone());
+  }
+  builder.build(app)?;
+  Ok(())
+}
+
+/// Shows, restores and focuses the main window (it is hidden, not closed, by its close button).
+pub fn show_main_window<R: Runtime>(app: &AppHandle<R>) {
+  if let Some(window) = app.get_webview_window(MAIN_WINDOW) {
+    let _ = window.unminimize();
+    let _ = window.show();
+    let _ = window.set_focus();
+  }
+}
+
+/// Rebuilds the tray menu from the main window's state.
+#[tauri::command]
+pub fn set_tray_state<R: Runtime>(app: AppHandle<R>, state: TrayState) -> Result<(), String> {
+  let tray = app.tray_by_id(TRAY_ID).ok_or("The tray icon is not available")?;
+  let menu = build_menu(&app, Some(&state)).map_err(|e| e.to_string())?;
+  tray.set_menu(Some(menu)).map_err(|e| e.to_string())?;
+  let tooltip = if state.recording { "WISPR Clone: recording" } else { "WISPR Clone" };
+  tray.set_tooltip(Some(tooltip)).map_err(|e| e.to_string())
+}
+
+fn build_menu<R: Runtime>(app: &AppHandle<R>, state: Option<&TrayState>) -> tauri::Result<Menu<R>> {
+  let menu = Menu::new(app)?;
+
+  // Signed out there is nothing to record or open
+  if let Some(state) = state.filter(|state| state.signed_in) {
+    let record = if state.recording { "Stop recording" } else { "Start recording" };
+    menu.append(&MenuItem::with_id(app, "record", record, true, None::<&str>)?)?;
+
+    // The language of a running session cannot change
+    let languages = Submenu::new(app, "Language", !state.recording)?;
+    for language in &state.languages {
+      let id = format!("language:{}", language.code);
+      let selected = language.code == state.language;
+      languages.append(&CheckMenuItem::with_id(app, id, &language.name, true, selected, None::<&str>)?)?;
+    }
+    menu.append(&languages)?;
+
+    let recent = Submenu::new(app, "Recent transcripts", !state.recording && !state.recent.is_empty())?;
+    for transcript in &state.recent {
+      let id = format!("recent:{}", transcript.id);
+      recent.append(&MenuItem::with_id(app, id, &transcript.title, true, None::<&str>)?)?;
+    }
+    menu.append(&recent)?;
+
+    let overlay = "Show overlay while recording";
+    menu.append(&CheckMenuItem::with_id(app, "overlay", overlay, true, state.overlay, None::<&str>)?)?;
+    menu.append(&PredefinedMenuItem::separator(app)?)?;
+  }
+
+  menu.append(&MenuItem::with_id(app, "show", "Open WISPR Clone", true, None::<&str>)?)?;
+  menu.append(&MenuItem::with_id(app, "quit", "Quit", true, None::<&str>)?)?;
+  Ok(menu)
+}
+
+fn handle_menu_event<R: Runtime>(app: &AppHandle<R>, event: MenuEvent) {
+  let id = event.id().as_ref();
+  let action = match id {
+    "show" => return show_main_window(app),
+    "quit" => return app.exit(0),
+    "record" => TrayAction::ToggleRecording,
+    "overlay" => TrayAction::ToggleOverlay,
+    _ => {
+      if let Some(code) = id.strip_prefix("language:") {
+        TrayAction::Language(code.to_string())
+      } else if let Some(chat_id) = id.strip_prefix("recent:") {
+        show_main_window(app);
+        TrayAction::OpenTranscript(chat_id.to_string())
+      } else {
+        return;
+      }
+    }
+  };
+
+  // The main window runs hidden, so it receives these even while closed to the tray
+  if let Err(e) = app.emit_to(MAIN_WINDOW, ACTION_EVENT, action) {
+    log::error!("Could not send the tray action: {e}");
+  }
+}
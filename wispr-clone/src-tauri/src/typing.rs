@@ -0,0 +1,32 @@
+//! Simulated keyboard input into whichever app has focus, for desktop dictation.
+//! The insertion strategy (typing vs. pasting, restoring the clipboard) lives in
+//! src/utils/textInsertion.js; these commands are its key-press primitives.
+
+use enigo::{Direction, Enigo, Key, Keyboard, Settings};
+
+// Cmd+V on macOS, Ctrl+V everywhere else
+#[cfg(target_os = "macos")]
+const PASTE_MODIFIER: Key = Key::Meta;
+#[cfg(not(target_os = "macos"))]
+const PASTE_MODIFIER: Key = Key::Control;
+
+fn keyboard() -> Result<Enigo, String> {
+  Enigo::new(&Settings::default()).map_err(|e| format!("Cannot simulate key presses: {e}"))
+}
+
+/// Types `text` as if it came from the keyboard.
+#[tauri::command]
+pub fn type_text(text: String) -> Result<(), String> {
+  keyboard()?.text(&text).map_err(|e| e.to_string())
+}
+
+/// Presses the platform's paste shortcut.
+#[tauri::command]
+pub fn send_paste() -> Result<(), String> {
+  let mut enigo = keyboard()?;
+  enigo.key(PASTE_MODIFIER, Direction::Press).map_err(|e| e.to_string())?;
+  let pasted = enigo.key(Key::Unicode('v'), Direction::Click).map_err(|e| e.to_string());
+  // Never leave the modifier held down, even if the key press failed
+  enigo.key(PASTE_MODIFIER, Direction::Release).map_err(|e| e.to_string())?;
+  pasted
+}
@@ -1,116 +1,256 @@
-import { useState, useRef, useEffect } from 'react';
-import { Copy, FileText, Download, Trash2 } from 'lucide-react';
+import { useState, useReducer, useRef, useEffect, useSyncExternalStore } from 'react';
+import { Copy, FileText, Download, Trash2, LogOut } from 'lucide-react';
 import { RealtimeRecorder } from './components/RealtimeRecorder';
 import { LanguageSelector } from './components/LanguageSelector';
 import { VoiceEnrollment } from './components/VoiceEnrollment';
+import { SessionHistory } from './components/SessionHistory';
+import { ProfileManager } from './components/ProfileManager';
+import { AuthForm } from './components/AuthForm';
+import { FileTranscriber } from './components/FileTranscriber';
+import { TranscriptPlayer } from './components/TranscriptPlayer';
+import { DictationSettings } from './components/DictationSettings';
+import { DictionaryManager } from './components/DictionaryManager';
+import { getUser, onAuthChange, logout } from './services/auth';
 import { saveTranscript } from './utils/saveFile';
+import { EXPORT_FORMATS, emphasisRuns, renderTranscript, toText } from './utils/transcriptFormats';
+import { transcriptReducer, initialTranscriptState, selectDisplaySegments } from './utils/transcriptReducer';
+import { useSessionPersistence } from './hooks/useSessionPersistence';
+import { useDictation } from './hooks/useDictation';
+import { useTray } from './hooks/useTray';
+import {
+  isDesktop, loadDictationSettings, saveDictationSettings, loadWindowSettings, saveWindowSettings,
+  showMainWindow, updateIndicator,
+} from './services/desktop';
+import { loadSession } from './services/sessions';
+import { getDictionary, loadDictionary } from './services/dictionary';
+import { replaceInText, replaceInWords } from './utils/replacements';
+import { parseCommands, describeCommand } from './utils/voiceCommands';
+import { findActiveWord, seekTime } from './utils/playback';
+
+const COMMAND_MODE_KEY = 'wispr-voice-commands';
+const COMMAND_NOTICE_MS = 2000;
+
+// Text bolded with "bold that" carries Markdown `**` markers
+const renderEmphasis = (text, bold = false) => emphasisRuns(text, bold)
+  .map((run, i) => (run.bold ? <strong key={i}>{run.text}</strong> : <span key={i}>{run.text}</span>));
+const withoutEmphasis = (text) => emphasisRuns(text).map(run => run.text).join('');
+
+// Words of a segment, each with whether it starts inside bold (the markers sit on a phrase's first and last word)
+const wordsWithEmphasis = (words) => {
+  let bold = false;
+  return words.map((word) => {
+    const text = word.punctuated_word || word.word;
+    const entry = { text, bold };
+    if ((text.split('**').length - 1) % 2 === 1) bold = !bold;
+    return entry;
+  });
+};
 
 function App() {
+  const user = useSyncExternalStore(onAuthChange, getUser);
   const [status, setStatus] = useState('idle'); // idle | recording
-  const [segments, setSegments] = useState([]); // Array of { speaker: number, text: string }
-  const [speakerMap, setSpeakerMap] = useState({}); // { 0: 'John', 1: 'Jane' }
+  const [speaking, setSpeaking] = useState(false); // Relay VAD: someone is talking right now
+  const [identityStatus, setIdentityStatus] = useState(null); // Relay: { status: available | degraded | unavailable, reason }
+  const [recordingId, setRecordingId] = useState(null); // Relay's audio recording of the current session
+  const [transcriptState, dispatch] = useReducer(transcriptReducer, initialTranscriptState);
+  const { segments, speakerMap } = transcriptState;
+  const displaySegments = selectDisplaySegments(transcriptState);
   const [language, setLanguage] = useState('en');
   const [showCopyFeedback, setShowCopyFeedback] = useState(false);
   const [showEnrollment, setShowEnrollment] = useState(false);
-
-  // Real-time updates need to append to the previous state.
-  // However, Deepgram sends both partials and finals.
-  // We will collect "Final" parts into a buffer state, and show "Interim" in a temp state.
-  // For simplicity implementation: we will just append text as it flows in this MVP.
-  // Ideally: Use a reducer to handle { is_final: true } correctly.
-
-  // Handle incoming transcript data
-  // Handle incoming transcript data
+  const [showProfiles, setShowProfiles] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showFileUpload, setShowFileUpload] = useState(false);
+  const [exportFormat, setExportFormat] = useState('txt');
+  const [showDictation, setShowDictation] = useState(false);
+  const [showDictionary, setShowDictionary] = useState(false);
+  const [dictationSettings, setDictationSettings] = useState(loadDictationSettings);
+  // Signed out there is no relay token, so the hotkey stays unregistered
+  const dictation = useDictation({ language, settings: { ...dictationSettings, enabled: dictationSettings.enabled && Boolean(user) } });
+  const [windowSettings, setWindowSettings] = useState(loadWindowSettings);
+  const recorderRef = useRef(null);
+  // Playback mode: audio of the loaded session (relay recording or uploaded file) and its position
+  const [playbackSource, setPlaybackSource] = useState(null);
+  const [playbackTime, setPlaybackTime] = useState(0);
+  const audioRef = useRef(null);
+  const transcriptRef = useRef(null);
+  const { sessionError, resetSaved } = useSessionPersistence({ status, segments, speakerMap, language, recordingId });
+  // Spoken editing commands ("new paragraph", "delete that"), see utils/voiceCommands.js
+  const [commandMode, setCommandMode] = useState(() => localStorage.getItem(COMMAND_MODE_KEY) === 'on');
+  const commandModeRef = useRef(commandMode); // Read by the recorder's callbacks, which outlive renders
+  const [commandNotice, setCommandNotice] = useState(null); // { label, at } of the last command run
+
+  // Deepgram sends both partials and finals: the reducer keeps one interim tail per speaker
+  // and commits it into `segments` on is_final / speech_final.
   const handleTranscript = (data, isFinalOrFlag, type) => {
-    // 1. Handle Identification Events
-    if (type === 'identity') {
-      const { speaker, confidence } = data;
-      if (speaker !== 'Unknown' && confidence > 0.6) {
-        // Heuristic: Assign this identity to the most recent speaker seen
-        // In a perfect world, we have IDs match. Deepgram uses ints (0,1).
-        // We assume the active speaker is the one identified.
-        // We can't map 'John' to '0' easily without more data from Backend.
-        // DEMO HACK: If we get "John", find the last "Unknown" segment and label it?
-        // OR: Just label the last active numeric speaker as this name.
-
-        // Let's assume the ID service result corresponds to the currently talking Deepgram speaker.
-        // We need to know who is talking NOW.
-        // We will check the last added segment.
-        setSegments(prev => {
-          if (prev.length === 0) return prev;
-          const lastSeg = prev[prev.length - 1];
-          const speakerId = lastSeg.speaker;
-
-          // Update map: 0 -> John
-          setSpeakerMap(m => ({ ...m, [speakerId]: speaker })); // This might trigger re-renders
-          return prev;
-        });
-      }
+    if (type === 'speakers') {
+      dispatch({ type: 'speakers', speakers: data });
       return;
     }
 
-    // 2. Handle Transcript
-    const { words, isFinal, transcript } = data;
-
-    // We only process final results to ensure stable speaker diarization
-    if (!isFinalOrFlag) return;
-
-    if (words && words.length > 0) {
-      setSegments(prev => {
-        const newSegments = [...prev];
-        let lastSegment = newSegments.length > 0 ? { ...newSegments[newSegments.length - 1] } : null;
-
-        const incomingSegments = [];
-        let currentLoopSegment = null;
-
-        words.forEach(word => {
-          const speaker = word.speaker !== undefined ? word.speaker : 'Unknown';
-          const content = word.punctuated_word || word.word;
-
-          if (currentLoopSegment && currentLoopSegment.speaker === speaker) {
-            currentLoopSegment.text += ' ' + content;
-          } else {
-            currentLoopSegment = { speaker, text: content };
-            incomingSegments.push(currentLoopSegment);
-          }
-        });
-
-        if (incomingSegments.length === 0) return prev;
-
-        // Merge first new segment with the last existing segment if speaker matches
-        if (lastSegment && lastSegment.speaker === incomingSegments[0].speaker) {
-          lastSegment.text += ' ' + incomingSegments[0].text;
-          newSegments[newSegments.length - 1] = lastSegment;
-          return [...newSegments, ...incomingSegments.slice(1)];
-        } else {
-          return [...newSegments, ...incomingSegments];
-        }
-      });
-    } else if (transcript) {
-      // Fallback for cases where words array is missing but transcript exists
-      setSegments(prev => [...prev, { speaker: 'Unknown', text: transcript }]);
+    // Replacement rules from the personal dictionary, interim results included so the text does not jump
+    const { replacements } = getDictionary();
+    const dispatchText = (words, transcript) => dispatch({
+      type: 'transcript',
+      words: replaceInWords(words, replacements),
+      transcript: replaceInText(transcript, replacements),
+      isFinal: isFinalOrFlag,
+      speechFinal: data.speechFinal,
+    });
+
+    // Commands are only taken from final results, interim ones may still change
+    const parts = commandModeRef.current && isFinalOrFlag ? parseCommands(data.words) : [];
+    if (!parts.some(part => part.type === 'command')) {
+      dispatchText(data.words, data.transcript);
+      return;
+    }
+
+    parts.forEach((part) => {
+      if (part.type === 'text') {
+        dispatchText(part.words, part.words.map(w => w.punctuated_word || w.word).join(' '));
+        return;
+      }
+      dispatch({ type: 'command', name: part.name, value: part.value });
+      setCommandNotice({ label: describeCommand(part), at: Date.now() });
+      if (part.name === 'stop' && recorderRef.current) recorderRef.current.stop();
+    });
+  };
+
+  const handleCommandMode = (enabled) => {
+    localStorage.setItem(COMMAND_MODE_KEY, enabled ? 'on' : 'off');
+    commandModeRef.current = enabled;
+    setCommandMode(enabled);
+  };
+
+  useEffect(() => {
+    if (!commandNotice) return;
+    const timer = setTimeout(() => setCommandNotice(null), COMMAND_NOTICE_MS);
+    return () => clearTimeout(timer);
+  }, [commandNotice]);
+
+  const handleDictationSettings = (next) => {
+    saveDictationSettings(next);
+    setDictationSettings(next);
+  };
+
+  const handleWindowSettings = (next) => {
+    saveWindowSettings(next);
+    setWindowSettings(next);
+  };
+
+  // Recorders read the dictionary when a session starts, so it is loaded up front
+  const userId = user?._id;
+  useEffect(() => {
+    if (userId) loadDictionary().catch(err => console.error(err));
+  }, [userId]);
+
+  // The main window starts hidden so that the app can launch straight into the tray
+  useEffect(() => {
+    if (!loadWindowSettings().startInTray) showMainWindow().catch(err => console.error(err));
+  }, []);
+
+  const startPlayback = (source) => {
+    setPlaybackSource(source);
+    setPlaybackTime(0);
+  };
+
+  const handleStatusChange = (next) => {
+    setStatus(next);
+    if (next === 'recording') {
+      dispatch({ type: 'start' });
+      setPlaybackSource(null); // Live words have no audio to play yet
     }
   };
 
   const handleClear = () => {
     if (confirm('Are you sure you want to clear the transcript?')) {
-      setSegments([]);
+      dispatch({ type: 'clear' });
+      resetSaved();
+      setPlaybackSource(null);
     }
   };
 
-  const getFormattedTranscript = () => {
-    return segments.map(s => {
-      const name = speakerMap[s.speaker] ? `${speakerMap[s.speaker]} (Speaker ${s.speaker})` : `Speaker ${s.speaker}`;
-      return `${name}: ${s.text}`;
-    }).join('\n\n');
+  const handleLoadSession = (loadedSegments, loadedSpeakerMap, chat) => {
+    dispatch({ type: 'load', segments: loadedSegments, speakerMap: loadedSpeakerMap });
+    startPlayback(chat.recordingId ? { type: 'recording', recordingId: chat.recordingId } : null);
+    setShowHistory(false);
+  };
+
+  const handleFileResult = (fileSegments, fileSpeakerMap, file) => {
+    dispatch({ type: 'load', segments: fileSegments, speakerMap: fileSpeakerMap });
+    startPlayback({ type: 'file', file });
+  };
+
+  // Click-to-seek: a word starts playback at the word, a speaker label at the segment
+  const seekTo = (time) => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    audio.currentTime = time;
+    setPlaybackTime(time);
+    audio.play().catch(() => {}); // Autoplay may be refused, the position is still set
   };
 
+  const activeWord = playbackSource ? findActiveWord(segments, playbackTime) : null;
+  const activeKey = activeWord ? `${activeWord.segment}:${activeWord.word}` : null;
+
+  // Keep the highlighted word in view while the audio plays
+  useEffect(() => {
+    if (!activeKey || !transcriptRef.current) return;
+    const element = transcriptRef.current.querySelector('.active-word, .active-segment');
+    if (element) element.scrollIntoView({ block: 'nearest' });
+  }, [activeKey]);
+
+  const getFormattedTranscript = () => toText(segments, speakerMap);
+
+  // The talker is whoever the newest (usually interim) words belong to
+  const lastSegment = displaySegments[displaySegments.length - 1];
+  const activeSpeaker = lastSegment && lastSegment.speaker !== 'Unknown'
+    ? speakerMap[lastSegment.speaker] || `Speaker ${lastSegment.speaker}`
+    : null;
+  const liveLine = lastSegment ? withoutEmphasis(lastSegment.interimText || lastSegment.text) : '';
+
+  // Floating overlay while recording; a dictation in progress has the indicator to itself
+  const overlayActive = status === 'recording' && windowSettings.overlay;
+  const dictationActive = dictation.status !== 'idle' && dictation.status !== 'off';
+  useEffect(() => {
+    if (!isDesktop() || dictationActive) return;
+    const text = commandNotice ? `✓ ${commandNotice.label}` : liveLine;
+    const state = overlayActive ? { status: 'recording', text, speaker: activeSpeaker } : { status: 'idle' };
+    updateIndicator(state).catch(err => console.error(err));
+  }, [overlayActive, dictationActive, liveLine, activeSpeaker, commandNotice]);
+
+  const handleTrayAction = ({ action, value }) => {
+    if (action === 'toggle-recording') {
+      if (recorderRef.current) recorderRef.current.toggle();
+    } else if (action === 'toggle-overlay') {
+      handleWindowSettings({ ...windowSettings, overlay: !windowSettings.overlay });
+    } else if (action === 'language') {
+      if (status !== 'recording') setLanguage(value);
+    } else if (action === 'open-transcript' && status !== 'recording') {
+      loadSession(value)
+        .then(({ segments: loaded, speakerMap: loadedSpeakerMap, chat }) => handleLoadSession(loaded, loadedSpeakerMap, chat))
+        .catch(err => console.error(err));
+    }
+  };
+
+  useTray({
+    signedIn: Boolean(user),
+    recording: status === 'recording',
+    language,
+    overlay: windowSettings.overlay,
+    onAction: handleTrayAction,
+  });
+
   const handleSave = async () => {
     if (segments.length === 0) return;
     try {
-      await saveTranscript(getFormattedTranscript());
-      alert('Transcript saved successfully!');
-    } catch (error) {
+      const metadata = { title: 'WISPR Transcript', language };
+      const saved = await saveTranscript(
+        (format) => renderTranscript(format, segments, speakerMap, metadata),
+        exportFormat
+      );
+      if (saved) alert('Transcript saved successfully!');
+    } catch {
       // Error handled in util or canceled
     }
   };
@@ -128,82 +268,180 @@ function App() {
       <header>
         <h1>WISPR Clone</h1>
         <p className="subtitle">Real-time Voice Transcription</p>
-      </header>
-
-      <main className="card">
-        {/* Top Controls: Language */}
-        <div className="controls-row">
-          <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
-            <LanguageSelector
-              selectedLanguage={language}
-              onLanguageChange={setLanguage}
-              disabled={status === 'recording'}
-            />
-            <button className="btn-small" onClick={() => setShowEnrollment(!showEnrollment)}>
-              {showEnrollment ? 'Hide Enrollment' : 'Enroll New Voice'}
+        {user && (
+          <div className="user-bar">
+            <span>{user.name || user.email}</span>
+            <button className="icon-btn" onClick={logout} title="Sign out" disabled={status === 'recording'}>
+              <LogOut size={16} />
             </button>
           </div>
+        )}
+      </header>
 
-          <div className={`status-indicator ${status}`}>
-            <div className="dot"></div>
-            {status === 'recording' ? 'Live Listening' : 'Ready'}
-          </div>
-        </div>
-
-        {showEnrollment && <VoiceEnrollment />}
-
-        {/* Recorder Action */}
-        <RealtimeRecorder
-          onTranscript={handleTranscript}
-          onStatusChange={setStatus}
-          language={language}
-        />
-
-        {/* Transcript Area */}
-        <div className="transcript-area">
-          <div className="transcript-header">
-            <span>Transcript</span>
-            <div className="actions">
-              {segments.length > 0 && (
-                <>
-                  <button onClick={handleClear} title="Clear" className="icon-btn">
-                    <Trash2 size={16} />
-                  </button>
-                  <button onClick={copyToClipboard} title="Copy" className="icon-btn">
-                    {showCopyFeedback ? 'Copied' : <Copy size={16} />}
-                  </button>
-                  <button onClick={handleSave} title="Save to File" className="icon-btn primary-icon">
-                    <Download size={16} />
-                  </button>
-                </>
+      {!user ? <AuthForm /> : (
+        <main className="card">
+          {/* Top Controls: Language */}
+          <div className="controls-row">
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+              <LanguageSelector
+                selectedLanguage={language}
+                onLanguageChange={setLanguage}
+                disabled={status === 'recording'}
+              />
+              <button className="btn-small" onClick={() => setShowEnrollment(!showEnrollment)}>
+                {showEnrollment ? 'Hide Enrollment' : 'Enroll New Voice'}
+              </button>
+              <button className="btn-small" onClick={() => setShowProfiles(!showProfiles)}>
+                {showProfiles ? 'Hide Profiles' : 'Voice Profiles'}
+              </button>
+              <button className="btn-small" onClick={() => setShowHistory(!showHistory)} disabled={status === 'recording'}>
+                {showHistory ? 'Hide Sessions' : 'Past Sessions'}
+              </button>
+              <button className="btn-small" onClick={() => setShowFileUpload(!showFileUpload)}>
+                {showFileUpload ? 'Hide File' : 'Transcribe File'}
+              </button>
+              <button className="btn-small" onClick={() => setShowDictionary(!showDictionary)}>
+                {showDictionary ? 'Hide Dictionary' : 'Dictionary'}
+              </button>
+              <label className="command-toggle" title='Say "new paragraph", "delete that", "bold that", "question mark", "undo that" or "stop listening"'>
+                <input type="checkbox" checked={commandMode} onChange={(e) => handleCommandMode(e.target.checked)} />
+                Voice commands
+              </label>
+              {isDesktop() && (
+                <button className="btn-small" onClick={() => setShowDictation(!showDictation)}>
+                  {showDictation ? 'Hide Desktop' : 'Desktop'}
+                </button>
+              )}
+            </div>
+
+            <div className={`status-indicator ${status}`} title={sessionError ? `Not saved: ${sessionError}` : undefined}>
+              <div className="dot"></div>
+              {status === 'recording' ? 'Live Listening' : 'Ready'}
+              {status === 'recording' && speaking && (
+                <span className="speaking-badge">{activeSpeaker ? `${activeSpeaker} is talking` : 'Speech detected'}</span>
+              )}
+              {status === 'recording' && identityStatus && identityStatus.status !== 'available' && (
+                <span className={`identity-badge ${identityStatus.status}`} title={identityStatus.reason || undefined}>
+                  {identityStatus.status === 'degraded' ? 'Speaker ID unstable' : 'Speaker ID offline, transcribing without names'}
+                </span>
               )}
+              {commandNotice && <span key={commandNotice.at} className="command-badge">✓ {commandNotice.label}</span>}
+              {sessionError && <span className="unsaved-badge">Not saved</span>}
             </div>
           </div>
 
-          <div className="transcript-content">
-            {segments.length > 0 ? (
-              <div className="segments-container">
-                {segments.map((seg, idx) => (
-                  <div key={idx} className="segment">
-                    <div className="speaker-label">
-                      {speakerMap[seg.speaker]
-                        ? <span className="identified-speaker">{speakerMap[seg.speaker]} <span style={{ opacity: 0.5, fontSize: '0.8em' }}>#{seg.speaker}</span></span>
-                        : `Speaker ${seg.speaker}`
-                      }
-                    </div>
-                    <div className="segment-text">{seg.text}</div>
-                  </div>
-                ))}
-              </div>
-            ) : (
-              <div className="placeholder">
-                Words will appear here as you speak...
+          {showEnrollment && <VoiceEnrollment />}
+          {showProfiles && <ProfileManager />}
+          {showDictionary && <DictionaryManager />}
+          {showHistory && <SessionHistory onLoad={handleLoadSession} disabled={status === 'recording'} />}
+          {showDictation && (
+            <DictationSettings
+              settings={dictationSettings}
+              onChange={handleDictationSettings}
+              state={dictation}
+              windowSettings={windowSettings}
+              onWindowChange={handleWindowSettings}
+            />
+          )}
+          {showFileUpload && (
+            <FileTranscriber language={language} onResult={handleFileResult} disabled={status === 'recording'} />
+          )}
+
+          {/* Recorder Action */}
+          <RealtimeRecorder
+            ref={recorderRef}
+            onTranscript={handleTranscript}
+            onStatusChange={handleStatusChange}
+            onSpeechChange={setSpeaking}
+            onIdentityStatusChange={setIdentityStatus}
+            onRecordingId={setRecordingId}
+            language={language}
+          />
+
+          {/* Transcript Area */}
+          <div className="transcript-area">
+            <div className="transcript-header">
+              <span>Transcript</span>
+              <div className="actions">
+                {segments.length > 0 && (
+                  <>
+                    <button onClick={handleClear} title="Clear" className="icon-btn">
+                      <Trash2 size={16} />
+                    </button>
+                    <button onClick={copyToClipboard} title="Copy" className="icon-btn">
+                      {showCopyFeedback ? 'Copied' : <Copy size={16} />}
+                    </button>
+                    <select
+                      className="format-select"
+                      value={exportFormat}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      title="Export format"
+                    >
+                      {Object.entries(EXPORT_FORMATS).map(([id, { extension }]) => (
+                        <option key={id} value={id}>.{extension}</option>
+                      ))}
+                    </select>
+                    <button onClick={handleSave} title="Save to File" className="icon-btn primary-icon">
+                      <Download size={16} />
+                    </button>
+                  </>
+                )}
               </div>
+            </div>
+
+            {playbackSource && (
+              <TranscriptPlayer
+                source={playbackSource}
+                audioRef={audioRef}
+                onTimeUpdate={setPlaybackTime}
+                onClose={() => setPlaybackSource(null)}
+              />
             )}
-            {status === 'recording' && <span className="cursor">|</span>}
+
+            <div className="transcript-content" ref={transcriptRef}>
+              {displaySegments.length > 0 ? (
+                <div className={`segments-container ${playbackSource ? 'playback' : ''}`}>
+                  {displaySegments.map((seg, idx) => (
+                    <div key={idx} className={`segment ${activeWord?.segment === idx && activeWord.word === -1 ? 'active-segment' : ''}`}>
+                      <div
+                        className="speaker-label"
+                        onClick={playbackSource ? () => seekTo(seekTime(seg)) : undefined}
+                        title={playbackSource ? 'Play from here' : undefined}
+                      >
+                        {speakerMap[seg.speaker]
+                          ? <span className="identified-speaker">{speakerMap[seg.speaker]} <span style={{ opacity: 0.5, fontSize: '0.8em' }}>#{seg.speaker}</span></span>
+                          : `Speaker ${seg.speaker}`
+                        }
+                      </div>
+                      <div className="segment-text">
+                        {playbackSource && seg.words?.length > 0
+                          ? wordsWithEmphasis(seg.words).map(({ text, bold }, wordIdx) => (
+                            <span key={wordIdx}>
+                              {wordIdx > 0 && !seg.words[wordIdx - 1].punctuated_word?.endsWith('\n') && ' '}
+                              <span
+                                className={`word ${activeWord?.segment === idx && activeWord.word === wordIdx ? 'active-word' : ''}`}
+                                onClick={() => seekTo(seekTime(seg, wordIdx))}
+                              >
+                                {renderEmphasis(text, bold)}
+                              </span>
+                            </span>
+                          ))
+                          : renderEmphasis(seg.text)}
+                        {seg.interimText && <span className="interim-text">{seg.text ? ' ' : ''}{seg.interimText}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <div className="placeholder">
+                  Words will appear here as you speak...
+                </div>
+              )}
+              {status === 'recording' && <span className="cursor">|</span>}
+            </div>
           </div>
-        </div>
-      </main>
+        </main>
+      )}
 
       <style>{`
         .app-container {
@@ -228,6 +466,15 @@ function App() {
           margin-top: 0.5rem;
         }
 
+        .user-bar {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 8px;
+          color: var(--text-muted);
+          font-size: 0.9rem;
+        }
+
         .controls-row {
           display: flex;
           justify-content: space-between;
@@ -245,6 +492,48 @@ function App() {
         }
 
         .status-indicator.recording { color: #ef4444; }
+        .unsaved-badge {
+          font-size: 0.75rem;
+          color: #f59e0b;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          padding: 0 4px;
+        }
+        .identity-badge {
+          font-size: 0.75rem;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          padding: 0 4px;
+        }
+        .identity-badge.degraded { color: #f59e0b; }
+        .identity-badge.unavailable { color: #94a3b8; }
+        .speaking-badge {
+          font-size: 0.75rem;
+          color: #4ade80;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          padding: 0 4px;
+        }
+        .command-badge {
+          font-size: 0.75rem;
+          color: #a78bfa;
+          border: 1px solid currentColor;
+          border-radius: 4px;
+          padding: 0 4px;
+          animation: command-flash 0.4s ease-out;
+        }
+        @keyframes command-flash {
+          from { background: rgba(167, 139, 250, 0.35); }
+          to { background: transparent; }
+        }
+        .command-toggle {
+          display: flex;
+          align-items: center;
+          gap: 4px;
+          font-size: 0.85rem;
+          color: var(--text-muted);
+          cursor: pointer;
+        }
         .status-indicator .dot {
           width: 8px;
           height: 8px;
@@ -302,6 +591,23 @@ function App() {
           color: #e4e4e7;
           font-size: 1.1rem;
           line-height: 1.6;
+          white-space: pre-wrap; /* Spoken "new line" / "new paragraph" */
+        }
+
+        .playback .speaker-label,
+        .playback .word { cursor: pointer; }
+        .playback .word:hover { color: white; text-decoration: underline; }
+        .active-word {
+          background: rgba(100, 108, 255, 0.35);
+          border-radius: 3px;
+          color: white;
+        }
+        .active-segment .segment-text { color: white; }
+
+        .interim-text {
+          color: var(--text-muted);
+          opacity: 0.6;
+          font-style: italic;
         }
 
         .btn-small {
@@ -355,6 +661,14 @@ function App() {
           color: white;
         }
 
+        .format-select {
+          border: 1px solid var(--glass-border);
+          border-radius: 6px;
+          padding: 0 6px;
+          font-size: 0.85rem;
+          color: var(--text-muted);
+        }
+
         .primary-icon {
           color: var(--primary);
           border-color: var(--primary);
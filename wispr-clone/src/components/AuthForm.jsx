@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { LogIn, UserPlus, Loader2 } from 'lucide-react';
+import { login, signup } from '../services/auth';
+
+/**
+ * Sign-in / sign-up form. On success the auth service notifies App, which swaps this out.
+ */
+export function AuthForm() {
+    const [mode, setMode] = useState('login'); // login | signup
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [name, setName] = useState('');
+    const [status, setStatus] = useState('idle'); // idle | submitting
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setStatus('submitting');
+        setError(null);
+        try {
+            if (mode === 'login') await login(email, password);
+            else await signup(email, password, name);
+        } catch (err) {
+            setError(err.message || 'Could not reach the API server');
+            setStatus('idle');
+        }
+    };
+
+    return (
+        <form className="auth-card" onSubmit={handleSubmit}>
+            <h3>
+                {mode === 'login' ? <LogIn size={20} /> : <UserPlus size={20} />}
+                {mode === 'login' ? 'Sign In' : 'Create Account'}
+            </h3>
+
+            {mode === 'signup' && (
+                <div className="input-group">
+                    <label>Name</label>
+                    <input type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. John Doe" />
+                </div>
+            )}
+            <div className="input-group">
+                <label>Email</label>
+                <input type="email" value={email} onChange={(e) => setEmail(e.target.value)} required autoComplete="email" />
+            </div>
+            <div className="input-group">
+                <label>Password</label>
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    required
+                    minLength={8}
+                    autoComplete={mode === 'login' ? 'current-password' : 'new-password'}
+                />
+            </div>
+
+            {error && <div className="error-msg">{error}</div>}
+
+            <div className="auth-actions">
+                <button
+                    type="button"
+                    className="btn-text"
+                    onClick={() => { setMode(mode === 'login' ? 'signup' : 'login'); setError(null); }}
+                >
+                    {mode === 'login' ? 'Need an account? Sign up' : 'Have an account? Sign in'}
+                </button>
+                <button type="submit" className="btn-primary" disabled={status === 'submitting'}>
+                    {status === 'submitting' && <Loader2 className="spin" size={16} />}
+                    {mode === 'login' ? 'Sign In' : 'Sign Up'}
+                </button>
+            </div>
+
+            <style>{`
+        .auth-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            text-align: left;
+        }
+        .auth-card h3 {
+            margin-top: 0;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .input-group {
+            margin: 1rem 0;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+        }
+        .input-group input {
+            background: rgba(0,0,0,0.2);
+            border: 1px solid var(--glass-border);
+            padding: 10px;
+            border-radius: 6px;
+            color: white;
+            font-size: 1rem;
+        }
+        .auth-actions {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 10px;
+        }
+        .btn-text {
+            background: transparent;
+            box-shadow: none;
+            color: var(--text-muted);
+            padding: 6px 0;
+        }
+        .error-msg { color: #ef4444; margin-top: 10px; font-size: 0.9rem; }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </form>
+    );
+}
@@ -0,0 +1,181 @@
+import { useState } from 'react';
+import { Keyboard, AppWindow } from 'lucide-react';
+import { INSERT_MODES } from '../utils/textInsertion';
+import { CLEANUP_LEVELS } from '../utils/textCleanup';
+
+const MODIFIER_CODES = ['ControlLeft', 'ControlRight', 'ShiftLeft', 'ShiftRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+/**
+ * Shortcut in the global-shortcut plugin's format ("CommandOrControl+Shift+Space") for a key press,
+ * null while only modifiers are down. Plain keys need a modifier, function keys don't.
+ */
+function shortcutFromEvent(e) {
+    if (MODIFIER_CODES.includes(e.code)) return null;
+    const modifiers = [
+        (e.ctrlKey || e.metaKey) && 'CommandOrControl',
+        e.altKey && 'Alt',
+        e.shiftKey && 'Shift',
+    ].filter(Boolean);
+    if (modifiers.length === 0 && !/^F\d+$/.test(e.code)) return null;
+    return [...modifiers, e.code].join('+');
+}
+
+const STATUS_LABELS = {
+    idle: 'Ready',
+    listening: 'Listening',
+    finishing: 'Inserting',
+    error: 'Error',
+};
+
+/**
+ * Desktop settings. Dictation: the global hotkey, hold or toggle, how text is cleaned up and inserted.
+ * Window: the recording overlay and launching into the tray. Changes apply immediately.
+ * @param {object} props
+ * @param {object} props.settings - See DEFAULT_DICTATION_SETTINGS.
+ * @param {(settings: object) => void} props.onChange
+ * @param {object} props.state - From useDictation.
+ * @param {object} props.windowSettings - See DEFAULT_WINDOW_SETTINGS.
+ * @param {(settings: object) => void} props.onWindowChange
+ */
+export function DictationSettings({ settings, onChange, state, windowSettings, onWindowChange }) {
+    const [capturing, setCapturing] = useState(false);
+
+    const set = (key, value) => onChange({ ...settings, [key]: value });
+    const setWindow = (key, value) => onWindowChange({ ...windowSettings, [key]: value });
+
+    const handleShortcutKey = (e) => {
+        e.preventDefault();
+        if (e.key === 'Escape') {
+            setCapturing(false);
+            return;
+        }
+        const shortcut = shortcutFromEvent(e);
+        if (!shortcut) return;
+        setCapturing(false);
+        set('shortcut', shortcut);
+    };
+
+    return (
+        <div className="dictation-card">
+            <h3><Keyboard size={20} /> Dictation</h3>
+            <p className="dictation-hint">
+                Dictate into any app: {settings.mode === 'hold' ? 'hold' : 'press'} the shortcut, speak, then
+                {settings.mode === 'hold' ? ' release it' : ' press it again'}. The text goes where your cursor is.
+            </p>
+
+            <label className="dictation-row">
+                <input type="checkbox" checked={settings.enabled} onChange={(e) => set('enabled', e.target.checked)} />
+                Enable the global shortcut
+            </label>
+
+            <div className="dictation-row">
+                <span>Shortcut</span>
+                <button
+                    className={`shortcut-input ${capturing ? 'capturing' : ''}`}
+                    onClick={() => setCapturing(true)}
+                    onKeyDown={capturing ? handleShortcutKey : undefined}
+                    onBlur={() => setCapturing(false)}
+                    disabled={!settings.enabled}
+                >
+                    {capturing ? 'Press the new shortcut (Esc to cancel)' : settings.shortcut}
+                </button>
+            </div>
+
+            <div className="dictation-row">
+                <span>Mode</span>
+                <select value={settings.mode} onChange={(e) => set('mode', e.target.value)}>
+                    <option value="hold">Hold to talk</option>
+                    <option value="toggle">Press to start, press to insert</option>
+                </select>
+            </div>
+
+            <div className="dictation-row">
+                <span>Insert by</span>
+                <select value={settings.insertMode} onChange={(e) => set('insertMode', e.target.value)}>
+                    {Object.entries(INSERT_MODES).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <div className="dictation-row">
+                <span>Cleanup</span>
+                <select value={settings.cleanup} onChange={(e) => set('cleanup', e.target.value)}>
+                    {Object.entries(CLEANUP_LEVELS).map(([id, label]) => (
+                        <option key={id} value={id}>{label}</option>
+                    ))}
+                </select>
+            </div>
+
+            <label className="dictation-row">
+                <input
+                    type="checkbox"
+                    checked={settings.aiCleanup}
+                    onChange={(e) => set('aiCleanup', e.target.checked)}
+                    disabled={settings.cleanup === 'none'}
+                />
+                Polish with the server's AI model (the offline rules are used when it is unavailable)
+            </label>
+
+            {state.status !== 'off' && (
+                <div className={`dictation-status ${state.status}`}>
+                    {STATUS_LABELS[state.status]}{state.error ? `: ${state.error}` : ''}
+                </div>
+            )}
+
+            <h3><AppWindow size={20} /> Window</h3>
+            <p className="dictation-hint">
+                Closing the window keeps WISPR running in the system tray, where you can start and stop
+                recording, switch language and reopen recent transcripts.
+            </p>
+
+            <label className="dictation-row">
+                <input type="checkbox" checked={windowSettings.overlay} onChange={(e) => setWindow('overlay', e.target.checked)} />
+                Show a floating overlay with the live words and speaker while recording
+            </label>
+
+            <label className="dictation-row">
+                <input type="checkbox" checked={windowSettings.startInTray} onChange={(e) => setWindow('startInTray', e.target.checked)} />
+                Start in the tray, without opening this window
+            </label>
+
+            <style>{`
+        .dictation-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            margin-bottom: 2rem;
+            text-align: left;
+        }
+        .dictation-card h3 {
+            margin-top: 1.5rem;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .dictation-card h3:first-child { margin-top: 0; }
+        .dictation-hint { color: var(--text-muted); font-size: 0.9rem; margin-top: 0; }
+        .dictation-row {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            margin-bottom: 10px;
+            font-size: 0.9rem;
+        }
+        .dictation-row > span { min-width: 80px; color: var(--text-muted); }
+        .shortcut-input {
+            font-family: monospace;
+            padding: 6px 12px;
+            font-size: 0.85rem;
+        }
+        .shortcut-input.capturing { border-color: var(--primary); color: var(--primary); }
+        .dictation-status { font-size: 0.85rem; color: var(--text-muted); }
+        .dictation-status.listening { color: #ef4444; }
+        .dictation-status.error { color: #ef4444; }
+      `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,324 @@
+import { useState, useEffect, useRef, useSyncExternalStore } from 'react';
+import { BookA, Plus, Trash2, Upload, Download, Loader2 } from 'lucide-react';
+import {
+    getDictionary, onDictionaryChange, loadDictionary, saveDictionary,
+    exportDictionary, parseDictionaryImport, mergeDictionaries, DEFAULT_BOOST,
+} from '../services/dictionary';
+import { ruleError, replaceInText } from '../utils/replacements';
+import { saveTextFile } from '../utils/saveFile';
+
+const NEW_RULE = { find: '', replace: '', type: 'literal', matchCase: false, wholeWord: true, enabled: true };
+
+/**
+ * Edits the personal dictionary: vocabulary boosted during transcription and replacement rules
+ * applied to the text afterwards. Changes are kept as a draft until saved; an imported JSON file
+ * is merged into the draft.
+ */
+export function DictionaryManager() {
+    const dictionary = useSyncExternalStore(onDictionaryChange, getDictionary);
+    const [draft, setDraft] = useState(dictionary);
+    const [status, setStatus] = useState('loading'); // loading | idle | saving | error
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [sample, setSample] = useState('');
+    const inputRef = useRef(null);
+
+    const dirty = draft !== dictionary;
+
+    const fail = (e) => {
+        console.error(e);
+        setErrorMessage(e.message);
+        setStatus('error');
+    };
+
+    useEffect(() => {
+        loadDictionary()
+            .then((loaded) => {
+                setDraft(loaded);
+                setStatus('idle');
+            })
+            .catch(fail);
+    }, []);
+
+    const updateTerm = (index, changes) => setDraft(prev => ({
+        ...prev,
+        vocabulary: prev.vocabulary.map((entry, i) => (i === index ? { ...entry, ...changes } : entry)),
+    }));
+
+    const updateRule = (index, changes) => setDraft(prev => ({
+        ...prev,
+        replacements: prev.replacements.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)),
+    }));
+
+    const removeAt = (key, index) => setDraft(prev => ({ ...prev, [key]: prev[key].filter((_, i) => i !== index) }));
+
+    const handleSave = async () => {
+        setStatus('saving');
+        try {
+            const saved = await saveDictionary({
+                vocabulary: draft.vocabulary
+                    .map(entry => ({ term: entry.term.trim(), boost: Number(entry.boost) }))
+                    .filter(entry => entry.term),
+                replacements: draft.replacements.filter(rule => rule.find),
+            });
+            setDraft(saved);
+            setErrorMessage(null);
+            setStatus('idle');
+        } catch (e) {
+            fail(e);
+        }
+    };
+
+    const handleImport = async (file) => {
+        if (!file) return;
+        try {
+            const imported = parseDictionaryImport(await file.text());
+            setDraft(prev => mergeDictionaries(prev, imported));
+            setErrorMessage(null);
+            setStatus('idle');
+        } catch (e) {
+            fail(e);
+        }
+    };
+
+    const handleExport = () => {
+        saveTextFile(exportDictionary(draft), { fileName: 'dictionary.json', label: 'JSON', mimeType: 'application/json' })
+            .catch(fail);
+    };
+
+    const busy = status === 'loading' || status === 'saving';
+
+    return (
+        <div className="dictionary-card">
+            <h3><BookA size={20} /> Dictionary</h3>
+
+            {status === 'error' && <div className="error-msg">{errorMessage || 'Could not reach the server'}</div>}
+            {status === 'loading' && <Loader2 className="spin" size={16} />}
+
+            <section>
+                <h4>Vocabulary</h4>
+                <p className="dictionary-hint">
+                    Names and terms the transcription should expect. A higher boost makes a term more likely, a negative one suppresses it.
+                </p>
+                {draft.vocabulary.map((entry, i) => (
+                    <div key={i} className="dictionary-row">
+                        <input
+                            className="dictionary-input"
+                            value={entry.term}
+                            placeholder="Term, e.g. Wispr"
+                            maxLength={50}
+                            onChange={(e) => updateTerm(i, { term: e.target.value.replace(/[:,]/g, '') })}
+                        />
+                        <label className="dictionary-boost" title="Boost, -10 to 10">
+                            Boost
+                            <input
+                                type="number"
+                                min={-10}
+                                max={10}
+                                step={1}
+                                value={entry.boost}
+                                onChange={(e) => updateTerm(i, { boost: e.target.value })}
+                            />
+                        </label>
+                        <button className="icon-btn" onClick={() => removeAt('vocabulary', i)} title="Remove term">
+                            <Trash2 size={14} />
+                        </button>
+                    </div>
+                ))}
+                <button
+                    className="btn-small"
+                    onClick={() => setDraft(prev => ({ ...prev, vocabulary: [...prev.vocabulary, { term: '', boost: DEFAULT_BOOST }] }))}
+                >
+                    <Plus size={14} /> Add term
+                </button>
+            </section>
+
+            <section>
+                <h4>Replacements</h4>
+                <p className="dictionary-hint">
+                    Applied to the finished text, in order. Regex rules may use $1 or $&lt;name&gt; in the replacement.
+                </p>
+                {draft.replacements.map((rule, i) => {
+                    const error = rule.find ? ruleError(rule) : null;
+                    return (
+                        <div key={i} className={`dictionary-rule ${rule.enabled ? '' : 'disabled'}`}>
+                            <div className="dictionary-row">
+                                <input
+                                    type="checkbox"
+                                    checked={rule.enabled}
+                                    onChange={(e) => updateRule(i, { enabled: e.target.checked })}
+                                    title="Enabled"
+                                />
+                                <input
+                                    className="dictionary-input"
+                                    value={rule.find}
+                                    placeholder={rule.type === 'regex' ? 'Pattern' : 'Find'}
+                                    maxLength={200}
+                                    onChange={(e) => updateRule(i, { find: e.target.value })}
+                                />
+                                <span className="dictionary-arrow">→</span>
+                                <input
+                                    className="dictionary-input"
+                                    value={rule.replace}
+                                    placeholder="Replace with (empty removes)"
+                                    maxLength={200}
+                                    onChange={(e) => updateRule(i, { replace: e.target.value })}
+                                />
+                                <button className="icon-btn" onClick={() => removeAt('replacements', i)} title="Remove rule">
+                                    <Trash2 size={14} />
+                                </button>
+                            </div>
+                            <div className="dictionary-options">
+                                <select value={rule.type} onChange={(e) => updateRule(i, { type: e.target.value })}>
+                                    <option value="literal">Text</option>
+                                    <option value="regex">Regex</option>
+                                </select>
+                                <label>
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.matchCase}
+                                        onChange={(e) => updateRule(i, { matchCase: e.target.checked })}
+                                    />
+                                    Match case
+                                </label>
+                                {rule.type === 'literal' && (
+                                    <label>
+                                        <input
+                                            type="checkbox"
+                                            checked={rule.wholeWord}
+                                            onChange={(e) => updateRule(i, { wholeWord: e.target.checked })}
+                                        />
+                                        Whole word
+                                    </label>
+                                )}
+                                {error && <span className="error-msg">{error}</span>}
+                            </div>
+                        </div>
+                    );
+                })}
+                <button
+                    className="btn-small"
+                    onClick={() => setDraft(prev => ({ ...prev, replacements: [...prev.replacements, NEW_RULE] }))}
+                >
+                    <Plus size={14} /> Add rule
+                </button>
+
+                <div className="dictionary-preview">
+                    <input
+                        className="dictionary-input"
+                        value={sample}
+                        placeholder="Try the rules on a sentence"
+                        onChange={(e) => setSample(e.target.value)}
+                    />
+                    {sample && <div className="dictionary-result">{replaceInText(sample, draft.replacements)}</div>}
+                </div>
+            </section>
+
+            <div className="dictionary-actions">
+                <button className="btn-small" onClick={handleSave} disabled={busy || !dirty}>
+                    {status === 'saving' ? <Loader2 className="spin" size={14} /> : null}
+                    {dirty ? 'Save changes' : 'Saved'}
+                </button>
+                {dirty && (
+                    <button className="btn-small" onClick={() => setDraft(dictionary)} disabled={busy}>
+                        Discard
+                    </button>
+                )}
+                <button className="btn-small" onClick={() => inputRef.current.click()} disabled={busy}>
+                    <Upload size={14} /> Import
+                </button>
+                <button className="btn-small" onClick={handleExport} disabled={busy}>
+                    <Download size={14} /> Export
+                </button>
+                <input
+                    ref={inputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    hidden
+                    onChange={(e) => { handleImport(e.target.files[0]); e.target.value = ''; }}
+                />
+            </div>
+
+            <style>{`
+        .dictionary-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            margin-bottom: 2rem;
+            text-align: left;
+        }
+        .dictionary-card h3 {
+            margin-top: 0;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .dictionary-card h4 {
+            margin: 1rem 0 0.25rem;
+            font-size: 0.95rem;
+        }
+        .dictionary-card section {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 6px;
+        }
+        .dictionary-hint { color: var(--text-muted); font-size: 0.8rem; margin: 0 0 4px; }
+        .dictionary-row, .dictionary-options, .dictionary-actions {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 0.9rem;
+            flex-wrap: wrap;
+        }
+        .dictionary-rule {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            padding-bottom: 6px;
+            border-bottom: 1px solid var(--glass-border);
+        }
+        .dictionary-rule.disabled .dictionary-input { opacity: 0.5; }
+        .dictionary-options {
+            margin-left: 24px;
+            font-size: 0.8rem;
+            color: var(--text-muted);
+        }
+        .dictionary-options label, .dictionary-boost {
+            display: flex;
+            align-items: center;
+            gap: 4px;
+        }
+        .dictionary-input, .dictionary-boost input, .dictionary-options select {
+            background: rgba(0,0,0,0.2);
+            border: 1px solid var(--glass-border);
+            padding: 4px 8px;
+            border-radius: 6px;
+            color: white;
+            font-size: 0.9rem;
+        }
+        .dictionary-boost input { width: 4rem; }
+        .dictionary-arrow { color: var(--text-muted); }
+        .dictionary-preview {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            margin-top: 8px;
+            width: 100%;
+        }
+        .dictionary-result { font-size: 0.9rem; color: var(--text-muted); }
+        .dictionary-actions { margin-top: 1rem; }
+        .dictionary-actions .btn-small {
+            display: inline-flex;
+            align-items: center;
+            gap: 4px;
+        }
+        .error-msg { color: #ef4444; margin-bottom: 10px; font-size: 0.9rem; }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,196 @@
+import { useState, useRef } from 'react';
+import { FileAudio, Upload, X, Loader2 } from 'lucide-react';
+import { transcribeFile } from '../services/api';
+import { identifyFileSpeakers } from '../services/identity';
+import { getTranscriptionSettings } from '../utils/languages';
+import { groupWordsBySpeaker } from '../utils/transcriptReducer';
+import { replaceInWords } from '../utils/replacements';
+import { getDictionary, toKeywords } from '../services/dictionary';
+
+const PHASE_LABELS = {
+    uploading: 'Uploading',
+    transcribing: 'Transcribing',
+    identifying: 'Identifying speakers',
+};
+
+/**
+ * Transcribes an existing audio/video file with diarization and hands the result
+ * to the same segments / speakerMap view as live mode: `onResult(segments, speakerMap, file)`,
+ * the file so it can be played back along its transcript. The dictionary's replacement rules are
+ * applied to the words before they are grouped.
+ */
+export function FileTranscriber({ language, onResult, disabled }) {
+    const [phase, setPhase] = useState('idle'); // idle | uploading | transcribing | identifying | error
+    const [progress, setProgress] = useState(0);
+    const [error, setError] = useState(null);
+    const [fileName, setFileName] = useState(null);
+    const [isDragging, setIsDragging] = useState(false);
+    const controllerRef = useRef(null);
+    const inputRef = useRef(null);
+
+    const busy = phase !== 'idle' && phase !== 'error';
+
+    const handleFile = async (file) => {
+        if (!file || busy) return;
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setFileName(file.name);
+        setError(null);
+        setProgress(0);
+        setPhase('uploading');
+
+        try {
+            const result = await transcribeFile(file, {
+                settings: getTranscriptionSettings(language, toKeywords(getDictionary().vocabulary)),
+                signal: controller.signal,
+                onUploadProgress: (fraction) => {
+                    setProgress(fraction);
+                    if (fraction >= 1) setPhase('transcribing');
+                },
+            });
+            setPhase('transcribing'); // Small files may never report upload progress
+
+            const words = replaceInWords(result.results?.channels?.[0]?.alternatives?.[0]?.words || [], getDictionary().replacements);
+            const segments = groupWordsBySpeaker(words);
+
+            setPhase('identifying');
+            setProgress(0);
+            const speakerMap = await identifyFileSpeakers(file, result.results?.utterances || [], {
+                signal: controller.signal,
+                onProgress: setProgress,
+            });
+
+            onResult(segments, speakerMap, file);
+            setPhase('idle');
+            setFileName(null);
+        } catch (err) {
+            if (err.name === 'AbortError') {
+                setPhase('idle');
+                setFileName(null);
+            } else {
+                console.error(err);
+                setError(err.message || 'Transcription failed');
+                setPhase('error');
+            }
+        } finally {
+            controllerRef.current = null;
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (!disabled) handleFile(e.dataTransfer.files[0]);
+    };
+
+    const showProgress = phase === 'uploading' || phase === 'identifying';
+
+    return (
+        <div className="file-card">
+            <h3><FileAudio size={20} /> Transcribe File</h3>
+
+            {!busy ? (
+                <div
+                    className={`drop-zone ${isDragging ? 'dragging' : ''}`}
+                    onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                    onDragLeave={() => setIsDragging(false)}
+                    onDrop={handleDrop}
+                    onClick={() => !disabled && inputRef.current.click()}
+                >
+                    <Upload size={20} />
+                    <span>Drop an audio or video file here, or click to choose one</span>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept="audio/*,video/*"
+                        hidden
+                        onChange={(e) => { handleFile(e.target.files[0]); e.target.value = ''; }}
+                    />
+                </div>
+            ) : (
+                <div className="file-progress">
+                    <div className="file-progress-label">
+                        <Loader2 className="spin" size={16} />
+                        <span>{PHASE_LABELS[phase]} {fileName}</span>
+                        {showProgress && <span className="file-progress-pct">{Math.round(progress * 100)}%</span>}
+                        <button className="icon-btn" onClick={() => controllerRef.current?.abort()} title="Cancel">
+                            <X size={16} />
+                        </button>
+                    </div>
+                    <div className="progress-track">
+                        <div
+                            className={`progress-bar ${showProgress ? '' : 'indeterminate'}`}
+                            style={showProgress ? { width: `${progress * 100}%` } : undefined}
+                        />
+                    </div>
+                </div>
+            )}
+
+            {phase === 'error' && <div className="error-msg">{error}</div>}
+
+            <style>{`
+        .file-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            margin-bottom: 2rem;
+        }
+        .file-card h3 {
+            margin-top: 0;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .drop-zone {
+            border: 2px dashed var(--glass-border);
+            border-radius: 8px;
+            padding: 1.5rem;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            gap: 8px;
+            color: var(--text-muted);
+            cursor: pointer;
+            transition: all 0.25s;
+        }
+        .drop-zone:hover, .drop-zone.dragging {
+            border-color: var(--primary);
+            background: var(--accent-glow);
+        }
+        .file-progress-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 0.9rem;
+            margin-bottom: 8px;
+        }
+        .file-progress-pct { margin-left: auto; color: var(--text-muted); }
+        .progress-track {
+            height: 6px;
+            border-radius: 3px;
+            background: rgba(255,255,255,0.1);
+            overflow: hidden;
+        }
+        .progress-bar {
+            height: 100%;
+            background: var(--primary);
+            transition: width 0.2s;
+        }
+        .progress-bar.indeterminate {
+            width: 30%;
+            animation: indeterminate 1.2s ease-in-out infinite;
+        }
+        @keyframes indeterminate {
+            0% { transform: translateX(-100%); }
+            100% { transform: translateX(350%); }
+        }
+        .error-msg { color: #ef4444; margin-top: 10px; font-size: 0.9rem; }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
@@ -1,11 +1,5 @@
 import { Globe } from 'lucide-react';
-
-const LANGUAGES = [
-    { code: 'en', name: 'English', model: 'nova-2' },
-    { code: 'hi', name: 'Hindi', model: 'nova-2' },
-    { code: 'es', name: 'Spanish', model: 'nova-2' },
-    { code: 'fr', name: 'French', model: 'nova-2' },
-];
+import { LANGUAGES } from '../utils/languages';
 
 export function LanguageSelector({ selectedLanguage, onLanguageChange, disabled }) {
     return (
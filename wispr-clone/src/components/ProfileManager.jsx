@@ -0,0 +1,269 @@
+import { useState, useEffect } from 'react';
+import { Users, Trash2, Pencil, Plus, Check, X, ChevronDown, ChevronRight, Loader2 } from 'lucide-react';
+import { listProfiles, renameProfile, deleteProfile, deleteProfileSample } from '../services/identity';
+import { VoiceEnrollment } from './VoiceEnrollment';
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleDateString() : 'unknown date');
+
+/**
+ * Lists the signed-in user's voice profiles and manages them: rename, delete,
+ * add samples (re-enroll) and delete individual samples.
+ */
+export function ProfileManager() {
+    const [profiles, setProfiles] = useState([]);
+    const [status, setStatus] = useState('loading'); // loading | idle | error
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [expanded, setExpanded] = useState(null); // Profile name showing its samples
+    const [renaming, setRenaming] = useState(null); // { name, value }
+    const [addingTo, setAddingTo] = useState(null); // Profile name with the sample recorder open
+    const [busy, setBusy] = useState(null); // Profile name with a request in flight
+
+    const fail = (e) => {
+        console.error(e);
+        setErrorMessage(e.message);
+        setStatus('error');
+    };
+
+    const fetchProfiles = async () => {
+        setStatus('loading');
+        try {
+            setProfiles(await listProfiles());
+            setErrorMessage(null);
+            setStatus('idle');
+        } catch (e) {
+            console.error(e);
+            setErrorMessage(e.message);
+            setStatus('error');
+        }
+    };
+
+    useEffect(() => {
+        fetchProfiles();
+    }, []);
+
+    const replaceProfile = (name, profile) => {
+        setProfiles(prev => (profile
+            ? prev.map(p => (p.name === name ? profile : p))
+            : prev.filter(p => p.name !== name)));
+    };
+
+    const handleRename = async () => {
+        const { name, value } = renaming;
+        const newName = value.trim();
+        if (!newName || newName === name) {
+            setRenaming(null);
+            return;
+        }
+
+        setBusy(name);
+        try {
+            const profile = await renameProfile(name, newName);
+            replaceProfile(name, profile);
+            if (expanded === name) setExpanded(newName);
+            setRenaming(null);
+        } catch (e) {
+            fail(e);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleDeleteProfile = async (name) => {
+        if (!confirm(`Delete the voice profile "${name}" and all its samples?`)) return;
+        setBusy(name);
+        try {
+            await deleteProfile(name);
+            replaceProfile(name, null);
+        } catch (e) {
+            fail(e);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const handleDeleteSample = async (name, sampleId, isLast) => {
+        const question = isLast
+            ? `This is the last sample of "${name}". Delete the whole profile?`
+            : 'Delete this sample?';
+        if (!confirm(question)) return;
+
+        setBusy(name);
+        try {
+            const { profile } = await deleteProfileSample(name, sampleId);
+            replaceProfile(name, profile);
+        } catch (e) {
+            fail(e);
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    return (
+        <div className="profiles-card">
+            <h3><Users size={20} /> Voice Profiles</h3>
+
+            {status === 'error' && <div className="error-msg">{errorMessage || 'Error connecting to ID Service'}</div>}
+            {status === 'loading' && profiles.length === 0 && <Loader2 className="spin" size={16} />}
+            {status === 'idle' && profiles.length === 0 && (
+                <div className="profiles-empty">No voice profiles yet. Enroll a voice to get started.</div>
+            )}
+
+            <ul className="profiles-list">
+                {profiles.map(profile => (
+                    <li key={profile.name} className="profile-item">
+                        <div className="profile-row">
+                            <button
+                                className="icon-btn"
+                                onClick={() => setExpanded(expanded === profile.name ? null : profile.name)}
+                                title="Show samples"
+                            >
+                                {expanded === profile.name ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            </button>
+
+                            {renaming?.name === profile.name ? (
+                                <input
+                                    className="profile-rename"
+                                    value={renaming.value}
+                                    autoFocus
+                                    onChange={(e) => setRenaming({ ...renaming, value: e.target.value })}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') handleRename();
+                                        if (e.key === 'Escape') setRenaming(null);
+                                    }}
+                                />
+                            ) : (
+                                <span className="profile-name">{profile.name}</span>
+                            )}
+
+                            <span className="profile-meta">
+                                {profile.sample_count} sample{profile.sample_count === 1 ? '' : 's'}
+                                {' · enrolled '}{formatDate(profile.created_at)}
+                            </span>
+
+                            {busy === profile.name && <Loader2 className="spin" size={14} />}
+
+                            {renaming?.name === profile.name ? (
+                                <>
+                                    <button className="icon-btn" onClick={handleRename} title="Save name"><Check size={14} /></button>
+                                    <button className="icon-btn" onClick={() => setRenaming(null)} title="Cancel"><X size={14} /></button>
+                                </>
+                            ) : (
+                                <>
+                                    <button
+                                        className="icon-btn"
+                                        onClick={() => setRenaming({ name: profile.name, value: profile.name })}
+                                        title="Rename"
+                                        disabled={busy !== null}
+                                    >
+                                        <Pencil size={14} />
+                                    </button>
+                                    <button
+                                        className="icon-btn"
+                                        onClick={() => setAddingTo(addingTo === profile.name ? null : profile.name)}
+                                        title="Add sample"
+                                    >
+                                        <Plus size={14} />
+                                    </button>
+                                    <button
+                                        className="icon-btn"
+                                        onClick={() => handleDeleteProfile(profile.name)}
+                                        title="Delete profile"
+                                        disabled={busy !== null}
+                                    >
+                                        <Trash2 size={14} />
+                                    </button>
+                                </>
+                            )}
+                        </div>
+
+                        {expanded === profile.name && (
+                            <ul className="sample-list">
+                                {profile.samples.map((sample, i) => (
+                                    <li key={sample.id} className="sample-item">
+                                        <span>Sample {i + 1}</span>
+                                        <span className="profile-meta">{formatDate(sample.created_at)}</span>
+                                        <button
+                                            className="icon-btn"
+                                            onClick={() => handleDeleteSample(profile.name, sample.id, profile.samples.length === 1)}
+                                            title="Delete sample"
+                                            disabled={busy !== null}
+                                        >
+                                            <Trash2 size={12} />
+                                        </button>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+
+                        {addingTo === profile.name && (
+                            <VoiceEnrollment
+                                profileName={profile.name}
+                                onEnrolled={(updated) => replaceProfile(profile.name, updated)}
+                            />
+                        )}
+                    </li>
+                ))}
+            </ul>
+
+            <button className="btn-small" onClick={fetchProfiles} disabled={status === 'loading'}>
+                Refresh
+            </button>
+
+            <style>{`
+        .profiles-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            margin-bottom: 2rem;
+            text-align: left;
+        }
+        .profiles-card h3 {
+            margin-top: 0;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .profiles-list, .sample-list {
+            list-style: none;
+            padding: 0;
+            margin: 0 0 1rem;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        }
+        .sample-list {
+            margin: 6px 0 0 28px;
+        }
+        .profile-row, .sample-item {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 0.9rem;
+        }
+        .profile-name {
+            font-weight: 600;
+        }
+        .profile-rename {
+            background: rgba(0,0,0,0.2);
+            border: 1px solid var(--glass-border);
+            padding: 4px 8px;
+            border-radius: 6px;
+            color: white;
+            font-size: 0.9rem;
+        }
+        .profile-meta {
+            margin-left: auto;
+            color: var(--text-muted);
+            font-size: 0.8rem;
+        }
+        .profiles-empty { color: var(--text-muted); font-size: 0.9rem; }
+        .error-msg { color: #ef4444; margin-bottom: 10px; font-size: 0.9rem; }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
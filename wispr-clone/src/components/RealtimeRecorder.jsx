@@ -1,106 +1,151 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useImperativeHandle } from 'react';
 import { Mic, Square, AlertCircle, Loader2 } from 'lucide-react';
+import { getTranscriptionSettings } from '../utils/languages';
+import { requestStreamingToken } from '../services/api';
+import { createRelayConnection } from '../services/relayConnection';
+import { startPcmCapture } from '../utils/pcmCapture';
+import { getDictionary, toKeywords } from '../services/dictionary';
+
+const FINISH_TIMEOUT_MS = 5000; // Longest wait for the results of the last audio after stopping
 
 /**
  * RealtimeRecorder Component
- * - Manages Microphone AudioContext
- * - Converts Float32 audio to Int16 PCM
- * - Streams to Deepgram WebSocket
+ * - Manages the microphone and its AudioWorklet capture (16 kHz Int16 PCM frames)
+ * - Streams to the relay (resumable, see createRelayConnection) or directly to Deepgram
+ * - `ref` gets `{ toggle(), stop() }`, for starting and stopping from outside the component (the tray
+ *   menu, voice commands). stop() never starts a recording
  */
-export function RealtimeRecorder({ onTranscript, onStatusChange, language }) {
+export function RealtimeRecorder({ onTranscript, onStatusChange, onSpeechChange, onIdentityStatusChange, onRecordingId, language, ref }) {
     const [isRecording, setIsRecording] = useState(false);
     const [error, setError] = useState(null);
+    const [connectionState, setConnectionState] = useState(null); // relay only, see createRelayConnection
+    const [isFinishing, setIsFinishing] = useState(false); // Stopped, waiting for the last results
 
     // Refs for permanent connections across renders
-    const socketRef = useRef(null);
+    const connectionRef = useRef(null); // { sendAudio, finish }
+    const finishingRef = useRef(null); // Promise of the session being finished
+    const stopRecordingRef = useRef(null); // Latest stopRecording, for the unmount cleanup
     const mediaStreamRef = useRef(null);
-    const audioContextRef = useRef(null);
-    const processorRef = useRef(null);
-
-    // Stop recording on unmount
-    useEffect(() => {
-        return () => stopRecording();
-    }, []);
+    const captureRef = useRef(null);
+
+    // Deepgram-shaped messages (relay `transcript` payloads or direct Deepgram results)
+    const handleResult = (data) => {
+        if (data.channel && data.channel.alternatives[0]) {
+            const alternative = data.channel.alternatives[0];
+            // Empty finals still matter: they close out the current interim tail
+            if (alternative.transcript || data.is_final) {
+                // Send full alternative to parent to handle diarization
+                if (onTranscript) {
+                    onTranscript({
+                        transcript: alternative.transcript,
+                        words: alternative.words,
+                        isFinal: data.is_final,
+                        speechFinal: data.speech_final
+                    }, data.is_final);
+                }
+            }
+        }
+    };
 
-    const getApiKey = () => {
-        const key = import.meta.env.VITE_DEEPGRAM_API_KEY;
-        if (!key || key.includes('your_deepgram_api_key')) {
-            throw new Error('Missing API Key');
+    const handleRelayMessage = (data) => {
+        if (data.type === 'ready') {
+            // Relay's upstream stream is open, safe to start streaming audio
+            // (set first: the session is stored with its recording id when the status changes)
+            if (onRecordingId) onRecordingId(data.recordingId || null);
+            onStatusChange('recording');
+            setIsRecording(true);
+            startAudioCapture();
+        } else if (data.type === 'error') {
+            setError(data.message || 'Transcription service error');
+            stopRecording();
+        } else if (data.type === 'transcript') {
+            handleResult(data.data);
+        } else if (data.type === 'speaker_map') {
+            // Relay's voted speakerId -> name map, pass to parent if they handle it
+            if (onTranscript) onTranscript(data.speakers, true, 'speakers');
+        } else if (data.type === 'speech_started' || data.type === 'speech_ended') {
+            // Relay-side voice activity detection
+            if (onSpeechChange) onSpeechChange(data.type === 'speech_started');
+        } else if (data.type === 'identity_status') {
+            // Speaker identification health, transcription keeps going either way
+            if (onIdentityStatusChange) onIdentityStatusChange({ status: data.status, reason: data.reason });
         }
-        return key;
+    };
+
+    // Direct Deepgram Connection with a short-lived token minted by the relay (no API key in the browser)
+    const connectDirect = async (settings) => {
+        const { access_token } = await requestStreamingToken();
+        const { keywords = [], ...rest } = settings;
+        const params = new URLSearchParams({ encoding: 'linear16', sample_rate: '16000', ...rest });
+        keywords.forEach(keyword => params.append('keywords', keyword)); // Deepgram wants one param per keyword
+        const socket = new WebSocket(`wss://api.deepgram.com/v1/listen?${params}`, ['bearer', access_token]);
+
+        socket.onopen = async () => {
+            onStatusChange('recording');
+            setIsRecording(true);
+            // Start Microphone only after socket is ready to avoid dropped frames
+            await startAudioCapture();
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                handleResult(JSON.parse(event.data));
+            } catch (e) {
+                console.error("Error parsing message:", e);
+            }
+        };
+
+        socket.onclose = () => {
+            onStatusChange('idle');
+            setIsRecording(false);
+        };
+
+        socket.onerror = (error) => {
+            console.error("Socket Error:", error);
+            setError("Connection failed. Check your network connection.");
+            stopRecording();
+        };
+
+        return {
+            sendAudio: (frame) => {
+                if (socket.readyState === WebSocket.OPEN) socket.send(frame);
+            },
+            // Deepgram sends the remaining results after CloseStream, then closes the socket itself
+            finish: () => new Promise((resolve) => {
+                if (socket.readyState !== WebSocket.OPEN) return resolve();
+                const timer = setTimeout(() => socket.close(), FINISH_TIMEOUT_MS);
+                socket.addEventListener('close', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+                socket.send(JSON.stringify({ type: 'CloseStream' }));
+            }),
+        };
     };
 
     const startRecording = async () => {
+        // The previous session's last results come first
+        if (finishingRef.current) await finishingRef.current;
         setError(null);
+        if (onRecordingId) onRecordingId(null); // Only the relay records, and only when it is configured to
         try {
-            const apiKey = getApiKey();
             const USE_BACKEND = true; // Toggle to switch between Backend and Direct Deepgram
-
-            let url;
-            let socket;
+            const settings = getTranscriptionSettings(language, toKeywords(getDictionary().vocabulary));
 
             if (USE_BACKEND) {
-                // Connect to local Node.js Middleware
-                url = 'ws://localhost:3000';
-                socket = new WebSocket(url);
+                // Connect to local Node.js Middleware; survives dropped sockets by resuming the session
+                connectionRef.current = createRelayConnection({
+                    settings,
+                    onMessage: handleRelayMessage,
+                    onStateChange: setConnectionState,
+                    onError: (err) => {
+                        setError(err.message);
+                        stopRecording();
+                    },
+                });
             } else {
-                // Direct Deepgram Connection
-                url = `wss://api.deepgram.com/v1/listen?action=start&encoding=linear16&sample_rate=16000&model=nova-2&language=${language}&diarize=true&punctuate=true`;
-                socket = new WebSocket(url, ['token', apiKey]);
+                connectionRef.current = await connectDirect(settings);
             }
-
-            socketRef.current = socket;
-
-            socket.onopen = async () => {
-                onStatusChange('recording');
-                setIsRecording(true);
-                // Start Microphone only after socket is ready to avoid dropped frames
-                await startAudioCapture();
-            };
-
-            socket.onmessage = (event) => {
-                try {
-                    let data = JSON.parse(event.data);
-
-                    // Handle Wrapped Backend Messages
-                    if (data.type === 'transcript') {
-                        data = data.data;
-                    } else if (data.type === 'identification') {
-                        // Pass ID event to parent if they handle it
-                        if (onTranscript) onTranscript(data, true, 'identity');
-                        return;
-                    }
-
-                    if (data.channel && data.channel.alternatives[0]) {
-                        const alternative = data.channel.alternatives[0];
-                        if (alternative.transcript) {
-                            // Send full alternative to parent to handle diarization
-                            if (onTranscript) {
-                                onTranscript({
-                                    transcript: alternative.transcript,
-                                    words: alternative.words,
-                                    isFinal: data.is_final
-                                }, data.is_final);
-                            }
-                        }
-                    }
-                } catch (e) {
-                    console.error("Error parsing message:", e);
-                }
-            };
-
-            socket.onclose = () => {
-                onStatusChange('idle');
-                setIsRecording(false);
-            };
-
-            socket.onerror = (error) => {
-                console.error("Socket Error:", error);
-                // If backend fails, we might want to suggest running it, but for now just error.
-                setError("Connection failed. Ensure Backend is running (see README).");
-                stopRecording();
-            };
-
         } catch (err) {
             console.error(err);
             setError(err.message || "Failed to start recording");
@@ -109,36 +154,27 @@ export function RealtimeRecorder({ onTranscript, onStatusChange, language }) {
     };
 
     const startAudioCapture = async () => {
+        const connection = connectionRef.current;
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
             mediaStreamRef.current = stream;
 
-            // Create Audio Context
-            const audioContext = new AudioContext({ sampleRate: 16000 });
-            audioContextRef.current = audioContext;
-
-            const source = audioContext.createMediaStreamSource(stream);
-
-            // ScriptProcessor is deprecated but widely supported for raw access. 
-            // AudioWorklet is better but more complex for a single file demo.
-            // We use a buffer size of 4096.
-            const processor = audioContext.createScriptProcessor(4096, 1, 1);
-            processorRef.current = processor;
-
-            processor.onaudioprocess = (e) => {
-                if (!socketRef.current || socketRef.current.readyState !== WebSocket.OPEN) return;
-
-                const inputData = e.inputBuffer.getChannelData(0);
-                // Convert Float32 to Int16 PCM
-                const pcmData = floatTo16BitPCM(inputData);
-                socketRef.current.send(pcmData);
-            };
-
-            source.connect(processor);
-            processor.connect(audioContext.destination);
-
+            // Frames are resampled and converted off the main thread; here they only get forwarded.
+            // The relay connection holds on to them until they are acknowledged.
+            const capture = await startPcmCapture(stream, {
+                onFrame: (frame) => connection.sendAudio(frame),
+            });
+
+            // Recording was stopped while the worklet module was loading
+            if (connectionRef.current !== connection) {
+                capture.stop();
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            captureRef.current = capture;
         } catch (err) {
-            setError("Microphone access denied.");
+            console.error(err);
+            setError(err.name === 'NotAllowedError' ? "Microphone access denied." : "Could not start audio capture.");
             stopRecording();
         }
     };
@@ -150,39 +186,49 @@ export function RealtimeRecorder({ onTranscript, onStatusChange, language }) {
             mediaStreamRef.current = null;
         }
 
-        // 2. Stop Processor
-        if (processorRef.current) {
-            processorRef.current.disconnect();
-            processorRef.current = null;
-        }
-
-        if (audioContextRef.current) {
-            audioContextRef.current.close();
-            audioContextRef.current = null;
-        }
+        // 2. Finish the session once the capture has delivered its last partial frame:
+        //    the connection stays open until the results for that audio have arrived
+        const connection = connectionRef.current;
+        connectionRef.current = null;
+        const finishSession = () => (connection ? connection.finish(FINISH_TIMEOUT_MS) : undefined);
 
-        // 3. Close Socket (sends remaining data automatically if handled, but we force close)
-        if (socketRef.current) {
-            if (socketRef.current.readyState === WebSocket.OPEN) {
-                // Send a close frame (Deepgram recommendation to finish strict processing)
-                socketRef.current.send(JSON.stringify({ type: 'CloseStream' }));
-                socketRef.current.close();
-            }
-            socketRef.current = null;
-        }
+        // 3. Stop the worklet capture
+        const capture = captureRef.current;
+        captureRef.current = null;
+        const finished = capture
+            ? capture.stop().catch(err => console.error(err)).then(finishSession)
+            : Promise.resolve(finishSession());
 
         setIsRecording(false);
-        onStatusChange('idle');
+        setConnectionState(null);
+        if (onSpeechChange) onSpeechChange(false);
+        if (onIdentityStatusChange) onIdentityStatusChange(null);
+
+        // Idle only once the last finals are in, so the saved session includes them
+        if (connection) setIsFinishing(true);
+        const finishing = finished.finally(() => {
+            if (finishingRef.current === finishing) finishingRef.current = null;
+            setIsFinishing(false);
+            onStatusChange('idle');
+        });
+        finishingRef.current = finishing;
     };
 
-    const floatTo16BitPCM = (input) => {
-        const output = new Int16Array(input.length);
-        for (let i = 0; i < input.length; i++) {
-            const s = Math.max(-1, Math.min(1, input[i]));
-            output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-        }
-        return output.buffer;
-    };
+    // Stop recording on unmount, with the callbacks of the last render
+    useEffect(() => {
+        stopRecordingRef.current = stopRecording;
+    });
+    useEffect(() => {
+        return () => stopRecordingRef.current();
+    }, []);
+
+    // A session that is still connecting counts as started
+    useImperativeHandle(ref, () => ({
+        toggle: () => (connectionRef.current ? stopRecording() : startRecording()),
+        stop: () => {
+            if (connectionRef.current) stopRecording();
+        },
+    }));
 
     return (
         <div className="recorder-controls">
@@ -192,7 +238,17 @@ export function RealtimeRecorder({ onTranscript, onStatusChange, language }) {
                 </div>
             )}
 
-            {!isRecording ? (
+            {connectionState === 'reconnecting' && (
+                <div className="reconnecting-badge">
+                    <Loader2 size={16} className="spin" /> Connection lost, reconnecting. Audio is buffered.
+                </div>
+            )}
+
+            {isFinishing ? (
+                <button className="btn-primary" disabled>
+                    <Loader2 size={20} className="spin" /> Finishing…
+                </button>
+            ) : !isRecording ? (
                 <button className="btn-primary" onClick={startRecording}>
                     <Mic size={20} /> Start Recording
                 </button>
@@ -229,6 +285,31 @@ export function RealtimeRecorder({ onTranscript, onStatusChange, language }) {
           border: 1px solid rgba(255,255,255,0.1);
         }
 
+        .reconnecting-badge {
+          background: rgba(234, 179, 8, 0.15);
+          color: #eab308;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 0.9rem;
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .btn-primary:disabled {
+          opacity: 0.7;
+          cursor: default;
+        }
+
+        .reconnecting-badge .spin,
+        .btn-primary .spin {
+          animation: spin 1s linear infinite;
+        }
+
+        @keyframes spin {
+          to { transform: rotate(360deg); }
+        }
+
         .error-badge {
           background: rgba(239, 68, 68, 0.15);
           color: #ef4444;
@@ -0,0 +1,101 @@
+import { useEffect, useState } from 'react';
+import { Mic, Loader2, AlertCircle } from 'lucide-react';
+import { DICTATION_EVENT } from '../services/desktop';
+
+const MAX_TEXT = 45; // The window is small, only the newest words are shown
+
+const STATUS_LABELS = {
+    listening: 'Listening',
+    finishing: 'Inserting',
+    recording: 'Recording',
+    error: 'Error',
+};
+
+/**
+ * Content of the floating, always-on-top `indicator` window: what the dictation hotkey is doing,
+ * or the live recording (status, current speaker and the line being spoken).
+ * The main window drives it through DICTATION_EVENT (see updateIndicator()).
+ */
+export function RecordingIndicator() {
+    const [state, setState] = useState({ status: 'idle', text: '', speaker: null });
+    const text = state.text || '';
+
+    useEffect(() => {
+        let unlisten = null;
+        let cancelled = false;
+        import('@tauri-apps/api/event')
+            .then(({ listen }) => listen(DICTATION_EVENT, (event) => setState(event.payload)))
+            .then((stop) => {
+                if (cancelled) stop();
+                else unlisten = stop;
+            });
+        return () => {
+            cancelled = true;
+            if (unlisten) unlisten();
+        };
+    }, []);
+
+    return (
+        <div className={`indicator ${state.status}`}>
+            <div className="indicator-status">
+                {(state.status === 'listening' || state.status === 'recording') && (
+                    <span className="indicator-dot"><Mic size={14} /></span>
+                )}
+                {state.status === 'finishing' && <Loader2 size={14} className="spin" />}
+                {state.status === 'error' && <AlertCircle size={14} />}
+                <span>{STATUS_LABELS[state.status]}</span>
+                {state.speaker && <span className="indicator-speaker">{state.speaker}</span>}
+            </div>
+            <div className="indicator-text">
+                {text.length > MAX_TEXT ? `…${text.slice(-MAX_TEXT)}` : text || '…'}
+            </div>
+
+            <style>{`
+        body { min-width: 0; min-height: 0; background: transparent; overflow: hidden; }
+        #root { padding: 0; }
+        .indicator {
+            height: 100vh;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            gap: 2px;
+            padding: 0 12px;
+            background: rgba(13, 13, 13, 0.92);
+            border: 1px solid var(--glass-border);
+            border-radius: 10px;
+            font-size: 0.8rem;
+            color: var(--text-muted);
+            box-sizing: border-box;
+        }
+        .indicator.listening, .indicator.recording { color: white; }
+        .indicator-status {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 0.7rem;
+            text-transform: uppercase;
+            letter-spacing: 0.04em;
+            color: var(--text-muted);
+        }
+        .indicator-speaker {
+            margin-left: auto;
+            color: var(--primary);
+            text-transform: none;
+            letter-spacing: normal;
+        }
+        .indicator.error { color: #ef4444; }
+        .indicator-dot {
+            color: #ef4444;
+            display: flex;
+            animation: pulse 1.5s infinite;
+        }
+        .indicator-text {
+            overflow: hidden;
+            white-space: nowrap;
+        }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
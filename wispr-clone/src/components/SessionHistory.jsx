@@ -0,0 +1,141 @@
+import { useState, useEffect } from 'react';
+import { History, Trash2, Loader2 } from 'lucide-react';
+import { listSessions, deleteSession, loadSession } from '../services/sessions';
+
+/**
+ * Lists stored recording sessions and loads one back into the transcript view.
+ * `onLoad(segments, speakerMap, chat)`: the chat carries `recordingId` if the relay recorded its audio.
+ */
+export function SessionHistory({ onLoad, disabled }) {
+    const [sessions, setSessions] = useState([]);
+    const [pagination, setPagination] = useState(null);
+    const [status, setStatus] = useState('loading'); // loading | idle | error
+    const [loadingId, setLoadingId] = useState(null);
+
+    const fetchPage = async (page) => {
+        setStatus('loading');
+        try {
+            const result = await listSessions(page);
+            setSessions(prev => (page === 1 ? result.data : [...prev, ...result.data]));
+            setPagination(result.pagination);
+            setStatus('idle');
+        } catch (e) {
+            console.error(e);
+            setStatus('error');
+        }
+    };
+
+    useEffect(() => {
+        fetchPage(1);
+    }, []);
+
+    const handleLoad = async (chatId) => {
+        setLoadingId(chatId);
+        try {
+            const { segments, speakerMap, chat } = await loadSession(chatId);
+            onLoad(segments, speakerMap, chat);
+        } catch (e) {
+            console.error(e);
+            setStatus('error');
+        } finally {
+            setLoadingId(null);
+        }
+    };
+
+    const handleDelete = async (chatId) => {
+        if (!confirm('Delete this session and its transcript?')) return;
+        try {
+            await deleteSession(chatId);
+            setSessions(prev => prev.filter(s => s._id !== chatId));
+        } catch (e) {
+            console.error(e);
+            setStatus('error');
+        }
+    };
+
+    return (
+        <div className="history-card">
+            <h3><History size={20} /> Past Sessions</h3>
+
+            {status === 'error' && <div className="error-msg">Error connecting to the API server</div>}
+            {status !== 'error' && sessions.length === 0 && status === 'idle' && (
+                <div className="history-empty">No saved sessions yet.</div>
+            )}
+
+            <ul className="history-list">
+                {sessions.map(session => (
+                    <li key={session._id} className="history-item">
+                        <button
+                            className="history-load"
+                            onClick={() => handleLoad(session._id)}
+                            disabled={disabled || loadingId !== null}
+                        >
+                            {loadingId === session._id && <Loader2 className="spin" size={14} />}
+                            <span>{session.title}</span>
+                            <span className="history-meta">{session.language}</span>
+                        </button>
+                        <button onClick={() => handleDelete(session._id)} title="Delete" className="icon-btn">
+                            <Trash2 size={14} />
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            {pagination && pagination.page < pagination.pages && (
+                <button className="btn-small" onClick={() => fetchPage(pagination.page + 1)} disabled={status === 'loading'}>
+                    Load more
+                </button>
+            )}
+
+            <style>{`
+        .history-card {
+            background: rgba(255, 255, 255, 0.05);
+            border: 1px solid var(--glass-border);
+            border-radius: 12px;
+            padding: 1.5rem;
+            margin-bottom: 2rem;
+            text-align: left;
+        }
+        .history-card h3 {
+            margin-top: 0;
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            font-size: 1.1rem;
+            color: var(--primary);
+        }
+        .history-list {
+            list-style: none;
+            padding: 0;
+            margin: 0 0 1rem;
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+        }
+        .history-item {
+            display: flex;
+            gap: 8px;
+        }
+        .history-load {
+            flex-grow: 1;
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 8px 12px;
+            font-size: 0.9rem;
+            text-align: left;
+        }
+        .history-meta {
+            margin-left: auto;
+            color: var(--text-muted);
+            font-size: 0.8rem;
+            text-transform: uppercase;
+        }
+        .history-empty { color: var(--text-muted); font-size: 0.9rem; }
+        .error-msg { color: #ef4444; margin-top: 10px; font-size: 0.9rem; }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { Headphones, Loader2, X } from 'lucide-react';
+import { fetchRecordingAudio } from '../services/api';
+
+const SPEEDS = [0.75, 1, 1.25, 1.5, 2];
+
+/**
+ * Audio player for a saved or uploaded session, shown above its transcript in playback mode.
+ * The parent owns `audioRef` to seek from the transcript and gets the position through `onTimeUpdate`.
+ * @param {object} props
+ * @param {{ type: 'recording', recordingId: string } | { type: 'file', file: Blob }} props.source
+ * @param {{ current: HTMLAudioElement|null }} props.audioRef
+ * @param {(seconds: number) => void} props.onTimeUpdate
+ * @param {() => void} props.onClose - Leave playback mode.
+ */
+export function TranscriptPlayer({ source, audioRef, onTimeUpdate, onClose }) {
+    const [loaded, setLoaded] = useState(null); // { source, url } or { source, error }
+    const [speed, setSpeed] = useState(1);
+    // Whatever was loaded for a previous source is not shown while the new one loads
+    const { url = null, error = null } = loaded?.source === source ? loaded : {};
+
+    // Recordings are fetched with the access token, uploads are already in memory
+    useEffect(() => {
+        let objectUrl = null;
+        let cancelled = false;
+
+        const load = source.type === 'file'
+            ? Promise.resolve(source.file)
+            : fetchRecordingAudio(source.recordingId);
+
+        load.then((blob) => {
+            if (cancelled) return;
+            objectUrl = URL.createObjectURL(blob);
+            setLoaded({ source, url: objectUrl });
+        }).catch((err) => {
+            console.error(err);
+            if (!cancelled) setLoaded({ source, error: err.message || 'Could not load the audio' });
+        });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) URL.revokeObjectURL(objectUrl);
+        };
+    }, [source]);
+
+    // A new source starts at the chosen speed too
+    useEffect(() => {
+        const audio = audioRef.current;
+        if (!audio) return;
+        audio.defaultPlaybackRate = speed;
+        audio.playbackRate = speed;
+    }, [speed, url, audioRef]);
+
+    return (
+        <div className="player-bar">
+            <Headphones size={18} className="player-icon" />
+
+            {error ? (
+                <span className="player-error">{error}</span>
+            ) : !url ? (
+                <span className="player-loading"><Loader2 size={16} className="spin" /> Loading audio</span>
+            ) : (
+                <audio
+                    ref={audioRef}
+                    src={url}
+                    controls
+                    onTimeUpdate={(e) => onTimeUpdate(e.currentTarget.currentTime)}
+                    onSeeked={(e) => onTimeUpdate(e.currentTarget.currentTime)}
+                />
+            )}
+
+            <select
+                className="speed-select"
+                value={speed}
+                onChange={(e) => setSpeed(Number(e.target.value))}
+                title="Playback speed"
+                disabled={!url}
+            >
+                {SPEEDS.map(s => <option key={s} value={s}>{s}x</option>)}
+            </select>
+
+            <button className="icon-btn" onClick={onClose} title="Close player">
+                <X size={16} />
+            </button>
+
+            <style>{`
+        .player-bar {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            padding: 8px 16px;
+            border-bottom: 1px solid var(--glass-border);
+            background: rgba(255,255,255,0.02);
+        }
+        .player-bar audio {
+            flex-grow: 1;
+            height: 32px;
+        }
+        .player-icon { color: var(--primary); flex-shrink: 0; }
+        .player-loading, .player-error {
+            flex-grow: 1;
+            display: flex;
+            align-items: center;
+            gap: 6px;
+            font-size: 0.9rem;
+            color: var(--text-muted);
+        }
+        .player-error { color: #ef4444; }
+        .speed-select {
+            border: 1px solid var(--glass-border);
+            border-radius: 6px;
+            padding: 0 6px;
+            font-size: 0.85rem;
+            color: var(--text-muted);
+        }
+        .spin { animation: spin 1s linear infinite; }
+        @keyframes spin { 100% { transform: rotate(360deg); } }
+      `}</style>
+        </div>
+    );
+}
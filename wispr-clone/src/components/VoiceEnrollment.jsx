@@ -1,119 +1,169 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import { Mic, Square, Save, Loader2, UserPlus } from 'lucide-react';
+import { enrollVoice, addProfileSample } from '../services/identity';
+import { decodeToMono16k, encodeWav, floatTo16BitPCM, TARGET_SAMPLE_RATE } from '../utils/audio';
 
-export function VoiceEnrollment() {
+const SAMPLE_SECONDS = 5;
+
+/**
+ * Records a voice sample (at most SAMPLE_SECONDS, converted to 16 kHz mono WAV) and enrolls it.
+ * The identity service checks the sample's quality and the reasons for a rejection are listed.
+ * With `profileName` it adds the sample to that existing profile instead of asking for a name.
+ * @param {{ profileName?: string, onEnrolled?: (profile: object) => void }} props
+ */
+export function VoiceEnrollment({ profileName, onEnrolled }) {
     const [isRecording, setIsRecording] = useState(false);
-    const [audioBlob, setAudioBlob] = useState(null);
-    const [name, setName] = useState('');
-    const [status, setStatus] = useState('idle'); // idle | recording | uploading | success | error
+    const [audioBlob, setAudioBlob] = useState(null); // 16 kHz mono WAV
+    const [name, setName] = useState(profileName || '');
+    const [status, setStatus] = useState('idle'); // idle | recording | converting | uploading | success | error
+    const [errorMessage, setErrorMessage] = useState(null);
+    const [reasons, setReasons] = useState([]); // Why the service rejected the sample
+    const [secondsLeft, setSecondsLeft] = useState(SAMPLE_SECONDS);
     const mediaRecorderRef = useRef(null);
     const chunksRef = useRef([]);
+    const timerRef = useRef(null);
+
+    // Don't leave the microphone or the countdown running if the panel is closed mid-recording
+    useEffect(() => () => {
+        clearInterval(timerRef.current);
+        if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+            mediaRecorderRef.current.onstop = null;
+            mediaRecorderRef.current.stop();
+            mediaRecorderRef.current.stream.getTracks().forEach(t => t.stop());
+        }
+    }, []);
+
+    const stopRecording = () => {
+        clearInterval(timerRef.current);
+        if (mediaRecorderRef.current && mediaRecorderRef.current.state === 'recording') {
+            mediaRecorderRef.current.stop();
+            setIsRecording(false);
+        }
+    };
 
     const startRecording = async () => {
+        setErrorMessage(null);
+        setReasons([]);
         try {
             const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            mediaRecorderRef.current = new MediaRecorder(stream);
+            const recorder = new MediaRecorder(stream);
+            mediaRecorderRef.current = recorder;
             chunksRef.current = [];
 
-            mediaRecorderRef.current.ondataavailable = (e) => {
+            recorder.ondataavailable = (e) => {
                 if (e.data.size > 0) chunksRef.current.push(e.data);
             };
 
-            mediaRecorderRef.current.onstop = () => {
-                const blob = new Blob(chunksRef.current, { type: 'audio/wav' });
-                setAudioBlob(blob);
+            recorder.onstop = async () => {
                 stream.getTracks().forEach(t => t.stop());
+                // MediaRecorder produces webm/ogg/mp4 depending on the browser, the service wants real WAV
+                setStatus('converting');
+                try {
+                    const recorded = new Blob(chunksRef.current, { type: recorder.mimeType });
+                    const samples = await decodeToMono16k(recorded);
+                    setAudioBlob(encodeWav(floatTo16BitPCM(samples.subarray(0, SAMPLE_SECONDS * TARGET_SAMPLE_RATE))));
+                    setStatus('idle');
+                } catch (e) {
+                    console.error(e);
+                    setErrorMessage('Could not read the recording. Please try again.');
+                    setStatus('error');
+                }
             };
 
-            mediaRecorderRef.current.start();
+            recorder.start();
             setIsRecording(true);
             setStatus('recording');
+
+            // Samples are fixed-length: stop automatically when the time is up
+            const startedAt = Date.now();
+            setSecondsLeft(SAMPLE_SECONDS);
+            timerRef.current = setInterval(() => {
+                const left = Math.max(0, SAMPLE_SECONDS - Math.floor((Date.now() - startedAt) / 1000));
+                setSecondsLeft(left);
+                if (left === 0) stopRecording();
+            }, 250);
         } catch (e) {
             console.error(e);
+            setErrorMessage('Microphone access denied.');
             setStatus('error');
         }
     };
 
-    const stopRecording = () => {
-        if (mediaRecorderRef.current && isRecording) {
-            mediaRecorderRef.current.stop();
-            setIsRecording(false);
-            setStatus('idle');
-        }
-    };
-
     const handleEnroll = async () => {
         if (!audioBlob || !name) return;
         setStatus('uploading');
 
-        const formData = new FormData();
-        formData.append('name', name);
-        formData.append('file', audioBlob, 'enrollment.wav');
-
         try {
-            const res = await fetch('http://localhost:8000/enroll', {
-                method: 'POST',
-                body: formData,
-            });
-
-            if (res.ok) {
-                setStatus('success');
-                setTimeout(() => {
-                    setStatus('idle');
-                    setAudioBlob(null);
-                    setName('');
-                }, 2000);
-            } else {
-                throw new Error('Enrollment failed');
-            }
+            const profile = profileName
+                ? await addProfileSample(profileName, audioBlob)
+                : (await enrollVoice(name, audioBlob)).profile;
+
+            setStatus('success');
+            if (onEnrolled) onEnrolled(profile);
+            setTimeout(() => {
+                setStatus('idle');
+                setAudioBlob(null);
+                setName(profileName || '');
+            }, 2000);
         } catch (e) {
             console.error(e);
+            setErrorMessage(e.message);
+            setReasons(e.reasons || []);
             setStatus('error');
         }
     };
 
     return (
         <div className="enrollment-card">
-            <h3><UserPlus size={20} /> New Voice Profile</h3>
-
-            <div className="input-group">
-                <label>Speaker Name</label>
-                <input
-                    type="text"
-                    value={name}
-                    onChange={(e) => setName(e.target.value)}
-                    placeholder="e.g. John Doe"
-                    disabled={isRecording || status === 'uploading'}
-                />
-            </div>
+            <h3><UserPlus size={20} /> {profileName ? `Add Sample to ${profileName}` : 'New Voice Profile'}</h3>
+
+            {!profileName && (
+                <div className="input-group">
+                    <label>Speaker Name</label>
+                    <input
+                        type="text"
+                        value={name}
+                        onChange={(e) => setName(e.target.value)}
+                        placeholder="e.g. John Doe"
+                        disabled={isRecording || status === 'uploading'}
+                    />
+                </div>
+            )}
 
             <div className="action-area">
                 {!isRecording ? (
-                    !audioBlob ? (
+                    status === 'converting' ? (
+                        <Loader2 className="spin" size={16} />
+                    ) : !audioBlob ? (
                         <button className="btn-secondary" onClick={startRecording}>
-                            <Mic size={16} /> Record Sample (5s)
+                            <Mic size={16} /> Record Sample ({SAMPLE_SECONDS}s)
                         </button>
                     ) : (
                         <div className="review-area">
                             <audio src={URL.createObjectURL(audioBlob)} controls className="audio-preview" />
                             <div className="review-actions">
-                                <button className="btn-text" onClick={() => setAudioBlob(null)}>Retake</button>
+                                <button className="btn-text" onClick={() => { setAudioBlob(null); setReasons([]); setStatus('idle'); }}>Retake</button>
                                 <button className="btn-primary" onClick={handleEnroll} disabled={!name}>
                                     {status === 'uploading' ? <Loader2 className="spin" size={16} /> : <Save size={16} />}
-                                    Save Profile
+                                    {profileName ? 'Save Sample' : 'Save Profile'}
                                 </button>
                             </div>
                         </div>
                     )
                 ) : (
                     <button className="btn-danger" onClick={stopRecording}>
-                        <Square size={16} fill="currentColor" /> Stop
+                        <Square size={16} fill="currentColor" /> Stop ({secondsLeft}s)
                     </button>
                 )}
             </div>
 
-            {status === 'success' && <div className="success-msg">Profile Created!</div>}
-            {status === 'error' && <div className="error-msg">Error connecting to ID Service</div>}
+            {status === 'success' && <div className="success-msg">{profileName ? 'Sample Added!' : 'Profile Created!'}</div>}
+            {status === 'error' && <div className="error-msg">{errorMessage || 'Error connecting to ID Service'}</div>}
+            {status === 'error' && reasons.length > 0 && (
+                <ul className="reason-list">
+                    {reasons.map(reason => <li key={reason.code}>{reason.message}</li>)}
+                </ul>
+            )}
 
             <style>{`
         .enrollment-card {
@@ -160,6 +210,7 @@ export function VoiceEnrollment() {
         }
         .success-msg { color: #4ade80; margin-top: 10px; font-size: 0.9rem; }
         .error-msg { color: #ef4444; margin-top: 10px; font-size: 0.9rem; }
+        .reason-list { color: #fca5a5; margin: 6px 0 0; padding-left: 1.2rem; font-size: 0.85rem; text-align: left; }
         .spin { animation: spin 1s linear infinite; }
         @keyframes spin { 100% { transform: rotate(360deg); } }
       `}</style>
@@ -0,0 +1,117 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { startDictation } from '../services/dictation';
+import { isDesktop, registerHotkey, createSystemTextTarget, updateIndicator } from '../services/desktop';
+import { insertText, dictationText } from '../utils/textInsertion';
+import { polishText } from '../services/cleanup';
+import { cleanupWithLlm } from '../services/api';
+import { getTranscriptionSettings } from '../utils/languages';
+import { replaceInText } from '../utils/replacements';
+import { getDictionary, toKeywords } from '../services/dictionary';
+
+const ERROR_DISPLAY_MS = 3000;
+
+/**
+ * Global push-to-talk dictation (desktop only). The hotkey works while another app has focus:
+ * - hold mode: dictation runs while the keys are held, the text is inserted on release
+ * - toggle mode: one press starts, the next one inserts
+ * The text goes through the cleanup pass (services/cleanup.js), then the dictionary's replacement
+ * rules, before it is inserted.
+ * The floating indicator mirrors `state`.
+ *
+ * @param {{ language: string, settings: object }} opts - `settings`, see DEFAULT_DICTATION_SETTINGS.
+ * @returns {{ status: 'off'|'idle'|'listening'|'finishing'|'error', text: string, error: string|null }}
+ */
+export function useDictation({ language, settings }) {
+    const [state, setState] = useState({ status: isDesktop() ? 'idle' : 'off', text: '', error: null });
+    const dictationRef = useRef(null); // Running startDictation()
+    const statusRef = useRef('idle');
+    const latestRef = useRef({ language, settings });
+
+    useEffect(() => {
+        latestRef.current = { language, settings };
+    });
+
+    // Stable callbacks: they read everything that changes through refs, so the hotkey stays registered
+    const update = useCallback((next) => {
+        statusRef.current = next.status;
+        setState({ text: '', error: null, ...next });
+        updateIndicator({ status: next.status, text: next.text || next.error || '' }).catch(err => console.error(err));
+    }, []);
+
+    const showError = useCallback((message) => {
+        update({ status: 'error', error: message });
+        setTimeout(() => {
+            if (statusRef.current === 'error') update({ status: 'idle' });
+        }, ERROR_DISPLAY_MS);
+    }, [update]);
+
+    const begin = useCallback(() => {
+        if (statusRef.current !== 'idle' && statusRef.current !== 'error') return; // Key repeat
+        update({ status: 'listening' });
+        dictationRef.current = startDictation({
+            settings: getTranscriptionSettings(latestRef.current.language, toKeywords(getDictionary().vocabulary)),
+            onInterim: (text) => {
+                if (statusRef.current === 'listening') update({ status: 'listening', text });
+            },
+            onError: (err) => {
+                dictationRef.current = null;
+                showError(err.message || 'Dictation failed');
+            },
+        });
+    }, [update, showError]);
+
+    const end = useCallback(async () => {
+        const dictation = dictationRef.current;
+        if (!dictation || statusRef.current !== 'listening') return;
+        dictationRef.current = null;
+        update({ status: 'finishing' });
+
+        try {
+            const { language: spoken, settings: current } = latestRef.current;
+            const raw = await dictation.stop();
+            const polished = await polishText(raw, { level: current.cleanup, language: spoken, llm: current.aiCleanup ? cleanupWithLlm : null });
+            const text = replaceInText(polished, getDictionary().replacements);
+            await insertText(dictationText([text]), await createSystemTextTarget(), { mode: current.insertMode });
+            update({ status: 'idle' });
+        } catch (err) {
+            console.error(err);
+            showError(err.message || 'Could not insert the text');
+        }
+    }, [update, showError]);
+
+    const { enabled, shortcut, mode } = settings;
+
+    useEffect(() => {
+        if (!isDesktop() || !enabled || !shortcut) return;
+
+        let unregister = null;
+        let cancelled = false;
+        registerHotkey(shortcut, (pressed) => {
+            if (mode === 'hold') {
+                if (pressed) begin();
+                else end();
+            } else if (pressed) {
+                if (statusRef.current === 'listening') end();
+                else begin();
+            }
+        }).then((release) => {
+            if (cancelled) release();
+            else unregister = release;
+        }).catch((err) => {
+            console.error(err);
+            if (!cancelled) showError(`Shortcut ${shortcut} is not available: ${err.message || err}`);
+        });
+
+        return () => {
+            cancelled = true;
+            if (unregister) unregister().catch(err => console.error(err));
+            if (dictationRef.current) {
+                dictationRef.current.cancel();
+                dictationRef.current = null;
+                update({ status: 'idle' });
+            }
+        };
+    }, [enabled, shortcut, mode, begin, end, update, showError]);
+
+    return state;
+}
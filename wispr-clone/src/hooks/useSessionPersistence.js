@@ -0,0 +1,78 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { createSession, saveMessages, updateSession, segmentToMessage } from '../services/sessions';
+
+/**
+ * Stores each recording as a session in the API.
+ * A segment is saved once it can no longer grow: when another speaker's segment follows it,
+ * or when recording stops. API calls run one after another so the session exists before its messages.
+ * Persistence is best effort: if the API is down, transcription carries on and `sessionError` is set.
+ */
+export function useSessionPersistence({ status, segments, speakerMap, language, recordingId }) {
+    const [sessionError, setSessionError] = useState(null);
+    const chatIdRef = useRef(null);
+    const savedCountRef = useRef(0); // Segments already stored for the current session
+    const queueRef = useRef(Promise.resolve());
+    const latestRef = useRef({ segments, speakerMap, language, recordingId });
+
+    useEffect(() => {
+        latestRef.current = { segments, speakerMap, language, recordingId };
+    });
+
+    // Stable: they only go through refs, so effects can depend on them without re-running
+    const enqueue = useCallback((task) => {
+        queueRef.current = queueRef.current.then(task).catch((err) => {
+            console.warn('Session persistence failed:', err);
+            setSessionError(err.message);
+        });
+    }, []);
+
+    const saveUpTo = useCallback((count) => enqueue(async () => {
+        const chatId = chatIdRef.current;
+        const { segments: current, speakerMap: names, language: lang } = latestRef.current;
+        if (!chatId || count <= savedCountRef.current) return;
+
+        const pending = current.slice(savedCountRef.current, count);
+        savedCountRef.current = count;
+        await saveMessages(chatId, pending.map(seg => segmentToMessage(seg, names, lang)));
+    }), [enqueue]);
+
+    // Open a session when recording starts, save the rest and close it when recording stops
+    useEffect(() => {
+        if (status === 'recording') {
+            savedCountRef.current = latestRef.current.segments.length; // Earlier recordings are not part of it
+            enqueue(async () => {
+                setSessionError(null);
+                const chat = await createSession({
+                    title: `Session ${new Date().toLocaleString()}`,
+                    language: latestRef.current.language,
+                    recordingId: latestRef.current.recordingId || undefined,
+                });
+                chatIdRef.current = chat._id;
+            });
+            return;
+        }
+
+        saveUpTo(latestRef.current.segments.length);
+        enqueue(async () => {
+            const chatId = chatIdRef.current;
+            if (!chatId) return;
+            chatIdRef.current = null;
+            await updateSession(chatId, {
+                endedAt: new Date().toISOString(),
+                speakers: latestRef.current.speakerMap,
+            });
+        });
+    }, [status, enqueue, saveUpTo]);
+
+    // Every segment but the last is final once a new one has started
+    // (on the run for a status change there is nothing new: recording start marks every segment saved)
+    useEffect(() => {
+        if (status === 'recording') saveUpTo(segments.length - 1);
+    }, [status, segments.length, saveUpTo]);
+
+    return {
+        sessionError,
+        // The transcript was cleared, new segments start from index 0 again
+        resetSaved: () => { savedCountRef.current = 0; },
+    };
+}
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from 'react';
+import { isDesktop, updateTray, onTrayAction } from '../services/desktop';
+import { listSessions } from '../services/sessions';
+import { LANGUAGES } from '../utils/languages';
+
+const RECENT_LIMIT = 5;
+
+/**
+ * Keeps the system tray menu (desktop only) in step with the app and hands its picks to `onAction`.
+ * The recent transcripts are refetched whenever a recording stops, so a session just saved is listed.
+ *
+ * @param {object} opts
+ * @param {boolean} opts.signedIn - Signed out the menu only opens the window or quits.
+ * @param {boolean} opts.recording
+ * @param {string} opts.language
+ * @param {boolean} opts.overlay - Checked state of "Show overlay while recording".
+ * @param {(event: { action: string, value?: string }) => void} opts.onAction - See onTrayAction().
+ */
+export function useTray({ signedIn, recording, language, overlay, onAction }) {
+    const [recent, setRecent] = useState([]);
+    const onActionRef = useRef(onAction);
+
+    useEffect(() => {
+        onActionRef.current = onAction;
+    });
+
+    useEffect(() => {
+        if (!isDesktop() || !signedIn || recording) return;
+        let cancelled = false;
+        listSessions(1, RECENT_LIMIT)
+            .then((result) => {
+                if (!cancelled) setRecent(result.data.map(chat => ({ id: chat._id, title: chat.title })));
+            })
+            .catch(err => console.error(err));
+        return () => {
+            cancelled = true;
+        };
+    }, [signedIn, recording]);
+
+    useEffect(() => {
+        if (!isDesktop()) return;
+        updateTray({
+            signedIn,
+            recording,
+            language,
+            languages: LANGUAGES.map(({ code, name }) => ({ code, name })),
+            overlay,
+            recent: signedIn ? recent : [],
+        }).catch(err => console.error(err));
+    }, [signedIn, recording, language, overlay, recent]);
+
+    useEffect(() => {
+        if (!isDesktop()) return;
+        let unlisten = null;
+        let cancelled = false;
+        onTrayAction((event) => onActionRef.current(event)).then((stop) => {
+            if (cancelled) stop();
+            else unlisten = stop;
+        });
+        return () => {
+            cancelled = true;
+            if (unlisten) unlisten();
+        };
+    }, []);
+}
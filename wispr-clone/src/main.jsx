@@ -2,9 +2,12 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { RecordingIndicator } from './components/RecordingIndicator'
+import { currentWindowLabel } from './services/desktop'
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {/* The desktop build's floating overlay (dictation and live recording) is a second window on the same page */}
+    {currentWindowLabel() === 'indicator' ? <RecordingIndicator /> : <App />}
   </StrictMode>,
 )
@@ -1,23 +1,116 @@
-export async function transcribeAudio(audioBlob) {
-    const apiKey = import.meta.env.VITE_DEEPGRAM_API_KEY;
+import { authFetch, getAccessToken } from './auth';
+
+// The relay holds the transcription provider's API key, the browser only ever sees our own tokens
+export const RELAY_URL = import.meta.env.VITE_RELAY_URL || 'http://localhost:3000';
+export const RELAY_WS_URL = RELAY_URL.replace(/^http/, 'ws');
 
-    if (!apiKey || apiKey === 'your_deepgram_api_key_here') {
-        throw new Error('Deepgram API Key is missing. Please add it to your .env file.');
+async function readError(response, fallback) {
+    const err = await response.json().catch(() => ({}));
+    return new Error(err.error || fallback);
+}
+
+/**
+ * WebSocket URL of the relay for the signed-in user.
+ * Browsers can't set headers on a WebSocket, so the access token goes in the query string.
+ */
+export async function getRelaySocketUrl() {
+    return `${RELAY_WS_URL}/?access_token=${encodeURIComponent(await getAccessToken())}`;
+}
+
+/**
+ * Short-lived token minted by the relay for streaming to Deepgram directly (about 30s to connect).
+ * @returns {Promise<{ provider: string, access_token: string, expires_in: number }>}
+ */
+export async function requestStreamingToken() {
+    const response = await authFetch(`${RELAY_URL}/api/token`, { method: 'POST' });
+    if (!response.ok) throw await readError(response, 'Failed to get a streaming token');
+    return response.json();
+}
+
+/**
+ * Audio of a session the relay recorded (see the relay's /api/recordings).
+ * @param {string} recordingId
+ * @returns {Promise<Blob>}
+ */
+export async function fetchRecordingAudio(recordingId) {
+    const response = await authFetch(`${RELAY_URL}/api/recordings/${encodeURIComponent(recordingId)}/audio`);
+    if (!response.ok) {
+        throw await readError(response, response.status === 404 ? 'The recording is no longer available' : 'Failed to load the recording');
     }
+    return response.blob();
+}
 
+/**
+ * LLM cleanup of dictated text through the relay (answers 501 when it has no LLM configured).
+ * The `llm` hook of polishText() in services/cleanup.js.
+ * @param {string} text
+ * @param {{ level: 'light'|'full', language: string }} options
+ * @returns {Promise<string>}
+ */
+export async function cleanupWithLlm(text, { level, language }) {
+    const response = await authFetch(`${RELAY_URL}/api/cleanup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, level, language }),
+    });
+    if (!response.ok) throw await readError(response, 'AI cleanup failed');
+    return (await response.json()).text;
+}
+
+/**
+ * Uploads an audio/video file for prerecorded transcription with diarization and utterances.
+ * Uses XHR because fetch() cannot report upload progress.
+ * @param {Blob} file
+ * @param {object} options
+ * @param {object} options.settings - Session settings, see getTranscriptionSettings().
+ * @param {(fraction: number) => void} [options.onUploadProgress] - 0..1 while the file uploads.
+ * @param {AbortSignal} [options.signal] - Aborts the upload/transcription.
+ * @returns {Promise<object>} Deepgram's prerecorded response.
+ */
+export async function transcribeFile(file, { settings, onUploadProgress, signal }) {
+    const params = new URLSearchParams({ ...settings, diarize: 'true', utterances: 'true' });
+    const token = await getAccessToken();
+
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', `${RELAY_URL}/api/transcribe?${params}`);
+        xhr.setRequestHeader('Authorization', `Bearer ${token}`);
+        xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+        xhr.responseType = 'json';
+
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable && onUploadProgress) onUploadProgress(e.loaded / e.total);
+        };
+        xhr.onload = () => {
+            if (xhr.status >= 200 && xhr.status < 300) resolve(xhr.response);
+            else reject(new Error(xhr.response?.error || `Transcription failed (${xhr.status})`));
+        };
+        xhr.onerror = () => reject(new Error('Could not reach the relay server'));
+        xhr.onabort = () => reject(new DOMException('Transcription cancelled', 'AbortError'));
+
+        if (signal) {
+            if (signal.aborted) {
+                reject(new DOMException('Transcription cancelled', 'AbortError'));
+                return;
+            }
+            signal.addEventListener('abort', () => xhr.abort(), { once: true });
+        }
+        xhr.send(file);
+    });
+}
+
+export async function transcribeAudio(audioBlob) {
     try {
-        const response = await fetch('https://api.deepgram.com/v1/listen?model=nova-2&smart_format=true', {
+        const response = await authFetch(`${RELAY_URL}/api/transcribe?model=nova-2&smart_format=true`, {
             method: 'POST',
             headers: {
-                'Authorization': `Token ${apiKey}`,
                 'Content-Type': audioBlob.type || 'audio/webm',
             },
             body: audioBlob,
         });
 
         if (!response.ok) {
-            const err = await response.json();
-            throw new Error(err.error || 'Failed to transcribe audio');
+            throw await readError(response, 'Failed to transcribe audio');
         }
 
         const data = await response.json();
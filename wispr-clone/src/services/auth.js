@@ -0,0 +1,119 @@
+export const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000';
+
+const STORAGE_KEY = 'wispr-auth';
+const EXPIRY_MARGIN_MS = 30000; // Refresh a little before the access token runs out
+
+let auth = loadAuth(); // { user, accessToken, refreshToken } | null
+let refreshing = null; // In-flight refresh, shared by concurrent callers
+const listeners = new Set();
+
+function loadAuth() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function setAuth(next) {
+    auth = next;
+    if (next) localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else localStorage.removeItem(STORAGE_KEY);
+    listeners.forEach(listener => listener());
+}
+
+function tokenExpiresAt(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return payload.exp * 1000;
+    } catch {
+        return 0;
+    }
+}
+
+async function postAuth(path, body) {
+    const response = await fetch(`${API_URL}/api/auth${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw Object.assign(new Error(data.error || `Request failed (${response.status})`), { status: response.status });
+    return data;
+}
+
+/**
+ * Signed-in user, or null. Stable between changes so it can back useSyncExternalStore.
+ */
+export function getUser() {
+    return auth ? auth.user : null;
+}
+
+/**
+ * Subscribes to sign-in / sign-out. Returns the unsubscribe function.
+ */
+export function onAuthChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export async function login(email, password) {
+    setAuth(await postAuth('/login', { email, password }));
+}
+
+export async function signup(email, password, name) {
+    setAuth(await postAuth('/signup', { email, password, name }));
+}
+
+export async function logout() {
+    const token = auth?.accessToken;
+    setAuth(null);
+    if (token) {
+        // Revokes refresh tokens server-side; signing out locally does not depend on it
+        fetch(`${API_URL}/api/auth/logout`, { method: 'POST', headers: { Authorization: `Bearer ${token}` } })
+            .catch(() => {});
+    }
+}
+
+async function refreshTokens() {
+    if (!refreshing) {
+        refreshing = postAuth('/refresh', { refreshToken: auth.refreshToken })
+            .then(setAuth)
+            .catch((err) => {
+                // Refresh token expired or revoked: sign in again. A network error or a restarting
+                // API keeps the tokens for the next attempt.
+                if (err.status === 401 || err.status === 403) setAuth(null);
+                throw err;
+            })
+            .finally(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+/**
+ * A valid access token, refreshed first if it is about to expire.
+ * @throws {Error} if nobody is signed in or the session cannot be refreshed.
+ */
+export async function getAccessToken() {
+    if (!auth) throw new Error('Not signed in');
+    if (tokenExpiresAt(auth.accessToken) - EXPIRY_MARGIN_MS < Date.now()) {
+        await refreshTokens();
+    }
+    return auth.accessToken;
+}
+
+/**
+ * fetch() with the access token attached. Retries once after a refresh if the server says 401.
+ */
+export async function authFetch(url, options = {}) {
+    const send = async () => fetch(url, {
+        ...options,
+        headers: { ...options.headers, Authorization: `Bearer ${await getAccessToken()}` },
+    });
+
+    const response = await send();
+    if (response.status !== 401 || !auth) return response;
+
+    await refreshTokens();
+    return send();
+}
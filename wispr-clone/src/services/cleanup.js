@@ -0,0 +1,28 @@
+import { cleanupText } from '../utils/textCleanup';
+
+/**
+ * Cleanup pass over finalized dictation before it is inserted.
+ * With an `llm` provider the text goes to it first; the offline rules (utils/textCleanup.js) are
+ * used without one, and whenever it fails or answers nothing, so dictation never depends on it.
+ *
+ * @param {string} text
+ * @param {object} opts
+ * @param {'none'|'light'|'full'} opts.level - See CLEANUP_LEVELS.
+ * @param {string} [opts.language='en']
+ * @param {((text: string, opts: { level: string, language: string }) => Promise<string>) | null} [opts.llm] -
+ *   e.g. cleanupWithLlm() from services/api.js.
+ * @returns {Promise<string>}
+ */
+export async function polishText(text, { level, language = 'en', llm = null }) {
+    if (!text || !text.trim() || level === 'none') return text;
+
+    if (llm) {
+        try {
+            const polished = await llm(text, { level, language });
+            if (polished && polished.trim()) return polished.trim();
+        } catch (err) {
+            console.error('AI cleanup failed, using the offline rules:', err);
+        }
+    }
+    return cleanupText(text, { level, language });
+}
@@ -0,0 +1,140 @@
+/**
+ * Desktop (Tauri) integration: the dictation hotkey, text insertion into other apps, the floating
+ * overlay and the system tray. Every function is a no-op or rejects outside Tauri; check
+ * isDesktop() first. Tauri modules are imported lazily so the web build never loads them.
+ */
+
+const SETTINGS_KEY = 'wispr-dictation';
+const WINDOW_SETTINGS_KEY = 'wispr-window';
+const MAIN_LABEL = 'main'; // Windows in src-tauri/tauri.conf.json
+const INDICATOR_LABEL = 'indicator';
+export const DICTATION_EVENT = 'dictation-state';
+const TRAY_ACTION_EVENT = 'tray-action'; // src-tauri/src/tray.rs
+
+export const DEFAULT_DICTATION_SETTINGS = {
+    enabled: true,
+    shortcut: 'CommandOrControl+Shift+Space',
+    mode: 'hold', // hold: talk while the keys are down | toggle: press to start, press again to insert
+    insertMode: 'paste', // see INSERT_MODES in utils/textInsertion.js
+    cleanup: 'light', // see CLEANUP_LEVELS in utils/textCleanup.js
+    aiCleanup: false, // Clean up with the relay's LLM, the offline rules when it is unavailable
+};
+
+export const DEFAULT_WINDOW_SETTINGS = {
+    overlay: true, // Live status, words and speaker in the floating window while recording
+    startInTray: false, // Keep the main window hidden at launch, the tray menu opens it
+};
+
+export function isDesktop() {
+    return Boolean(window.__TAURI_INTERNALS__);
+}
+
+function loadSettings(key, defaults) {
+    try {
+        return { ...defaults, ...JSON.parse(localStorage.getItem(key)) };
+    } catch {
+        return { ...defaults };
+    }
+}
+
+export function loadDictationSettings() {
+    return loadSettings(SETTINGS_KEY, DEFAULT_DICTATION_SETTINGS);
+}
+
+export function saveDictationSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+export function loadWindowSettings() {
+    return loadSettings(WINDOW_SETTINGS_KEY, DEFAULT_WINDOW_SETTINGS);
+}
+
+export function saveWindowSettings(settings) {
+    localStorage.setItem(WINDOW_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Registers the dictation hotkey system-wide.
+ * @param {string} shortcut - e.g. "CommandOrControl+Shift+Space".
+ * @param {(pressed: boolean) => void} onChange - true on key down, false on release.
+ * @returns {Promise<() => Promise<void>>} Unregisters it. Rejects if the shortcut is invalid or taken.
+ */
+export async function registerHotkey(shortcut, onChange) {
+    const { register, unregister } = await import('@tauri-apps/plugin-global-shortcut');
+    await register(shortcut, (event) => onChange(event.state === 'Pressed'));
+    return () => unregister(shortcut);
+}
+
+/**
+ * Text target for insertText() that acts on the focused app: key presses and the paste shortcut
+ * come from the Rust side (src-tauri/src/typing.rs), the clipboard from the clipboard plugin.
+ */
+export async function createSystemTextTarget() {
+    const { invoke } = await import('@tauri-apps/api/core');
+    const { readText, writeText } = await import('@tauri-apps/plugin-clipboard-manager');
+    return {
+        typeText: (text) => invoke('type_text', { text }),
+        paste: () => invoke('send_paste'),
+        readClipboard: () => readText(),
+        writeClipboard: (text) => writeText(text),
+    };
+}
+
+/**
+ * Shows the floating indicator with a dictation or recording state, or hides it for `idle`. It never
+ * takes focus, so dictated text still goes to the app the user was typing in.
+ * @param {{ status: 'idle'|'listening'|'finishing'|'error'|'recording', text?: string, speaker?: string|null }} state
+ */
+export async function updateIndicator(state) {
+    if (!isDesktop()) return;
+    const { emitTo } = await import('@tauri-apps/api/event');
+    const { Window } = await import('@tauri-apps/api/window');
+    const indicator = await Window.getByLabel(INDICATOR_LABEL);
+    if (!indicator) return;
+
+    await emitTo(INDICATOR_LABEL, DICTATION_EVENT, state);
+    if (state.status === 'idle') await indicator.hide();
+    else await indicator.show();
+}
+
+/**
+ * Shows and focuses the main window. It starts hidden (see tauri.conf.json), so it stays in the tray
+ * at launch unless this is called; its close button hides it again.
+ */
+export async function showMainWindow() {
+    if (!isDesktop()) return;
+    const { Window } = await import('@tauri-apps/api/window');
+    const main = await Window.getByLabel(MAIN_LABEL);
+    if (!main) return;
+    await main.show();
+    await main.setFocus();
+}
+
+/**
+ * Rebuilds the tray menu (src-tauri/src/tray.rs) from the app state.
+ * @param {{ signedIn: boolean, recording: boolean, language: string, languages: Array<{ code, name }>,
+ *   overlay: boolean, recent: Array<{ id: string, title: string }> }} state
+ */
+export async function updateTray(state) {
+    if (!isDesktop()) return;
+    const { invoke } = await import('@tauri-apps/api/core');
+    await invoke('set_tray_state', { state });
+}
+
+/**
+ * Subscribes to tray menu picks that the main window acts on.
+ * @param {(event: { action: 'toggle-recording'|'toggle-overlay'|'language'|'open-transcript', value?: string }) => void} handler
+ * @returns {Promise<() => void>} Unsubscribes.
+ */
+export async function onTrayAction(handler) {
+    const { listen } = await import('@tauri-apps/api/event');
+    return listen(TRAY_ACTION_EVENT, (event) => handler(event.payload));
+}
+
+/**
+ * Label of the window this page runs in ("main", "indicator"), null in a browser.
+ * Reads what getCurrentWindow().label reads, without loading the Tauri API in the browser.
+ */
+export function currentWindowLabel() {
+    return window.__TAURI_INTERNALS__?.metadata?.currentWindow?.label ?? null;
+}
@@ -0,0 +1,101 @@
+import { createRelayConnection } from './relayConnection';
+import { startPcmCapture } from '../utils/pcmCapture';
+import { dictationText } from '../utils/textInsertion';
+
+/**
+ * One push-to-talk dictation: microphone -> relay, like RealtimeRecorder but without the transcript view.
+ * The microphone opens right away; frames captured before the relay session is ready are held and
+ * sent once it is, so the first words after the hotkey are not cut off.
+ *
+ * @param {object} opts
+ * @param {object} opts.settings - Session settings, see getTranscriptionSettings().
+ * @param {(text: string) => void} [opts.onInterim] - The words so far, finals plus the current partial.
+ * @param {(error: Error) => void} [opts.onError] - The dictation failed and has been cancelled.
+ * @returns {{ stop: () => Promise<string>, cancel: () => void }} `stop` resolves with the final text
+ *   once the relay has transcribed the last audio.
+ */
+export function startDictation({ settings, onInterim = () => {}, onError = () => {} }) {
+    const finals = [];
+    let early = []; // Frames captured before the session was ready
+    let ready = false;
+    let done = false; // Stopped, cancelled or failed
+    let stream = null;
+    let markSettled;
+    const settled = new Promise(resolve => { markSettled = resolve; }); // Ready, or failed
+
+    const sendFrame = (frame) => {
+        if (ready) connection.sendAudio(frame);
+        else early.push(frame);
+    };
+
+    const release = () => {
+        if (stream) stream.getTracks().forEach(track => track.stop());
+        stream = null;
+    };
+
+    // Resolves with the capture, or null if the microphone could not be opened
+    const capturing = navigator.mediaDevices.getUserMedia({ audio: true })
+        .then((opened) => {
+            stream = opened;
+            return startPcmCapture(opened, { onFrame: sendFrame });
+        })
+        .catch((err) => {
+            fail(err.name === 'NotAllowedError' ? new Error('Microphone access denied.') : err);
+            return null;
+        });
+
+    const stopCapture = async () => {
+        const capture = await capturing;
+        // Delivers the partial last frame
+        if (capture) await capture.stop().catch(err => console.error(err));
+        release();
+    };
+
+    function fail(err) {
+        markSettled(); // A stop() waiting for the session gets the text so far
+        if (done) return;
+        done = true;
+        stopCapture();
+        connection.close();
+        onError(err);
+    }
+
+    const connection = createRelayConnection({
+        settings,
+        onMessage: (data) => {
+            if (data.type === 'ready') {
+                ready = true;
+                early.forEach(frame => connection.sendAudio(frame));
+                early = [];
+                markSettled();
+            } else if (data.type === 'error') {
+                fail(new Error(data.message || 'Transcription service error'));
+            } else if (data.type === 'transcript') {
+                const transcript = data.data.channel?.alternatives?.[0]?.transcript || '';
+                if (data.data.is_final) finals.push(transcript);
+                onInterim(dictationText(data.data.is_final ? finals : [...finals, transcript]).trim());
+            }
+        },
+        onError: fail,
+    });
+
+    return {
+        async stop() {
+            if (done) return dictationText(finals);
+            done = true;
+            await stopCapture();
+            // Released before the relay answered: the held audio still goes out once it does
+            await settled;
+            if (ready) await connection.finish();
+            return dictationText(finals);
+        },
+
+        cancel() {
+            if (done) return;
+            done = true;
+            markSettled();
+            stopCapture();
+            connection.close();
+        },
+    };
+}
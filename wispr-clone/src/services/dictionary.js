@@ -0,0 +1,143 @@
+import { API_URL, authFetch, getUser, onAuthChange } from './auth';
+import { ruleError } from '../utils/replacements';
+
+/**
+ * The signed-in user's personal dictionary, stored by the API server (/api/dictionary):
+ *   vocabulary:   [{ term, boost }], sent upstream as keyword boosts (see getTranscriptionSettings)
+ *   replacements: [{ find, replace, type, matchCase, wholeWord, enabled }], see utils/replacements.js
+ * Held here like the auth state, so recorders read the current one when a session starts.
+ */
+
+const EMPTY_DICTIONARY = { vocabulary: [], replacements: [] };
+const EXPORT_VERSION = 1;
+const MAX_TERM_LENGTH = 50;
+export const DEFAULT_BOOST = 2;
+
+let dictionary = EMPTY_DICTIONARY;
+const listeners = new Set();
+
+function setDictionary(next) {
+    dictionary = { vocabulary: next.vocabulary || [], replacements: next.replacements || [] };
+    listeners.forEach(listener => listener());
+}
+
+// Another user signing in must not see the previous one's words
+onAuthChange(() => {
+    if (!getUser()) setDictionary(EMPTY_DICTIONARY);
+});
+
+async function request(options = {}) {
+    const response = await authFetch(`${API_URL}/api/dictionary`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `Request failed (${response.status})`);
+    return data;
+}
+
+/**
+ * Current dictionary. Stable between changes so it can back useSyncExternalStore.
+ */
+export function getDictionary() {
+    return dictionary;
+}
+
+/**
+ * Subscribes to dictionary changes. Returns the unsubscribe function.
+ */
+export function onDictionaryChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export async function loadDictionary() {
+    setDictionary(await request());
+    return dictionary;
+}
+
+/**
+ * @param {{ vocabulary?: object[], replacements?: object[] }} next - Replaces whichever list is given.
+ */
+export async function saveDictionary(next) {
+    setDictionary(await request({ method: 'PUT', body: JSON.stringify(next) }));
+    return dictionary;
+}
+
+/**
+ * Vocabulary as Deepgram keyword boosts: "term:boost".
+ */
+export function toKeywords(vocabulary = []) {
+    return vocabulary.map(({ term, boost }) => `${term}:${boost ?? DEFAULT_BOOST}`);
+}
+
+export function exportDictionary({ vocabulary, replacements }) {
+    return JSON.stringify({
+        version: EXPORT_VERSION,
+        vocabulary: vocabulary.map(({ term, boost }) => ({ term, boost: Number(boost) })),
+        replacements,
+    }, null, 2);
+}
+
+function normalizeTerm(entry, index) {
+    const term = typeof entry === 'string' ? entry.trim() : String(entry?.term ?? '').trim();
+    const boost = typeof entry === 'object' && entry.boost !== undefined ? Number(entry.boost) : DEFAULT_BOOST;
+    if (!term || term.length > MAX_TERM_LENGTH || /[:,]/.test(term)) {
+        throw new Error(`Vocabulary entry ${index + 1}: a term needs 1-${MAX_TERM_LENGTH} characters without ":" or ","`);
+    }
+    if (!Number.isFinite(boost) || boost < -10 || boost > 10) {
+        throw new Error(`Vocabulary entry ${index + 1} ("${term}"): boost must be between -10 and 10`);
+    }
+    return { term, boost };
+}
+
+function normalizeRule(entry, index) {
+    const rule = {
+        find: String(entry?.find ?? ''),
+        replace: String(entry?.replace ?? ''),
+        type: entry?.type === 'regex' ? 'regex' : 'literal',
+        matchCase: Boolean(entry?.matchCase),
+        wholeWord: entry?.wholeWord !== false,
+        enabled: entry?.enabled !== false,
+    };
+    const error = ruleError(rule);
+    if (error) throw new Error(`Replacement ${index + 1}: ${error}`);
+    return rule;
+}
+
+/**
+ * Parses an exported dictionary (or a hand-written one: terms may be plain strings).
+ * @param {string} json
+ * @returns {{ vocabulary: object[], replacements: object[] }}
+ * @throws {Error} Naming the first invalid entry.
+ */
+export function parseDictionaryImport(json) {
+    let data;
+    try {
+        data = JSON.parse(json);
+    } catch {
+        throw new Error('The file is not valid JSON');
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('Expected an object with "vocabulary" and "replacements"');
+    if (data.vocabulary !== undefined && !Array.isArray(data.vocabulary)) throw new Error('"vocabulary" must be an array');
+    if (data.replacements !== undefined && !Array.isArray(data.replacements)) throw new Error('"replacements" must be an array');
+
+    return {
+        vocabulary: (data.vocabulary || []).map(normalizeTerm),
+        replacements: (data.replacements || []).map(normalizeRule),
+    };
+}
+
+/**
+ * Adds an import to a dictionary: imported terms win over existing ones with the same spelling
+ * (ignoring case), rules already present are not added twice.
+ */
+export function mergeDictionaries(current, imported) {
+    const importedTerms = new Set(imported.vocabulary.map(v => v.term.toLowerCase()));
+    const ruleKey = (rule) => `${rule.type}\u0000${rule.find}\u0000${rule.matchCase}`;
+    const existingRules = new Set(current.replacements.map(ruleKey));
+    return {
+        vocabulary: [...current.vocabulary.filter(v => !importedTerms.has(v.term.toLowerCase())), ...imported.vocabulary],
+        replacements: [...current.replacements, ...imported.replacements.filter(rule => !existingRules.has(ruleKey(rule)))],
+    };
+}
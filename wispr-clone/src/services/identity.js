@@ -0,0 +1,121 @@
+import { authFetch } from './auth';
+import { decodeToMono16k, encodeWav, floatTo16BitPCM, sliceSeconds } from '../utils/audio';
+import { pickSpeakerClips, voteSpeakerNames } from '../utils/speakerClips';
+
+export const IDENTITY_URL = import.meta.env.VITE_IDENTITY_URL || 'http://localhost:8000';
+
+// FastAPI reports errors as { detail }. Rejected enrollment samples carry
+// detail: { message, reasons: [{ code, message }] }, passed on as `error.reasons`.
+async function request(path, options = {}) {
+    const response = await authFetch(`${IDENTITY_URL}${path}`, options);
+    if (!response.ok) {
+        const { detail } = await response.json().catch(() => ({}));
+        const error = new Error(
+            typeof detail === 'string' ? detail : detail?.message || `Request failed (${response.status})`
+        );
+        error.reasons = detail?.reasons || [];
+        throw error;
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+function audioForm(blob, fields = {}) {
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    formData.append('file', blob, 'enrollment.wav');
+    return formData;
+}
+
+const profilePath = (name) => `/profiles/${encodeURIComponent(name)}`;
+
+/**
+ * Enrolls a new voice profile, or adds a sample if the name already exists.
+ * @returns {Promise<{ status: string, message: string, profile: object }>}
+ */
+export function enrollVoice(name, audioBlob) {
+    return request('/enroll', { method: 'POST', body: audioForm(audioBlob, { name }) });
+}
+
+/**
+ * @returns {Promise<Array<{ name: string, sample_count: number, created_at: string|null,
+ *   updated_at: string|null, samples: Array<{ id: string, created_at: string|null }> }>>}
+ */
+export async function listProfiles() {
+    const { profiles } = await request('/profiles');
+    return profiles;
+}
+
+export function renameProfile(name, newName) {
+    return request(profilePath(name), {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: newName }),
+    });
+}
+
+export function deleteProfile(name) {
+    return request(profilePath(name), { method: 'DELETE' });
+}
+
+export function addProfileSample(name, audioBlob) {
+    return request(`${profilePath(name)}/samples`, { method: 'POST', body: audioForm(audioBlob) });
+}
+
+/**
+ * @returns {Promise<{ profile: object|null }>} null once the last sample is gone (the profile is removed).
+ */
+export function deleteProfileSample(name, sampleId) {
+    return request(`${profilePath(name)}/samples/${encodeURIComponent(sampleId)}`, { method: 'DELETE' });
+}
+
+/**
+ * Asks the voice-ID service who is speaking in a clip.
+ * @param {Blob} wavBlob - 16 kHz mono WAV.
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<{ speaker: string, confidence: number }>}
+ */
+export async function identifyClip(wavBlob, signal) {
+    const formData = new FormData();
+    formData.append('file', wavBlob, 'clip.wav');
+
+    const response = await authFetch(`${IDENTITY_URL}/identify`, { method: 'POST', body: formData, signal });
+    if (!response.ok) throw new Error(`Identification failed (${response.status})`);
+    return response.json();
+}
+
+/**
+ * Names the diarized speakers of a transcribed file: decodes it, identifies a few of each speaker's
+ * longest utterances and votes. A clip that fails to identify just doesn't vote.
+ * @param {Blob} file - The original upload.
+ * @param {Array} utterances - Deepgram utterances ({ speaker, start, end }).
+ * @param {{ signal?: AbortSignal, onProgress?: (fraction: number) => void }} [options]
+ * @returns {Promise<Object<string, string>>} speaker -> name
+ */
+export async function identifyFileSpeakers(file, utterances, { signal, onProgress } = {}) {
+    const clips = pickSpeakerClips(utterances);
+    if (clips.length === 0) return {};
+
+    let samples;
+    try {
+        samples = await decodeToMono16k(file);
+    } catch (err) {
+        console.warn('Could not decode file for voice identification:', err);
+        return {};
+    }
+
+    const identified = [];
+    for (let i = 0; i < clips.length; i++) {
+        if (signal?.aborted) throw new DOMException('Identification cancelled', 'AbortError');
+        const { speaker, start, end } = clips[i];
+        const wav = encodeWav(floatTo16BitPCM(sliceSeconds(samples, start, end)));
+        try {
+            identified.push({ speaker, result: await identifyClip(wav, signal) });
+        } catch (err) {
+            if (err.name === 'AbortError') throw err;
+            identified.push({ speaker, result: null });
+        }
+        if (onProgress) onProgress((i + 1) / clips.length);
+    }
+
+    return voteSpeakerNames(identified);
+}
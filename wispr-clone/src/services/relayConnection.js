@@ -0,0 +1,222 @@
+import { getRelaySocketUrl } from './api';
+
+const BACKOFF_BASE_MS = 250;
+const BACKOFF_MAX_MS = 5000;
+const DEFAULT_GRACE_MS = 30000; // Relay default, overridden by `graceMs` in its ready message
+const BYTES_PER_MS = 32; // 16 kHz Int16 mono
+
+/**
+ * Resumable streaming connection to the relay.
+ *
+ * - Opens a session with `configure`; the relay answers `ready` with a session id.
+ * - Keeps every audio frame until the relay acknowledges it (`ack`), so nothing captured while the
+ *   socket is down is lost.
+ * - When the socket drops it reconnects with exponential backoff, sends `resume`, and replays the
+ *   frames after the offset the relay reports in `resumed`.
+ * - Drops final results that end at or before the last one delivered, so replays never repeat text.
+ *
+ * @param {object} opts
+ * @param {object} opts.settings - Session settings, see getTranscriptionSettings().
+ * @param {(message: object) => void} opts.onMessage - Relay messages other than ack/resumed.
+ * @param {(state: 'connecting'|'ready'|'reconnecting'|'closed') => void} [opts.onStateChange]
+ * @param {(error: Error) => void} [opts.onError] - Fatal: the session cannot be (re)established.
+ */
+export function createRelayConnection({ settings, onMessage, onStateChange = () => {}, onError = () => {} }) {
+    let socket = null;
+    let state = 'connecting';
+    let sessionId = null;
+    let graceMs = DEFAULT_GRACE_MS;
+    let attempt = 0;
+    let disconnectedAt = null;
+    let reconnectTimer = null;
+
+    let finishing = null; // Resolves finish() once the relay has sent everything
+
+    let pending = []; // Unacknowledged frames { offset, data }
+    let bytesCaptured = 0; // Offset of the next frame
+    let lastResultEnd = 0; // Stream time (s) of the last final result delivered
+
+    const setState = (next) => {
+        if (state === next) return;
+        state = next;
+        onStateChange(next);
+    };
+
+    const fail = (error) => {
+        if (state === 'closed') return;
+        setState('closed');
+        clearTimeout(reconnectTimer);
+        if (socket) socket.close();
+        onError(error);
+    };
+
+    const acknowledge = (bytes) => {
+        pending = pending.filter(frame => frame.offset + frame.data.byteLength > bytes);
+    };
+
+    const replayFrom = (bytes) => {
+        acknowledge(bytes);
+        pending.forEach(({ offset, data }) => {
+            // The first frame may be partly received already
+            socket.send(offset < bytes ? data.slice(bytes - offset) : data);
+        });
+    };
+
+    const handleMessage = (event) => {
+        let data;
+        try {
+            data = JSON.parse(event.data);
+        } catch (e) {
+            console.error("Error parsing message:", e);
+            return;
+        }
+
+        if (data.type === 'ready') {
+            sessionId = data.sessionId;
+            if (data.graceMs) graceMs = data.graceMs;
+            setState('ready');
+        } else if (data.type === 'resumed') {
+            attempt = 0;
+            disconnectedAt = null;
+            replayFrom(data.bytes);
+            setState('ready');
+            return;
+        } else if (data.type === 'ack') {
+            acknowledge(data.bytes);
+            return;
+        } else if (data.type === 'session_ended') {
+            if (finishing) finishing();
+            return;
+        } else if (data.type === 'error' && data.code === 'session_not_found') {
+            fail(new Error('The recording session expired while reconnecting.'));
+            return;
+        } else if (data.type === 'transcript' && data.data.is_final) {
+            const end = (data.data.start || 0) + (data.data.duration || 0);
+            if (end <= lastResultEnd) return; // Already delivered before the reconnect
+            lastResultEnd = end;
+        }
+
+        onMessage(data);
+    };
+
+    const scheduleReconnect = () => {
+        if (disconnectedAt === null) disconnectedAt = Date.now();
+        if (Date.now() - disconnectedAt > graceMs) {
+            fail(new Error('Connection lost. Ensure Backend is running (see README).'));
+            return;
+        }
+
+        setState('reconnecting');
+        const delay = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt) * (0.75 + Math.random() * 0.5);
+        attempt += 1;
+        reconnectTimer = setTimeout(connect, delay);
+    };
+
+    async function connect() {
+        let url;
+        try {
+            url = await getRelaySocketUrl(); // Fresh access token on every attempt
+        } catch (err) {
+            if (sessionId) scheduleReconnect();
+            else fail(err);
+            return;
+        }
+        if (state === 'closed') return;
+
+        const ws = new WebSocket(url);
+        ws.binaryType = 'arraybuffer';
+        socket = ws;
+
+        // Sockets replaced or dropped by close()/finish() are ignored, the user may stop before one opens
+        ws.onopen = () => {
+            if (socket !== ws) return;
+            // Handshake: a new session gets the settings, a dropped one is resumed
+            ws.send(JSON.stringify(sessionId
+                ? { type: 'resume', sessionId, lastResultEnd }
+                : { type: 'configure', options: settings }));
+        };
+        ws.onmessage = (event) => {
+            if (socket === ws) handleMessage(event);
+        };
+        ws.onclose = (event) => {
+            if (socket === ws && finishing) finishing();
+            if (socket !== ws || state === 'closed') return;
+            socket = null;
+            // 1001: the relay shut down and already finished the session, there is nothing to resume
+            if (event.code === 1001) {
+                fail(new Error('The transcription server shut down. Start a new recording.'));
+                return;
+            }
+            // Without a session there is nothing to resume, e.g. the relay isn't running
+            if (sessionId) scheduleReconnect();
+            else fail(new Error('Connection failed. Ensure Backend is running (see README).'));
+        };
+    }
+
+    connect();
+
+    return {
+        /**
+         * Queues an Int16 PCM frame and sends it if the session is live.
+         * @param {ArrayBuffer} frame
+         */
+        sendAudio(frame) {
+            if (state === 'closed') return;
+            pending.push({ offset: bytesCaptured, data: frame });
+            bytesCaptured += frame.byteLength;
+
+            // Never hold more than the relay would still accept on resume
+            const maxBytes = graceMs * BYTES_PER_MS;
+            while (pending.length > 1 && bytesCaptured - pending[0].offset > maxBytes) pending.shift();
+
+            if (state === 'ready' && socket && socket.readyState === WebSocket.OPEN) socket.send(frame);
+        },
+
+        /**
+         * Ends the session: the relay flushes the upstream stream instead of waiting for a resume.
+         */
+        close() {
+            if (state === 'closed') return;
+            setState('closed');
+            clearTimeout(reconnectTimer);
+            if (socket && socket.readyState === WebSocket.OPEN) {
+                // Send a close frame (Deepgram recommendation to finish strict processing)
+                socket.send(JSON.stringify({ type: 'CloseStream' }));
+            }
+            if (socket) socket.close(); // Also aborts a socket that is still connecting
+            socket = null;
+        },
+
+        /**
+         * Ends the session like close(), but keeps the socket open until the relay has delivered the
+         * results for the last audio (`session_ended`) or `timeoutMs` has passed.
+         * @param {number} [timeoutMs=5000]
+         * @returns {Promise<void>}
+         */
+        finish(timeoutMs = 5000) {
+            if (state === 'closed') return Promise.resolve();
+            setState('closed');
+            clearTimeout(reconnectTimer);
+            const ws = socket;
+            // Reconnecting: the relay finishes the session itself when the grace period runs out
+            if (!ws || ws.readyState !== WebSocket.OPEN) {
+                if (ws) ws.close();
+                socket = null;
+                return Promise.resolve();
+            }
+
+            ws.send(JSON.stringify({ type: 'CloseStream' }));
+
+            return new Promise(resolve => {
+                const timer = setTimeout(() => finishing(), timeoutMs);
+                finishing = () => {
+                    clearTimeout(timer);
+                    finishing = null;
+                    if (ws.readyState === WebSocket.OPEN) ws.close();
+                    socket = null;
+                    resolve();
+                };
+            });
+        },
+    };
+}
@@ -0,0 +1,103 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRelayConnection } from './relayConnection';
+
+vi.mock('./api', () => ({ getRelaySocketUrl: async () => 'ws://relay.test/?access_token=t' }));
+
+// Fake browser WebSocket: the test opens it and delivers messages, sent data is logged
+class FakeSocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    static CLOSED = 3;
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = FakeSocket.CONNECTING;
+        this.sent = [];
+        sockets.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = FakeSocket.CLOSED;
+    }
+
+    open() {
+        this.readyState = FakeSocket.OPEN;
+        this.onopen?.();
+    }
+
+    receive(message) {
+        this.onmessage?.({ data: JSON.stringify(message) });
+    }
+}
+
+let sockets;
+
+beforeEach(() => {
+    sockets = [];
+    vi.stubGlobal('WebSocket', FakeSocket);
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+});
+
+// A connection with every message and state change logged, once its first socket exists
+const start = async () => {
+    const messages = [];
+    const states = [];
+    const connection = createRelayConnection({
+        settings: { language: 'en' },
+        onMessage: message => messages.push(message),
+        onStateChange: state => states.push(state),
+    });
+    await vi.waitFor(() => expect(sockets).toHaveLength(1));
+    return { connection, socket: sockets[0], messages, states };
+};
+
+describe('createRelayConnection', () => {
+    it('configures a new session and is ready once the relay says so', async () => {
+        const { socket, messages, states } = await start();
+        socket.open();
+        expect(socket.sent).toEqual([{ type: 'configure', options: { language: 'en' } }]);
+
+        socket.receive({ type: 'ready', sessionId: 's1', graceMs: 1000 });
+        expect(states).toEqual(['ready']);
+        expect(messages.map(m => m.type)).toEqual(['ready']);
+    });
+
+    it.each(['close', 'finish'])('%s() while connecting aborts the socket and ignores a late handshake', async (stop) => {
+        const { connection, socket, messages, states } = await start();
+
+        await connection[stop]();
+        expect(socket.readyState).toBe(FakeSocket.CLOSED);
+
+        // A socket that opens anyway sends nothing and its replies go nowhere
+        socket.open();
+        socket.receive({ type: 'ready', sessionId: 's1' });
+        expect(socket.sent).toEqual([]);
+        expect(messages).toEqual([]);
+        expect(states).toEqual(['closed']);
+    });
+
+    it('finish() keeps delivering results until the session has ended', async () => {
+        const { connection, socket, messages, states } = await start();
+        socket.open();
+        socket.receive({ type: 'ready', sessionId: 's1' });
+
+        const finished = connection.finish();
+        expect(socket.sent.at(-1)).toEqual({ type: 'CloseStream' });
+
+        socket.receive({ type: 'transcript', data: { is_final: true, start: 0, duration: 1 } });
+        socket.receive({ type: 'session_ended' });
+        await finished;
+
+        expect(messages.map(m => m.type)).toEqual(['ready', 'transcript']);
+        expect(states).toEqual(['ready', 'closed']);
+        expect(socket.readyState).toBe(FakeSocket.CLOSED);
+    });
+});
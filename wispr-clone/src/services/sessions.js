@@ -0,0 +1,110 @@
+import { API_URL, authFetch } from './auth';
+
+async function request(path, options = {}) {
+    const response = await authFetch(`${API_URL}/api${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers },
+    });
+
+    if (!response.ok) {
+        const err = await response.json().catch(() => ({}));
+        throw new Error(err.error || `Request failed (${response.status})`);
+    }
+    return response.status === 204 ? null : response.json();
+}
+
+/**
+ * Starts a stored recording session (a Chat).
+ * @param {{ title: string, language: string, recordingId?: string }} session - `recordingId`: the relay's
+ *   recording of the session audio, if it records one.
+ */
+export function createSession({ title, language, recordingId }) {
+    return request('/chats', {
+        method: 'POST',
+        body: JSON.stringify({ title, language, recordingId, startedAt: new Date().toISOString() }),
+    });
+}
+
+export function listSessions(page = 1, limit = 20) {
+    return request(`/chats?page=${page}&limit=${limit}`);
+}
+
+export function getSession(chatId) {
+    return request(`/chats/${chatId}`);
+}
+
+export function updateSession(chatId, updates) {
+    return request(`/chats/${chatId}`, { method: 'PATCH', body: JSON.stringify(updates) });
+}
+
+export function deleteSession(chatId) {
+    return request(`/chats/${chatId}`, { method: 'DELETE' });
+}
+
+/**
+ * Stores finalized speaker segments as Messages of a session.
+ * @param {string} chatId
+ * @param {Array<{ speakerId, speakerName, text, start, end, language, confidence, words }>} messages
+ */
+export function saveMessages(chatId, messages) {
+    return request(`/chats/${chatId}/messages`, { method: 'POST', body: JSON.stringify(messages) });
+}
+
+/**
+ * Fetches every message of a session, following pagination.
+ */
+export async function getAllMessages(chatId) {
+    const messages = [];
+    let page = 1;
+    let pages = 1;
+
+    do {
+        const result = await request(`/chats/${chatId}/messages?page=${page}&limit=100`);
+        messages.push(...result.data);
+        pages = result.pagination.pages;
+        page++;
+    } while (page <= pages);
+
+    return messages;
+}
+
+/**
+ * Maps a committed transcript segment to the Message shape the API stores.
+ */
+export function segmentToMessage(segment, speakerMap, language) {
+    const words = segment.words || [];
+    const confidence = words.length > 0
+        ? words.reduce((sum, w) => sum + (w.confidence ?? 0), 0) / words.length
+        : undefined;
+
+    return {
+        speakerId: String(segment.speaker),
+        speakerName: speakerMap[segment.speaker],
+        text: segment.text,
+        start: segment.start,
+        end: segment.end,
+        language,
+        confidence,
+        // Punctuated words with their timings, enough to follow the audio during playback
+        words: words.map(w => ({ word: w.punctuated_word || w.word, start: w.start, end: w.end, confidence: w.confidence })),
+    };
+}
+
+/**
+ * Loads a stored session back as transcript segments.
+ * @returns {Promise<{ segments: object[], speakerMap: object, chat: object }>} The chat carries
+ *   `recordingId` if the relay recorded its audio.
+ */
+export async function loadSession(chatId) {
+    const [chat, messages] = await Promise.all([getSession(chatId), getAllMessages(chatId)]);
+    return { segments: messages.map(messageToSegment), speakerMap: chat.speakers || {}, chat };
+}
+
+/**
+ * Maps a stored Message back to a transcript segment.
+ */
+export function messageToSegment(message) {
+    const speaker = /^\d+$/.test(message.speakerId) ? Number(message.speakerId) : message.speakerId;
+    const words = (message.words || []).map(w => ({ ...w, punctuated_word: w.word, speaker }));
+    return { speaker, text: message.text, start: message.start, end: message.end, words };
+}
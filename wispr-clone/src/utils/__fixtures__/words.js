@@ -0,0 +1,12 @@
+/**
+ * Deepgram words for a final result, as punctuated by the service: one every 0.5 s from `start`.
+ * @param {string} sentence - Punctuated tokens separated by single spaces.
+ * @param {{ speaker?: number, start?: number }} [opts]
+ */
+export const toWords = (sentence, { speaker = 0, start = 0 } = {}) => sentence.split(' ').map((token, i) => ({
+    word: token.replace(/[^\p{L}\p{N}'-]/gu, '').toLowerCase(),
+    punctuated_word: token,
+    start: start + i * 0.5,
+    end: start + i * 0.5 + 0.4,
+    speaker,
+}));
@@ -0,0 +1,79 @@
+export const TARGET_SAMPLE_RATE = 16000;
+
+/**
+ * Converts Float32 samples in [-1, 1] to Int16 PCM.
+ * @param {Float32Array} input
+ * @returns {Int16Array}
+ */
+export function floatTo16BitPCM(input) {
+    const output = new Int16Array(input.length);
+    for (let i = 0; i < input.length; i++) {
+        const s = Math.max(-1, Math.min(1, input[i]));
+        output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return output;
+}
+
+/**
+ * Wraps mono Int16 PCM in a WAV (RIFF) container.
+ * @param {Int16Array} pcm
+ * @param {number} [sampleRate=16000]
+ * @returns {Blob} audio/wav
+ */
+export function encodeWav(pcm, sampleRate = TARGET_SAMPLE_RATE) {
+    const header = new DataView(new ArrayBuffer(44));
+    const dataSize = pcm.length * 2;
+    const writeString = (offset, str) => {
+        for (let i = 0; i < str.length; i++) header.setUint8(offset + i, str.charCodeAt(i));
+    };
+
+    writeString(0, 'RIFF');
+    header.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    header.setUint32(16, 16, true);
+    header.setUint16(20, 1, true); // PCM
+    header.setUint16(22, 1, true); // Mono
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * 2, true); // Byte rate
+    header.setUint16(32, 2, true); // Block align
+    header.setUint16(34, 16, true); // Bits per sample
+    writeString(36, 'data');
+    header.setUint32(40, dataSize, true);
+
+    return new Blob([header, pcm], { type: 'audio/wav' });
+}
+
+/**
+ * Decodes any format the browser understands (wav, mp3, webm, mp4 audio track...)
+ * and renders it down to 16 kHz mono.
+ * @param {Blob} blob
+ * @returns {Promise<Float32Array>}
+ */
+export async function decodeToMono16k(blob) {
+    const arrayBuffer = await blob.arrayBuffer();
+    const decodeContext = new AudioContext();
+    let decoded;
+    try {
+        decoded = await decodeContext.decodeAudioData(arrayBuffer);
+    } finally {
+        decodeContext.close();
+    }
+
+    const length = Math.ceil(decoded.duration * TARGET_SAMPLE_RATE);
+    const offline = new OfflineAudioContext(1, length, TARGET_SAMPLE_RATE);
+    const source = offline.createBufferSource();
+    source.buffer = decoded; // Channels are down-mixed to the single output channel
+    source.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return rendered.getChannelData(0);
+}
+
+/**
+ * Slice of 16 kHz samples between two times in seconds.
+ */
+export function sliceSeconds(samples, start, end, sampleRate = TARGET_SAMPLE_RATE) {
+    return samples.subarray(Math.max(0, Math.floor(start * sampleRate)), Math.min(samples.length, Math.ceil(end * sampleRate)));
+}
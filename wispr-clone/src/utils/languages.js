@@ -0,0 +1,29 @@
+/**
+ * Languages offered in the selector, with the Deepgram model used for each.
+ * Codes and models must stay within the relay's allow-list (node_server/config/transcriptionOptions.js).
+ */
+export const LANGUAGES = [
+    { code: 'en', name: 'English', model: 'nova-2' },
+    { code: 'hi', name: 'Hindi', model: 'nova-2' },
+    { code: 'es', name: 'Spanish', model: 'nova-2' },
+    { code: 'fr', name: 'French', model: 'nova-2' },
+];
+
+/**
+ * Builds the session settings sent to the transcription service for a language.
+ * @param {string} languageCode - One of the codes in LANGUAGES.
+ * @param {string[]} [keywords] - Personal vocabulary boosts ("term:boost"), see toKeywords() in services/dictionary.js.
+ * @returns {{ language: string, model: string, diarize: boolean, punctuate: boolean, smart_format: boolean, keywords?: string[] }}
+ */
+export function getTranscriptionSettings(languageCode, keywords = []) {
+    const lang = LANGUAGES.find((l) => l.code === languageCode) || LANGUAGES[0];
+    const settings = {
+        language: lang.code,
+        model: lang.model,
+        diarize: true,
+        punctuate: true,
+        smart_format: true,
+    };
+    if (keywords.length > 0) settings.keywords = keywords;
+    return settings;
+}
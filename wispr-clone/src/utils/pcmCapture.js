@@ -0,0 +1,65 @@
+import pcmCaptureProcessorUrl from '../worklets/pcmCaptureProcessor.js?worker&url';
+import { TARGET_SAMPLE_RATE } from './audio';
+import { DEFAULT_FRAME_MS } from './resampler';
+
+/**
+ * Captures a microphone stream as 16 kHz mono Int16 PCM frames.
+ * The AudioContext runs at the device's native rate; resampling, conversion and framing happen in
+ * the `pcm-capture` AudioWorklet, the main thread only forwards finished frames.
+ *
+ * @param {MediaStream} stream
+ * @param {{ onFrame: (frame: ArrayBuffer) => void, frameMs?: number }} options - frameMs is clamped to 20–100 ms.
+ * @returns {Promise<{ sampleRate: number, stop: () => Promise<void> }>} `sampleRate` is the native capture rate.
+ *   `stop` delivers the partial last frame before closing the context.
+ */
+export async function startPcmCapture(stream, { onFrame, frameMs = DEFAULT_FRAME_MS }) {
+    const audioContext = new AudioContext();
+    try {
+        await audioContext.audioWorklet.addModule(pcmCaptureProcessorUrl);
+    } catch (err) {
+        audioContext.close();
+        throw err;
+    }
+
+    const source = audioContext.createMediaStreamSource(stream);
+    const node = new AudioWorkletNode(audioContext, 'pcm-capture', {
+        numberOfInputs: 1,
+        numberOfOutputs: 1,
+        channelCount: 1,
+        channelCountMode: 'explicit', // Down-mix stereo microphones to mono
+        processorOptions: { targetSampleRate: TARGET_SAMPLE_RATE, frameMs },
+    });
+
+    let flushed = null;
+    node.port.onmessage = (event) => {
+        if (event.data instanceof ArrayBuffer) {
+            onFrame(event.data);
+        } else if (event.data?.type === 'flushed' && flushed) {
+            flushed();
+        }
+    };
+
+    // The node outputs silence; connecting it to the destination keeps the graph pulling it
+    source.connect(node);
+    node.connect(audioContext.destination);
+
+    let stopping = null;
+    return {
+        sampleRate: audioContext.sampleRate,
+        stop() {
+            if (!stopping) {
+                stopping = new Promise(resolve => {
+                    flushed = resolve;
+                    node.port.postMessage({ type: 'flush' });
+                    setTimeout(resolve, 200); // Don't hang if the rendering thread is already gone
+                }).then(() => {
+                    source.disconnect();
+                    node.disconnect();
+                    node.port.onmessage = null;
+                    return audioContext.close();
+                });
+            }
+            return stopping;
+        },
+    };
+}
@@ -0,0 +1,48 @@
+/**
+ * Transcript <-> audio position helpers for playback mode.
+ * Times are seconds into the audio: session time for relay recordings, file time for uploads.
+ */
+
+/**
+ * Index of the last item starting at or before `time`, -1 if none (items sorted by start).
+ */
+function lastStartingBefore(items, time) {
+    let low = 0;
+    let high = items.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if ((items[mid].start ?? 0) <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+/**
+ * The word being spoken at `time`.
+ * @param {Array<{ start, end, words }>} segments
+ * @param {number} time
+ * @returns {{ segment: number, word: number }|null} Indices, `word` is -1 for a segment without word timings.
+ */
+export function findActiveWord(segments, time) {
+    const segment = lastStartingBefore(segments, time);
+    if (segment === -1) return null;
+
+    // Between two words the last one stays highlighted until the next starts, like a karaoke cursor
+    const words = segments[segment].words || [];
+    if (words.length === 0) return { segment, word: -1 };
+    const word = lastStartingBefore(words, time);
+    return word === -1 ? null : { segment, word };
+}
+
+/**
+ * Where clicking a segment (or one of its words) should start playback.
+ */
+export function seekTime(segment, wordIndex = -1) {
+    const word = segment.words?.[wordIndex];
+    return word ? word.start : (segment.start ?? segment.words?.[0]?.start ?? 0);
+}
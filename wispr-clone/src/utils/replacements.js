@@ -0,0 +1,151 @@
+/**
+ * Text replacement rules from the personal dictionary, applied to finalized transcripts.
+ *   { find, replace, type: 'literal'|'regex', matchCase, wholeWord, enabled }
+ * Literal rules match the text as written, regex rules are JavaScript patterns whose replacement may
+ * use $1, $<name> and $&. Unless `matchCase` is set, matching ignores case and a match at the start
+ * of a sentence ("Wisper flow is ...") keeps its capital when the replacement is lowercase.
+ *
+ * Pure module: no React, no I/O.
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+// \b only knows ASCII letters; these work for names like "José"
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+const compiled = new WeakMap(); // rules array -> compiled rules
+
+/**
+ * @param {object} rule
+ * @returns {string|null} Why the rule cannot be used, null if it can.
+ */
+export function ruleError(rule) {
+    if (!rule.find) return 'Find is empty';
+    if (rule.type !== 'regex') return null;
+    try {
+        new RegExp(rule.find, 'u');
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+function compileRules(rules) {
+    if (!compiled.has(rules)) {
+        compiled.set(rules, rules
+            .filter(rule => rule.enabled !== false && !ruleError(rule))
+            .map((rule) => {
+                const source = rule.type === 'regex'
+                    ? rule.find
+                    : rule.wholeWord === false ? escapeRegExp(rule.find) : `${WORD_START}${escapeRegExp(rule.find)}${WORD_END}`;
+                return { ...rule, pattern: new RegExp(source, rule.matchCase ? 'gu' : 'giu') };
+            }));
+    }
+    return compiled.get(rules);
+}
+
+// $1, $<name>, $& and $$ of String.prototype.replace, for one match
+function expand(rule, match) {
+    if (rule.type !== 'regex') return rule.replace;
+    return rule.replace.replace(/\$(\$|&|\d{1,2}|<([^>]+)>)/g, (token, ref, name) => {
+        if (ref === '$') return '$';
+        if (ref === '&') return match[0];
+        if (name !== undefined) return match.groups?.[name] ?? '';
+        return match[Number(ref)] ?? token;
+    });
+}
+
+function replacementFor(rule, match) {
+    const text = expand(rule, match);
+    const first = text.charAt(0);
+    // Case-aware: a capitalized match ("Wisper" opening a sentence) keeps its capital
+    if (!rule.matchCase && /\p{Lu}/u.test(match[0].charAt(0)) && first !== first.toUpperCase()) {
+        return first.toUpperCase() + text.slice(1);
+    }
+    return text;
+}
+
+/**
+ * Matches of one rule in `text`, skipping empty ones: [{ start, end, replacement }].
+ */
+function findMatches(rule, text) {
+    return [...text.matchAll(rule.pattern)]
+        .filter(match => match[0].length > 0)
+        .map(match => ({ start: match.index, end: match.index + match[0].length, replacement: replacementFor(rule, match) }));
+}
+
+/**
+ * @param {string} text
+ * @param {object[]} rules - Dictionary replacement rules.
+ * @returns {string}
+ */
+export function replaceInText(text, rules) {
+    if (!text || !rules || rules.length === 0) return text;
+    return compileRules(rules).reduce((result, rule) => {
+        let out = '';
+        let last = 0;
+        findMatches(rule, result).forEach(({ start, end, replacement }) => {
+            out += result.slice(last, start);
+            // A removed word takes one of the spaces around it along
+            if (!replacement && out.endsWith(' ') && (end === result.length || /[\s,.;:!?]/.test(result[end]))) out = out.slice(0, -1);
+            out += replacement;
+            last = end;
+        });
+        return out + result.slice(last);
+    }, text);
+}
+
+/**
+ * Applies the rules to Deepgram words, keeping the timestamps. A match spanning several words
+ * ("wisper flow" -> "Wispr Flow") merges them into one word that covers their time range.
+ * @param {Array<{ word, punctuated_word?, start, end, speaker? }>} words
+ * @param {object[]} rules
+ * @returns {Array} New word objects where something changed, the same ones otherwise.
+ */
+export function replaceInWords(words, rules) {
+    if (!words || words.length === 0 || !rules || rules.length === 0) return words;
+    return compileRules(rules).reduce((current, rule) => applyToWords(current, rule), words);
+}
+
+function applyToWords(words, rule) {
+    const tokens = words.map(w => w.punctuated_word || w.word);
+    const starts = [];
+    let text = '';
+    tokens.forEach((token, i) => {
+        if (i > 0) text += ' ';
+        starts.push(text.length);
+        text += token;
+    });
+
+    const matches = findMatches(rule, text);
+    if (matches.length === 0) return words;
+
+    const wordAt = (offset) => {
+        let i = starts.length - 1;
+        while (i > 0 && starts[i] > offset) i--;
+        return i;
+    };
+
+    const result = [];
+    let next = 0; // First word not yet copied
+    matches.forEach(({ start, end, replacement }) => {
+        const first = wordAt(start);
+        const last = wordAt(end - 1);
+        if (first < next) return; // Overlaps a word an earlier match already rewrote
+
+        result.push(...words.slice(next, first));
+        const lastEnd = starts[last] + tokens[last].length;
+        const punctuated = (text.slice(starts[first], start) + replacement + text.slice(end, lastEnd)).trim();
+        result.push({
+            ...words[first],
+            word: punctuated.replace(/[^\p{L}\p{N}\s'-]/gu, '').toLowerCase(),
+            punctuated_word: punctuated,
+            end: words[last].end,
+        });
+        next = last + 1;
+    });
+    result.push(...words.slice(next));
+
+    // A rule that replaces with nothing leaves no empty words behind
+    return result.filter(w => w.punctuated_word !== '');
+}
@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { replaceInText, replaceInWords, ruleError } from './replacements';
+import { toWords } from './__fixtures__/words';
+
+const rule = (find, replace, options = {}) => ({ find, replace, type: 'literal', matchCase: false, wholeWord: true, enabled: true, ...options });
+
+describe('replaceInText', () => {
+    it('replaces literal rules as whole words, ignoring case', () => {
+        const rules = [rule('wisper', 'Wispr')];
+        expect(replaceInText('I use wisper and WISPER daily, not wisperflow.', rules)).toBe('I use Wispr and Wispr daily, not wisperflow.');
+    });
+
+    it('matches inside words when wholeWord is off, and only the exact case with matchCase', () => {
+        expect(replaceInText('colour colours', [rule('colour', 'color', { wholeWord: false })])).toBe('color colors');
+        expect(replaceInText('Apple apple', [rule('apple', 'pear', { matchCase: true })])).toBe('Apple pear');
+    });
+
+    it('treats literal finds as text, not patterns', () => {
+        expect(replaceInText('Call 1.5 or 105', [rule('1.5', 'one and a half')])).toBe('Call one and a half or 105');
+    });
+
+    it('keeps a capital at the start of a sentence when the replacement is lowercase', () => {
+        const rules = [rule('deepgram', 'dg')];
+        expect(replaceInText('Deepgram is fast. I like deepgram.', rules)).toBe('Dg is fast. I like dg.');
+        expect(replaceInText('Deepgram is fast.', [rule('Deepgram', 'dg', { matchCase: true })])).toBe('dg is fast.');
+    });
+
+    it('expands groups in regex replacements', () => {
+        const rules = [rule('(\\d+) ?bucks', '$$$1', { type: 'regex' }), rule('(?<user>\\w+) at acme', '$<user>@acme.com', { type: 'regex' })];
+        expect(replaceInText('It was 20 bucks, ask bob at acme', rules)).toBe('It was $20, ask bob@acme.com');
+        expect(replaceInText('see ticket 42', [rule('ticket \\d+', '[$&]', { type: 'regex' })])).toBe('see [ticket 42]');
+    });
+
+    it('removes words with the space around them', () => {
+        expect(replaceInText('So basically, it works.', [rule('basically', '')])).toBe('So, it works.');
+        expect(replaceInText('it works basically', [rule('basically', '')])).toBe('it works');
+    });
+
+    it('applies rules in order and skips disabled or invalid ones', () => {
+        const rules = [rule('a', 'b'), rule('b', 'c'), rule('c', 'x', { enabled: false }), rule('(', 'y', { type: 'regex' })];
+        expect(replaceInText('a b c (', rules)).toBe('c c c (');
+    });
+});
+
+describe('replaceInWords', () => {
+    it('merges a multi-word match into one word spanning their times', () => {
+        const words = toWords('I use wisper flow daily.');
+        const result = replaceInWords(words, [rule('wisper flow', 'Wispr Flow')]);
+
+        expect(result.map(w => w.punctuated_word)).toEqual(['I', 'use', 'Wispr Flow', 'daily.']);
+        expect(result[2]).toMatchObject({ word: 'wispr flow', start: 1, end: 1.9, speaker: 0 });
+        expect(result[0]).toBe(words[0]);
+        expect(result[3]).toBe(words[4]);
+    });
+
+    it('keeps punctuation attached to the replaced word, and the case of a capital', () => {
+        const result = replaceInWords(toWords('Wisper flow, please.'), [rule('wisper flow', 'wispr-flow')]);
+        expect(result.map(w => w.punctuated_word)).toEqual(['Wispr-flow,', 'please.']);
+        expect(result[0].word).toBe('wispr-flow');
+    });
+
+    it('drops words replaced with nothing', () => {
+        const result = replaceInWords(toWords('um hello there'), [rule('um', '')]);
+        expect(result.map(w => w.punctuated_word)).toEqual(['hello', 'there']);
+    });
+
+    it('returns the same words when nothing matches', () => {
+        const words = toWords('nothing to see');
+        expect(replaceInWords(words, [rule('wisper', 'Wispr')])).toBe(words);
+        expect(replaceInWords(words, [])).toBe(words);
+    });
+});
+
+describe('ruleError', () => {
+    it('names what is wrong with a rule', () => {
+        expect(ruleError(rule('', 'x'))).toBe('Find is empty');
+        expect(ruleError(rule('(', 'x'))).toBeNull();
+        expect(ruleError(rule('(', 'x', { type: 'regex' }))).toMatch(/Invalid regular expression/);
+    });
+});
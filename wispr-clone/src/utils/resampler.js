@@ -0,0 +1,129 @@
+/**
+ * Streaming sample-rate conversion and framing for microphone capture.
+ *
+ * Pure module: no Web Audio, no DOM, so it runs unchanged inside the AudioWorklet
+ * (see src/worklets/pcmCaptureProcessor.js) and under Node against reference signals.
+ */
+
+export const MIN_FRAME_MS = 20;
+export const MAX_FRAME_MS = 100;
+export const DEFAULT_FRAME_MS = 40;
+
+const ZERO_CROSSINGS = 8; // Half-width of the sinc kernel, in zero crossings
+
+function sinc(x) {
+    if (x === 0) return 1;
+    const px = Math.PI * x;
+    return Math.sin(px) / px;
+}
+
+function blackman(x) {
+    // x in [-1, 1], 1 at the centre and 0 at the edges
+    return 0.42 + 0.5 * Math.cos(Math.PI * x) + 0.08 * Math.cos(2 * Math.PI * x);
+}
+
+/**
+ * Number of samples in one frame, with `frameMs` clamped to [MIN_FRAME_MS, MAX_FRAME_MS].
+ */
+export function frameSizeFor(sampleRate, frameMs = DEFAULT_FRAME_MS) {
+    const ms = Math.min(MAX_FRAME_MS, Math.max(MIN_FRAME_MS, frameMs));
+    return Math.round(sampleRate * ms / 1000);
+}
+
+/**
+ * Band-limited resampler using a Blackman-windowed sinc kernel. When downsampling the kernel's
+ * cutoff is lowered to the output Nyquist frequency, so it doubles as the anti-aliasing filter.
+ *
+ * Stateful: feed consecutive blocks of any size to `process` and the output is the same as
+ * resampling the concatenated signal in one go (minus the kernel's latency at the very end).
+ *
+ * @param {number} inputRate - e.g. the AudioContext's native 44100 or 48000.
+ * @param {number} [outputRate=16000]
+ * @returns {{ process(input: Float32Array): Float32Array, ratio: number }}
+ */
+export function createResampler(inputRate, outputRate = 16000) {
+    if (!(inputRate > 0) || !(outputRate > 0)) {
+        throw new Error(`Invalid sample rates ${inputRate} -> ${outputRate}`);
+    }
+
+    const ratio = inputRate / outputRate; // Input samples per output sample
+
+    if (inputRate === outputRate) {
+        return { ratio, process: (input) => Float32Array.from(input) };
+    }
+
+    const cutoff = Math.min(1, outputRate / inputRate) * 0.95; // Leave room for the transition band
+    const halfWidth = Math.ceil(ZERO_CROSSINGS / cutoff); // In input samples
+
+    let history = new Float32Array(halfWidth); // Input samples still needed by upcoming outputs, zero-padded at start
+    let historyStart = -halfWidth; // Absolute input index of history[0]
+    let outputIndex = 0; // Absolute index of the next output sample
+
+    return {
+        ratio,
+        process(input) {
+            const buffer = new Float32Array(history.length + input.length);
+            buffer.set(history);
+            buffer.set(input, history.length);
+            const bufferEnd = historyStart + buffer.length; // Exclusive absolute index
+
+            const available = Math.max(0, Math.floor((bufferEnd - halfWidth - 1) / ratio) - outputIndex + 1);
+            const output = new Float32Array(available);
+
+            for (let n = 0; n < available; n++) {
+                const t = (outputIndex + n) * ratio; // Exact input position, no accumulated drift
+                const centre = Math.floor(t);
+                let sum = 0;
+                for (let k = centre - halfWidth + 1; k <= centre + halfWidth; k++) {
+                    const distance = t - k;
+                    sum += buffer[k - historyStart] * cutoff * sinc(cutoff * distance) * blackman(distance / halfWidth);
+                }
+                output[n] = sum;
+            }
+            outputIndex += available;
+
+            // Keep only what the next output's kernel reaches back to
+            const keepFrom = Math.min(bufferEnd, Math.floor(outputIndex * ratio) - halfWidth + 1);
+            history = buffer.slice(keepFrom - historyStart);
+            historyStart = keepFrom;
+
+            return output;
+        },
+    };
+}
+
+/**
+ * Collects Int16 samples and hands them out in fixed-size frames.
+ * @param {number} frameSize - Samples per frame (see frameSizeFor).
+ * @returns {{ push(samples: Int16Array): Int16Array[], flush(): Int16Array|null }}
+ */
+export function createFrameBuffer(frameSize) {
+    let frame = new Int16Array(frameSize);
+    let filled = 0;
+
+    return {
+        push(samples) {
+            const frames = [];
+            let offset = 0;
+            while (offset < samples.length) {
+                const count = Math.min(frameSize - filled, samples.length - offset);
+                frame.set(samples.subarray(offset, offset + count), filled);
+                filled += count;
+                offset += count;
+                if (filled === frameSize) {
+                    frames.push(frame);
+                    frame = new Int16Array(frameSize);
+                    filled = 0;
+                }
+            }
+            return frames;
+        },
+        // Partial last frame, e.g. when capture stops
+        flush() {
+            if (filled === 0) return null;
+            const rest = frame.slice(0, filled);
+            filled = 0;
+            return rest;
+        },
+    };
+}
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { createResampler, createFrameBuffer, frameSizeFor } from './resampler';
+
+const sine = (frequency, rate, seconds) => Float32Array.from(
+    { length: Math.round(rate * seconds) },
+    (_, i) => Math.sin(2 * Math.PI * frequency * i / rate),
+);
+
+// Skips the zero-padded start and the kernel's latency at the end
+const SETTLED_FROM = 400;
+const settled = (output) => output.subarray(SETTLED_FROM, output.length - SETTLED_FROM);
+
+const concat = (blocks) => {
+    const joined = new Float32Array(blocks.reduce((sum, block) => sum + block.length, 0));
+    let offset = 0;
+    blocks.forEach((block) => { joined.set(block, offset); offset += block.length; });
+    return joined;
+};
+
+describe.each([44100, 48000])('createResampler from %i Hz', (inputRate) => {
+    it('gives the same output for odd-sized blocks as for a single pass', () => {
+        const input = sine(1000, inputRate, 0.5);
+        const whole = createResampler(inputRate).process(input);
+
+        const resampler = createResampler(inputRate);
+        const blocks = [];
+        for (let offset = 0, size = 1; offset < input.length; offset += size, size = (size * 7) % 997 + 1) {
+            blocks.push(resampler.process(input.subarray(offset, offset + size)));
+        }
+        const fed = concat(blocks);
+
+        expect(fed.length).toBe(whole.length);
+        fed.forEach((sample, i) => expect(sample).toBeCloseTo(whole[i], 6));
+    });
+
+    it('keeps in-band sines at 16 kHz with ~0 error', () => {
+        [440, 1000, 4000].forEach((frequency) => {
+            const output = settled(createResampler(inputRate).process(sine(frequency, inputRate, 1)));
+            const error = Math.max(...output.map((sample, i) => Math.abs(sample - Math.sin(2 * Math.PI * frequency * (i + SETTLED_FROM) / 16000))));
+            expect(error).toBeLessThan(1e-3);
+        });
+    });
+
+    it('suppresses 12 kHz, above the output Nyquist frequency', () => {
+        const output = settled(createResampler(inputRate).process(sine(12000, inputRate, 1)));
+        expect(Math.max(...output.map(Math.abs))).toBeLessThan(1e-3);
+    });
+
+    it('outputs one sample per ratio input samples', () => {
+        const resampler = createResampler(inputRate);
+        expect(resampler.ratio).toBe(inputRate / 16000);
+        const output = resampler.process(sine(440, inputRate, 1));
+        expect(Math.abs(output.length - 16000)).toBeLessThan(16);
+    });
+});
+
+describe('createResampler', () => {
+    it('copies the input when the rates match', () => {
+        const input = sine(440, 16000, 0.01);
+        const output = createResampler(16000).process(input);
+        expect(output).not.toBe(input);
+        expect(output).toEqual(input);
+    });
+
+    it('rejects invalid rates', () => {
+        expect(() => createResampler(0)).toThrow('Invalid sample rates');
+        expect(() => createResampler(48000, NaN)).toThrow('Invalid sample rates');
+    });
+});
+
+describe('createFrameBuffer', () => {
+    it('hands out full frames and the rest on flush', () => {
+        const frameSize = frameSizeFor(16000);
+        expect(frameSize).toBe(640);
+        expect(frameSizeFor(16000, 5)).toBe(320);
+        expect(frameSizeFor(16000, 500)).toBe(1600);
+
+        const buffer = createFrameBuffer(frameSize);
+        expect(buffer.push(new Int16Array(600))).toEqual([]);
+        const frames = buffer.push(Int16Array.from({ length: 700 }, (_, i) => i + 1));
+        expect(frames).toHaveLength(2);
+        expect(frames[0][600]).toBe(1);
+        expect(frames[1][0]).toBe(41);
+
+        const rest = buffer.flush();
+        expect(rest).toHaveLength(20);
+        expect(rest[0]).toBe(681);
+        expect(buffer.flush()).toBeNull();
+    });
+});
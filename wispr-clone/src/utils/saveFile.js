@@ -1,26 +1,39 @@
+import { EXPORT_FORMATS } from './transcriptFormats';
+
 /**
- * Saves the provided transcript to a text file.
+ * Saves the transcript to a file in one of EXPORT_FORMATS.
  * Detects if running in Tauri (Desktop) or Browser (Web) and handles accordingly.
- * @param {string} transcript - The text to be saved.
+ * In Tauri the save dialog offers every format (the requested one first) and the file is rendered
+ * in whichever format matches the extension the user picked.
+ * @param {(format: string) => Promise<string|Uint8Array>} render - Builds the file contents for a format.
+ * @param {string} [format='txt'] - Key of EXPORT_FORMATS.
  */
-export async function saveTranscript(transcript) {
+export async function saveTranscript(render, format = 'txt') {
     try {
         // Check if running in a Tauri environment
         // Note: In Tauri v2, we can check specific internals or just attempt the import
         if (window.__TAURI_INTERNALS__) {
             const { save } = await import('@tauri-apps/plugin-dialog');
-            const { writeTextFile } = await import('@tauri-apps/plugin-fs');
+            const { writeTextFile, writeFile } = await import('@tauri-apps/plugin-fs');
 
+            const ordered = [format, ...Object.keys(EXPORT_FORMATS).filter(f => f !== format)];
             const filePath = await save({
-                filters: [{
-                    name: 'Text',
-                    extensions: ['txt']
-                }],
-                defaultPath: 'transcript.txt',
+                filters: ordered.map(f => ({
+                    name: EXPORT_FORMATS[f].label,
+                    extensions: [EXPORT_FORMATS[f].extension]
+                })),
+                defaultPath: `transcript.${EXPORT_FORMATS[format].extension}`,
             });
 
             if (filePath) {
-                await writeTextFile(filePath, transcript);
+                const extension = filePath.split('.').pop().toLowerCase();
+                const chosen = ordered.find(f => EXPORT_FORMATS[f].extension === extension) || format;
+                const contents = await render(chosen);
+                if (typeof contents === 'string') {
+                    await writeTextFile(filePath, contents);
+                } else {
+                    await writeFile(filePath, contents);
+                }
                 return filePath;
             }
             return null;
@@ -30,11 +43,12 @@ export async function saveTranscript(transcript) {
     } catch (error) {
         console.log('Falling back to browser download:', error);
         // Browser Fallback: Create a blob and trigger download
-        const blob = new Blob([transcript], { type: 'text/plain' });
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const blob = new Blob([await render(format)], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'transcript.txt';
+        a.download = `transcript.${extension}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -42,3 +56,37 @@ export async function saveTranscript(transcript) {
         return 'downloaded-in-browser';
     }
 }
+
+/**
+ * Saves a single text file, e.g. an exported dictionary. Same Tauri dialog / browser download split
+ * as saveTranscript().
+ * @param {string} contents
+ * @param {{ fileName: string, label: string, mimeType: string }} file - `fileName` includes the extension.
+ * @returns {Promise<string|null>} The path, 'downloaded-in-browser', or null when the dialog was cancelled.
+ */
+export async function saveTextFile(contents, { fileName, label, mimeType }) {
+    if (window.__TAURI_INTERNALS__) {
+        try {
+            const { save } = await import('@tauri-apps/plugin-dialog');
+            const { writeTextFile } = await import('@tauri-apps/plugin-fs');
+            const filePath = await save({
+                filters: [{ name: label, extensions: [fileName.split('.').pop()] }],
+                defaultPath: fileName,
+            });
+            if (filePath) await writeTextFile(filePath, contents);
+            return filePath || null;
+        } catch (error) {
+            console.log('Falling back to browser download:', error);
+        }
+    }
+
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return 'downloaded-in-browser';
+}
@@ -0,0 +1,57 @@
+/**
+ * Picks audio to identify each diarized speaker of a file transcription,
+ * and votes the identify results into a speaker -> name map.
+ */
+
+const MIN_CLIP_SECONDS = 1.5; // Shorter utterances embed poorly
+const MAX_CLIP_SECONDS = 10;
+const CLIPS_PER_SPEAKER = 3;
+
+/**
+ * @param {Array<{ speaker: number, start: number, end: number }>} utterances - Deepgram utterances.
+ * @returns {Array<{ speaker: number, start: number, end: number }>} The longest usable utterances of
+ *   every speaker (up to CLIPS_PER_SPEAKER each), trimmed to MAX_CLIP_SECONDS.
+ */
+export function pickSpeakerClips(utterances) {
+    const bySpeaker = new Map();
+    utterances.forEach(u => {
+        if (u.speaker === undefined || u.end - u.start < MIN_CLIP_SECONDS) return;
+        if (!bySpeaker.has(u.speaker)) bySpeaker.set(u.speaker, []);
+        bySpeaker.get(u.speaker).push(u);
+    });
+
+    const clips = [];
+    bySpeaker.forEach((list, speaker) => {
+        [...list]
+            .sort((a, b) => (b.end - b.start) - (a.end - a.start))
+            .slice(0, CLIPS_PER_SPEAKER)
+            .forEach(u => clips.push({ speaker, start: u.start, end: Math.min(u.end, u.start + MAX_CLIP_SECONDS) }));
+    });
+    return clips;
+}
+
+/**
+ * @param {Array<{ speaker: number, result: { speaker: string, confidence: number } | null }>} identified
+ * @param {number} [minConfidence=0.6]
+ * @returns {Object<string, string>} speaker -> name, for speakers whose best-supported name clears minConfidence.
+ */
+export function voteSpeakerNames(identified, minConfidence = 0.6) {
+    const scores = new Map(); // speaker -> Map(name -> summed confidence)
+
+    identified.forEach(({ speaker, result }) => {
+        if (!result || result.speaker === 'Unknown' || result.confidence < minConfidence) return;
+        if (!scores.has(speaker)) scores.set(speaker, new Map());
+        const byName = scores.get(speaker);
+        byName.set(result.speaker, (byName.get(result.speaker) || 0) + result.confidence);
+    });
+
+    const speakerMap = {};
+    scores.forEach((byName, speaker) => {
+        let best = null;
+        byName.forEach((score, name) => {
+            if (!best || score > best.score) best = { name, score };
+        });
+        speakerMap[speaker] = best.name;
+    });
+    return speakerMap;
+}
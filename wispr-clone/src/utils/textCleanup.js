@@ -0,0 +1,339 @@
+/**
+ * Rule-based cleanup of finalized dictation, offline. Deepgram's punctuated output goes in,
+ * text as it would have been typed comes out.
+ *   light: drops fillers ("um", "uh", comma-delimited "like") and stutters, fixes spacing and casing
+ *   full:  also applies self-corrections ("at 3, no, at 4" -> "at 4"), writes spoken emails,
+ *          dates and numbers in written form, and turns spoken enumerations into bullets
+ * The word rules are English; other languages only get the spacing and casing fixes.
+ * services/cleanup.js puts the optional LLM pass in front of this.
+ *
+ * Pure module: no DOM.
+ */
+
+export const CLEANUP_LEVELS = {
+    none: 'None (as transcribed)',
+    light: 'Light (fillers, casing)',
+    full: 'Full (corrections, lists, numbers)',
+};
+
+const FILLER = '(?:u+m+|u+h+|e+r+m+|e+r+|a+h+|h+m+|m+h*m+)';
+const DELIMITED_FILLER = new RegExp(`,\\s*${FILLER},(?=\\s)`, 'gi'); // "I was, uh, thinking"
+const FILLERS = new RegExp(`(^|[\\s,.;:!?])${FILLER}(?=[\\s,.;:!?]|$)[,.]?`, 'gi');
+// "like" and "you know" are only fillers between commas or opening a sentence ("I mean" is a correction)
+const SOFT_FILLERS = /(,|^|[.!?]\s+)\s*(?:like|you know|basically),\s*/gi;
+
+// A stutter repeats the word; "had had", "that that" and numbers ("twenty twenty") are usually meant
+const STUTTER = /\b(\w+)(?:[\s,]+\1\b)+/gi;
+const MEANT_REPEATS = new Set(['had', 'that']);
+
+const CORRECTION_MARKERS = ['no wait', 'no', 'sorry', 'I mean', 'actually', 'or rather', 'wait'];
+const CORRECTION = new RegExp(`,\\s*(?:${CORRECTION_MARKERS.join('|')}),?\\s+`, 'i');
+// A fix that does not repeat the start of the phrase it corrects must be this short
+const MAX_UNANCHORED_WORDS = 3;
+
+const PRONOUNS = ['i', 'me', 'my', 'we', 'us', 'our', 'you', 'your', 'he', 'him', 'his', 'she', 'her',
+    'it', 'its', 'they', 'them', 'their', 'this', 'that', 'these', 'those'];
+const SUBJECT_PRONOUNS = new Set(['i', 'we', 'you', 'he', 'she', 'it', 'they']);
+const AUXILIARIES = ['am', 'is', 'are', 'was', 'were', 'be', 'been', 'have', 'has', 'had', 'do', 'does', 'did',
+    'will', 'would', 'shall', 'should', 'can', 'could', 'may', 'might', 'must'];
+// Too common to tell which occurrence a fix refers to ("I had had enough, sorry, I am tired")
+const FUNCTION_WORDS = new Set([...PRONOUNS, ...AUXILIARIES, 'a', 'an', 'the', 'and', 'or', 'but', 'so', 'if',
+    'then', 'than', 'not', 'to', 'at', 'in', 'on', 'of', 'for', 'with', 'by', 'from', 'about', 'there', 'here']);
+
+const UNITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = { hundred: 100, thousand: 1000, million: 1000000, billion: 1000000000 };
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth',
+    'eleventh', 'twelfth', 'thirteenth', 'fourteenth', 'fifteenth', 'sixteenth', 'seventeenth', 'eighteenth',
+    'nineteenth', 'twentieth'];
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September',
+    'October', 'November', 'December'];
+
+const NUMBER_WORD = `(?:${[...UNITS, ...TENS.filter(Boolean), ...Object.keys(SCALES)].join('|')})\\b`;
+const NUMBER_PHRASE = new RegExp(`\\b${NUMBER_WORD}(?:(?:[\\s-]+|\\s+and\\s+)${NUMBER_WORD})*\\b`, 'gi');
+// Spelled out by convention when on their own
+const MAX_SPELLED = 9;
+
+const DAY_WORD = `(?:${ORDINALS.slice(1).join('|')}|(?:twenty|thirty)[\\s-](?:first|second|third|${ORDINALS.slice(4, 10).join('|')})|thirtieth|\\d{1,2}(?:st|nd|rd|th)?)`;
+const MONTH = `(${MONTHS.join('|')})`;
+// Month names are matched capitalized only: "I may second that" is not a date
+const MONTH_DAY = new RegExp(`\\b${MONTH}\\s+(?:the\\s+)?(${DAY_WORD})\\b`, 'g');
+const DAY_OF_MONTH = new RegExp(`\\bthe\\s+(${DAY_WORD})\\s+of\\s+${MONTH}\\b`, 'g');
+const SPOKEN_YEAR = new RegExp(`^,?\\s+(${NUMBER_WORD}(?:[\\s-]+${NUMBER_WORD}){1,3})`, 'i');
+
+const TLDS = ['com', 'org', 'net', 'io', 'edu', 'gov', 'co', 'uk', 'in', 'dev', 'ai', 'app', 'me', 'us'];
+const EMAIL = new RegExp(
+    `(?<![\\w'])([a-z0-9]+(?:\\s+(?:dot|underscore|dash|hyphen)\\s+[a-z0-9]+)*)\\s+at\\s+([a-z0-9]+(?:\\s+dot\\s+[a-z0-9]+)*\\s+dot\\s+(?:${TLDS.join('|')}))\\b`,
+    'gi'
+);
+const EMAIL_SEPARATORS = { dot: '.', underscore: '_', dash: '-', hyphen: '-' };
+// "email me at ...", "I am at home dot com"
+const NOT_MAILBOXES = new Set([...PRONOUNS, ...AUXILIARIES]);
+
+const LIST_MARKERS = [
+    ORDINALS.slice(1, 11).map(o => `${o}(?:ly)?`).join('|'),
+    `number\\s+(?:${UNITS.slice(1, 11).join('|')}|\\d+)`,
+    'lastly', 'finally',
+].join('|');
+const LIST_MARKER = new RegExp(`(^|[,.;:!?]\\s*|\\s(?:and|then)\\s+)(?:and\\s+)?\\b(${LIST_MARKERS})\\b[,:]?\\s*`, 'gi');
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const words = (text) => text.trim().split(/\s+/).filter(Boolean);
+const bare = (word) => word.toLowerCase().replace(/[^\w']/g, '');
+const shape = (word) => (/^\d/.test(word) ? 'number' : /^\p{Lu}/u.test(word) ? 'name' : 'word');
+
+function removeFillers(text) {
+    return text
+        .replace(DELIMITED_FILLER, '')
+        .replace(FILLERS, '$1')
+        .replace(SOFT_FILLERS, (match, before) => (before === ',' ? ' ' : before))
+        .replace(STUTTER, (match, word) => (
+            MEANT_REPEATS.has(word.toLowerCase()) || /^\d+$/.test(word) || parseNumberWords(word) !== null ? match : word
+        ));
+}
+
+/**
+ * Index of the first word a fix replaces, -1 if it does not look like a correction of them.
+ */
+function correctionStart(beforeWords, fixWords) {
+    const first = bare(fixWords[0]);
+    const anchorAt = beforeWords.map(bare).lastIndexOf(first);
+    if (anchorAt !== -1) {
+        if (!FUNCTION_WORDS.has(first)) return anchorAt;
+        // A function word only anchors as the start of a repeated phrase: "we should go, I mean, we should stay"
+        if (fixWords.length > 1 && anchorAt + 1 < beforeWords.length && bare(beforeWords[anchorAt + 1]) === bare(fixWords[1])) {
+            return anchorAt;
+        }
+    }
+
+    // As many words as the fix has, right before the cue
+    const count = fixWords.length;
+    if (count > MAX_UNANCHORED_WORDS || count >= beforeWords.length) return -1;
+    const replaced = beforeWords.slice(-count);
+    const lastBefore = replaced[count - 1];
+    const lastFix = fixWords[count - 1];
+    const sameKind = shape(lastFix) === shape(lastBefore) && shape(lastFix) !== 'word';
+    const alike = count === 1
+        ? sameKind
+        : bare(lastFix) === bare(lastBefore) || (first === bare(replaced[0]) && sameKind);
+    return alike ? beforeWords.length - count : -1;
+}
+
+/**
+ * "Meet at 3, no, at 4" -> "Meet at 4": the fix replaces the phrase from the last occurrence of
+ * its first word, if that is a content word or starts the same two words. Otherwise it replaces
+ * as many words as it has, if it ends like them ("3 PM, I mean, 4 PM"), starts like them and ends
+ * in the same kind of word ("at 3, no, at 4") or is one word of the same kind ("Tuesday, sorry,
+ * Wednesday"). Anything else is left alone. One-sentence scope; "scratch that" drops the whole
+ * previous sentence.
+ */
+function applyCorrections(text) {
+    let result = text.replace(/[^.!?]*[.!?]?\s*\bscratch that\b[.,!]?\s*/gi, '');
+
+    const sentences = result.match(/[^.!?]+[.!?]*\s*/g) || [];
+    result = sentences.map((sentence) => {
+        let current = sentence;
+        let match;
+        while ((match = CORRECTION.exec(current))) {
+            const before = current.slice(0, match.index);
+            const fix = current.slice(match.index + match[0].length);
+            const fixWords = words(fix.replace(/[.!?,;:]+\s*$/, ''));
+            if (fixWords.length === 0) break;
+
+            const beforeWords = words(before);
+            const start = correctionStart(beforeWords, fixWords);
+            if (start === -1) break; // Not a correction: "I'm late, sorry, traffic was bad"
+
+            current = [...beforeWords.slice(0, start), fix].join(' ');
+        }
+        return current;
+    }).join('');
+    return result;
+}
+
+/**
+ * "two hundred and five" -> 205, null if the words do not form a number.
+ */
+export function parseNumberWords(phrase) {
+    let total = 0;
+    let group = 0;
+    let lastScale = Infinity;
+    let sawNumber = false;
+    for (const raw of phrase.toLowerCase().split(/[\s-]+/)) {
+        if (raw === 'and') continue;
+        const unit = UNITS.indexOf(raw);
+        const ten = TENS.indexOf(raw);
+        if (unit !== -1) {
+            if (group % 10 !== 0 || (group % 100 !== 0 && unit >= 10)) return null; // "five six"
+            group += unit;
+        } else if (ten > 1) {
+            if (group % 100 !== 0) return null;
+            group += ten * 10;
+        } else if (raw === 'hundred') {
+            if (group === 0 || group >= 100) return null;
+            group *= 100;
+        } else if (SCALES[raw]) {
+            if (group === 0 || SCALES[raw] >= lastScale) return null;
+            total += group * SCALES[raw];
+            group = 0;
+            lastScale = SCALES[raw];
+        } else {
+            return null;
+        }
+        sawNumber = true;
+    }
+    return sawNumber ? total + group : null;
+}
+
+// "twenty twenty six" -> 2026, "nineteen ninety" -> 1990, "two thousand nine" -> 2009
+function parseYear(phrase) {
+    const parts = phrase.trim().toLowerCase().split(/[\s-]+/);
+    const whole = parseNumberWords(phrase);
+    if (whole !== null && whole >= 1000) return whole;
+    for (let split = 1; split < parts.length; split++) {
+        const century = parseNumberWords(parts.slice(0, split).join(' '));
+        const rest = parseNumberWords(parts.slice(split).join(' '));
+        if (century >= 10 && century <= 99 && rest !== null && rest >= 10 && rest <= 99) return century * 100 + rest;
+    }
+    return null;
+}
+
+function parseDay(word) {
+    const digits = word.match(/^\d+/);
+    if (digits) return Number(digits[0]);
+    const [tens, ordinal] = word.toLowerCase().split(/[\s-]+/);
+    if (!ordinal) return tens === 'thirtieth' ? 30 : ORDINALS.indexOf(tens);
+    return (tens === 'twenty' ? 20 : 30) + ORDINALS.indexOf(ordinal);
+}
+
+function formatDate(month, day, after) {
+    const dayNumber = parseDay(day);
+    const name = capitalize(month.toLowerCase());
+    if (dayNumber < 1 || dayNumber > 31) return null;
+    const year = after.match(SPOKEN_YEAR);
+    const yearNumber = year ? parseYear(year[1]) : null;
+    return yearNumber
+        ? { text: `${name} ${dayNumber}, ${yearNumber}`, consumed: year[0].length }
+        : { text: `${name} ${dayNumber}`, consumed: 0 };
+}
+
+// "March third, twenty twenty six" / "the third of March" -> "March 3, 2026" / "March 3"
+function writeDates(text) {
+    const replace = (pattern, pick) => {
+        let result = '';
+        let last = 0;
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text))) {
+            const [month, day] = pick(match);
+            const date = formatDate(month, day, text.slice(match.index + match[0].length));
+            if (!date) continue;
+            result += text.slice(last, match.index) + date.text;
+            last = match.index + match[0].length + date.consumed;
+            pattern.lastIndex = last;
+        }
+        text = result + text.slice(last);
+    };
+    replace(MONTH_DAY, (match) => [match[1], match[2]]);
+    replace(DAY_OF_MONTH, (match) => [match[2], match[1]]);
+    return text;
+}
+
+function writeNumbers(text) {
+    return text
+        .replace(NUMBER_PHRASE, (phrase) => {
+            // Words that do not form one number ("one and two") stay as spoken
+            const value = parseNumberWords(phrase);
+            if (value === null || (value <= MAX_SPELLED && !/[\s-]/.test(phrase))) return phrase;
+            return String(value);
+        })
+        .replace(/(\d)\s+percent\b/gi, '$1%');
+}
+
+function writeEmails(text) {
+    return text.replace(EMAIL, (match, local, domain, offset) => {
+        const localWords = local.toLowerCase().split(/\s+/);
+        // "we work at acme dot com": after a subject pronoun the word before "at" is a verb
+        const previous = text.slice(0, offset).match(/([\w']+)[\s,]*$/);
+        if (localWords.some(word => NOT_MAILBOXES.has(word))
+            || (previous && SUBJECT_PRONOUNS.has(previous[1].toLowerCase()))) return match;
+        const join = (spoken) => spoken.toLowerCase().replace(/\s+(dot|underscore|dash|hyphen)\s+/g, (m, sep) => EMAIL_SEPARATORS[sep]);
+        return `${join(local)}@${join(domain)}`;
+    });
+}
+
+/**
+ * "The plan is, first, budget, second, hiring, and finally, the offsite." ->
+ * "The plan is:\n- Budget\n- Hiring\n- The offsite". Needs at least two markers that start
+ * with "first" or "number one"; the list ends with the sentence of its last marker.
+ */
+function formatLists(text) {
+    const markers = [...text.matchAll(LIST_MARKER)];
+    const start = markers.findIndex(m => /^(first(ly)?|number\s+(one|1))$/i.test(m[2]));
+    if (start === -1 || markers.length - start < 2) return text;
+
+    const used = markers.slice(start);
+    const intro = text.slice(0, used[0].index + used[0][1].length).replace(/[\s,;:]+$/, '');
+    const items = used.map((marker, i) => {
+        const from = marker.index + marker[0].length;
+        const to = i + 1 < used.length ? used[i + 1].index + used[i + 1][1].length : text.length;
+        return text.slice(from, to);
+    });
+
+    // The last item stops at the end of its sentence, the rest is a new paragraph
+    const lastItem = items[items.length - 1];
+    const end = lastItem.search(/[.!?](\s|$)/);
+    const rest = end === -1 ? '' : lastItem.slice(end + 1).trim();
+    items[items.length - 1] = end === -1 ? lastItem : lastItem.slice(0, end);
+
+    const bullets = items
+        .map(item => item.replace(/^[\s,;:]+|[\s,;:.]+$/g, '').replace(/\s+(?:and|then)$/i, ''))
+        .filter(Boolean)
+        .map(item => `- ${capitalize(item)}`);
+    if (bullets.length < 2) return text;
+
+    const head = intro && (/[.!?]$/.test(intro) ? intro : `${intro}:`);
+    return [head, ...bullets].filter(Boolean).join('\n')
+        + (rest ? `\n\n${formatLists(rest)}` : '');
+}
+
+function tidy(text) {
+    return text
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ +([,.;:!?%])/g, '$1')
+        .replace(/([,;:])(?:\s*[,;:])+/g, '$1')
+        .replace(/[,;:]+\s*([.!?])/g, '$1')
+        .replace(/(^|\n)[ \t,;:.]+/g, '$1')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+function fixCasing(text, english) {
+    let result = text.replace(/(^|[.!?]\s+|\n(?:- )?)(\p{Ll})/gu, (match, before, letter) => before + letter.toUpperCase());
+    if (english) result = result.replace(/\bi\b(?=$|[\s,.;:!?'’])/g, 'I');
+    return result;
+}
+
+/**
+ * @param {string} text - Finalized transcript text.
+ * @param {{ level?: 'none'|'light'|'full', language?: string }} [options]
+ * @returns {string}
+ */
+export function cleanupText(text, { level = 'light', language = 'en' } = {}) {
+    if (!text || level === 'none') return text;
+    const english = language === 'en';
+
+    let result = text;
+    if (english) {
+        result = removeFillers(result);
+        if (level === 'full') {
+            result = applyCorrections(tidy(result));
+            result = writeEmails(result);
+            result = writeDates(result);
+            result = writeNumbers(result);
+            result = formatLists(tidy(result));
+        }
+    }
+    return fixCasing(tidy(result), english);
+}
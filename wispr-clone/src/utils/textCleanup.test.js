@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { cleanupText, parseNumberWords } from './textCleanup';
+import utterances from './__fixtures__/cleanup/utterances.json';
+
+// Each fixture: what was said (Deepgram's punctuated output) and how it should be written
+describe.each(Object.entries(utterances))('cleanupText: %s', (topic, cases) => {
+    it.each(cases)('$level: $said', ({ level, said, written }) => {
+        expect(cleanupText(said, { level })).toBe(written);
+    });
+});
+
+describe('cleanupText', () => {
+    it('leaves the text alone at level none', () => {
+        const said = 'um, meet at 3, no, at 4';
+        expect(cleanupText(said, { level: 'none' })).toBe(said);
+    });
+
+    it('only fixes spacing and casing in other languages', () => {
+        expect(cleanupText('hola , um, qué tal. bien', { level: 'full', language: 'es' })).toBe('Hola, um, qué tal. Bien');
+    });
+});
+
+describe('parseNumberWords', () => {
+    it('reads spoken numbers and rejects word runs that are not one', () => {
+        expect(parseNumberWords('two hundred and five')).toBe(205);
+        expect(parseNumberWords('one million three thousand')).toBe(1003000);
+        expect(parseNumberWords('twenty-one')).toBe(21);
+        expect(parseNumberWords('five six')).toBeNull();
+        expect(parseNumberWords('thousand million')).toBeNull();
+        expect(parseNumberWords('hello')).toBeNull();
+    });
+});
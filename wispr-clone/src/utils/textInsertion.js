@@ -0,0 +1,60 @@
+/**
+ * Inserts dictated text into whatever has keyboard focus.
+ *
+ * The work is done by a `target`, so the strategy can be exercised against a fake one:
+ *   {
+ *     typeText(text): Promise<void>      // simulated key presses
+ *     paste(): Promise<void>             // the platform's paste shortcut (Ctrl+V / Cmd+V)
+ *     readClipboard(): Promise<string|null>
+ *     writeClipboard(text): Promise<void>
+ *   }
+ * The desktop target is createSystemTextTarget() in services/desktop.js.
+ *
+ * Pure module: no Tauri, no DOM.
+ */
+
+export const INSERT_MODES = {
+    paste: 'Paste (fast, restores the clipboard)',
+    type: 'Type (slower, works where pasting is blocked)',
+};
+
+// The target app reads the clipboard asynchronously after the paste shortcut
+const DEFAULT_RESTORE_DELAY_MS = 200;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {string} text
+ * @param {object} target - See above.
+ * @param {{ mode?: 'paste'|'type', restoreDelayMs?: number }} [options]
+ * @returns {Promise<boolean>} false if there was nothing to insert.
+ */
+export async function insertText(text, target, { mode = 'paste', restoreDelayMs = DEFAULT_RESTORE_DELAY_MS } = {}) {
+    if (!text || !text.trim()) return false;
+
+    if (mode === 'type') {
+        await target.typeText(text);
+        return true;
+    }
+
+    // Non-text clipboard contents (images, files) read as null and cannot be put back
+    const previous = await target.readClipboard().catch(() => null);
+    await target.writeClipboard(text);
+    try {
+        await target.paste();
+        await wait(restoreDelayMs);
+    } finally {
+        if (previous !== null) await target.writeClipboard(previous);
+    }
+    return true;
+}
+
+/**
+ * Joins final transcripts the way they are typed: single spaces, with a trailing space so the
+ * next dictation does not run into this one.
+ * @param {string[]} transcripts
+ */
+export function dictationText(transcripts) {
+    const text = transcripts.map(t => t.trim()).filter(Boolean).join(' ');
+    return text ? `${text} ` : '';
+}
@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { insertText, dictationText } from './textInsertion';
+
+// Fake target: a clipboard and a focused field, with every call logged
+const createFakeTarget = ({ clipboard = 'previous', failPaste = false, failRead = false } = {}) => {
+    const target = {
+        calls: [],
+        clipboard,
+        field: '',
+        async typeText(text) {
+            target.calls.push(['typeText', text]);
+            target.field += text;
+        },
+        async paste() {
+            target.calls.push(['paste']);
+            if (failPaste) throw new Error('Paste blocked');
+            target.field += target.clipboard;
+        },
+        async readClipboard() {
+            target.calls.push(['readClipboard']);
+            if (failRead) throw new Error('Clipboard unavailable');
+            return target.clipboard;
+        },
+        async writeClipboard(text) {
+            target.calls.push(['writeClipboard', text]);
+            target.clipboard = text;
+        },
+    };
+    return target;
+};
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('insertText', () => {
+    it('pastes through the clipboard and puts the previous contents back', async () => {
+        const target = createFakeTarget();
+
+        expect(await insertText('Hello there. ', target, { restoreDelayMs: 0 })).toBe(true);
+        expect(target.field).toBe('Hello there. ');
+        expect(target.clipboard).toBe('previous');
+        expect(target.calls).toEqual([
+            ['readClipboard'],
+            ['writeClipboard', 'Hello there. '],
+            ['paste'],
+            ['writeClipboard', 'previous'],
+        ]);
+    });
+
+    it('restores the clipboard only after the target app had time to read it', async () => {
+        vi.useFakeTimers();
+        const target = createFakeTarget();
+
+        const inserted = insertText('Hi ', target, { restoreDelayMs: 200 });
+        await vi.advanceTimersByTimeAsync(199);
+        expect(target.clipboard).toBe('Hi ');
+
+        await vi.advanceTimersByTimeAsync(1);
+        await inserted;
+        expect(target.clipboard).toBe('previous');
+    });
+
+    it('leaves non-text clipboard contents alone', async () => {
+        const target = createFakeTarget({ clipboard: null });
+        await insertText('Hi ', target, { restoreDelayMs: 0 });
+
+        expect(target.field).toBe('Hi ');
+        expect(target.calls.filter(([name]) => name === 'writeClipboard')).toEqual([['writeClipboard', 'Hi ']]);
+    });
+
+    it('treats an unreadable clipboard like a non-text one', async () => {
+        const target = createFakeTarget({ failRead: true });
+        await insertText('Hi ', target, { restoreDelayMs: 0 });
+
+        expect(target.field).toBe('Hi ');
+        expect(target.clipboard).toBe('Hi ');
+    });
+
+    it('restores the clipboard when pasting fails', async () => {
+        const target = createFakeTarget({ failPaste: true });
+
+        await expect(insertText('Hi ', target, { restoreDelayMs: 0 })).rejects.toThrow('Paste blocked');
+        expect(target.clipboard).toBe('previous');
+        expect(target.field).toBe('');
+    });
+
+    it('types without touching the clipboard in type mode', async () => {
+        const target = createFakeTarget();
+        await insertText('Hi ', target, { mode: 'type' });
+
+        expect(target.field).toBe('Hi ');
+        expect(target.calls).toEqual([['typeText', 'Hi ']]);
+    });
+
+    it('does nothing for empty or blank text', async () => {
+        const target = createFakeTarget();
+
+        expect(await insertText('', target)).toBe(false);
+        expect(await insertText('   ', target, { mode: 'type' })).toBe(false);
+        expect(target.calls).toEqual([]);
+    });
+});
+
+describe('dictationText', () => {
+    it('joins finals with single spaces and a trailing one', () => {
+        expect(dictationText([' Hello there. ', '', 'How are you?'])).toBe('Hello there. How are you? ');
+        expect(dictationText(['  ', ''])).toBe('');
+        expect(dictationText([])).toBe('');
+    });
+});
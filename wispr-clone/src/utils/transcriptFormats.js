@@ -0,0 +1,212 @@
+/**
+ * Transcript export formats. Everything except DOCX is a pure string builder over
+ * `segments` (see transcriptReducer) and the speaker map.
+ * Text spoken bold ("bold that") carries Markdown `**` markers: text, JSON and Markdown keep
+ * them, DOCX turns them into bold runs and subtitles drop them.
+ */
+
+export const EXPORT_FORMATS = {
+    txt: { label: 'Text', extension: 'txt', mimeType: 'text/plain' },
+    srt: { label: 'SubRip subtitles', extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { label: 'WebVTT subtitles', extension: 'vtt', mimeType: 'text/vtt' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    md: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    docx: {
+        label: 'Word document',
+        extension: 'docx',
+        mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    },
+};
+
+const MAX_CUE_CHARS = 84; // Two subtitle lines of ~42 characters
+const MAX_CUE_SECONDS = 6;
+
+export function speakerLabel(speaker, speakerMap) {
+    return speakerMap[speaker] ? `${speakerMap[speaker]} (Speaker ${speaker})` : `Speaker ${speaker}`;
+}
+
+function speakerName(speaker, speakerMap) {
+    return speakerMap[speaker] || `Speaker ${speaker}`;
+}
+
+/**
+ * Splits text at its `**` markers: "a **b** c" -> [{ text: 'a ', bold: false }, { text: 'b', bold: true }, ...].
+ * @param {boolean} [bold=false] - Whether the text starts inside bold, e.g. for one word of a bolded phrase.
+ * @returns {Array<{ text: string, bold: boolean }>} Empty runs left out.
+ */
+export function emphasisRuns(text, bold = false) {
+    return text.split('**').map((part, i) => ({ text: part, bold: i % 2 === 0 ? bold : !bold })).filter(run => run.text);
+}
+
+const plain = (text) => text.replace(/\*\*/g, '');
+
+/**
+ * Formats seconds as HH:MM:SS plus milliseconds after `separator` ("," for SRT, "." for WebVTT).
+ */
+export function formatTimestamp(seconds, separator = '.') {
+    const totalMs = Math.max(0, Math.round((seconds || 0) * 1000));
+    const ms = totalMs % 1000;
+    const totalSeconds = Math.floor(totalMs / 1000);
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * Splits segments into subtitle cues using word timestamps. A cue never spans two speakers and is cut
+ * once it would exceed MAX_CUE_CHARS or MAX_CUE_SECONDS. Segments without words (e.g. loaded from the
+ * API) become one cue over their own start/end.
+ * @returns {Array<{ speaker, start: number, end: number, text: string }>}
+ */
+export function buildCues(segments) {
+    const cues = [];
+
+    segments.forEach(seg => {
+        const words = seg.words || [];
+        if (words.length === 0) {
+            if (seg.start !== undefined && seg.end !== undefined) {
+                cues.push({ speaker: seg.speaker, start: seg.start, end: seg.end, text: seg.text });
+            }
+            return;
+        }
+
+        let cue = null;
+        words.forEach(word => {
+            const content = word.punctuated_word || word.word;
+            const tooLong = cue && (cue.text.length + 1 + content.length > MAX_CUE_CHARS
+                || word.end - cue.start > MAX_CUE_SECONDS);
+
+            if (!cue || tooLong) {
+                cue = { speaker: seg.speaker, start: word.start, end: word.end, text: content };
+                cues.push(cue);
+            } else {
+                cue.text += ' ' + content;
+                cue.end = word.end;
+            }
+        });
+    });
+
+    return cues;
+}
+
+export function toText(segments, speakerMap) {
+    return segments.map(s => `${speakerLabel(s.speaker, speakerMap)}: ${s.text}`).join('\n\n');
+}
+
+export function toSrt(segments, speakerMap) {
+    return buildCues(segments).map((cue, i) => [
+        i + 1,
+        `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+        `${speakerName(cue.speaker, speakerMap)}: ${plain(cue.text)}`,
+    ].join('\n')).join('\n\n') + '\n';
+}
+
+export function toVtt(segments, speakerMap) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const cues = buildCues(segments).map(cue => [
+        `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`,
+        `<v ${escape(speakerName(cue.speaker, speakerMap))}>${escape(plain(cue.text))}`,
+    ].join('\n'));
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+/**
+ * Archive format: every word with timing, speaker and confidence, plus session metadata.
+ * @param {object} metadata - e.g. { title, language }.
+ */
+export function toJson(segments, speakerMap, metadata = {}) {
+    const ends = segments.map(s => s.end).filter(e => e !== undefined);
+    const speakers = {};
+    segments.forEach(s => {
+        speakers[s.speaker] = speakerMap[s.speaker] || null;
+    });
+
+    return JSON.stringify({
+        metadata: {
+            ...metadata,
+            exportedAt: new Date().toISOString(),
+            duration: ends.length > 0 ? Math.max(...ends) : null,
+            segmentCount: segments.length,
+        },
+        speakers,
+        segments: segments.map(s => ({
+            speaker: s.speaker,
+            speakerName: speakerMap[s.speaker] || null,
+            start: s.start ?? null,
+            end: s.end ?? null,
+            text: s.text,
+            words: (s.words || []).map(w => ({
+                word: w.word,
+                punctuatedWord: w.punctuated_word || w.word,
+                start: w.start,
+                end: w.end,
+                confidence: w.confidence ?? null,
+                speaker: w.speaker ?? s.speaker,
+                speakerConfidence: w.speaker_confidence ?? null,
+            })),
+        })),
+    }, null, 2);
+}
+
+export function toMarkdown(segments, speakerMap, metadata = {}) {
+    const lines = [`# ${metadata.title || 'Transcript'}`, ''];
+    if (metadata.language) lines.push(`- **Language:** ${metadata.language}`);
+    lines.push(`- **Exported:** ${new Date().toLocaleString()}`, '');
+
+    segments.forEach(s => {
+        const time = s.start !== undefined ? ` · ${formatTimestamp(s.start).slice(0, 8)}` : '';
+        lines.push(`### ${speakerLabel(s.speaker, speakerMap)}${time}`, '', s.text, '');
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * Word document with one bold, timestamped heading line per speaker turn.
+ * The docx library is only loaded when someone actually exports to DOCX.
+ * @returns {Promise<Uint8Array>}
+ */
+export async function toDocx(segments, speakerMap, metadata = {}) {
+    const { Document, Packer, Paragraph, TextRun, HeadingLevel } = await import('docx');
+
+    const children = [
+        new Paragraph({ text: metadata.title || 'Transcript', heading: HeadingLevel.HEADING_1 }),
+    ];
+    if (metadata.language) {
+        children.push(new Paragraph({ children: [new TextRun({ text: `Language: ${metadata.language}`, italics: true })] }));
+    }
+
+    segments.forEach(s => {
+        const time = s.start !== undefined ? `  ${formatTimestamp(s.start).slice(0, 8)}` : '';
+        children.push(
+            new Paragraph({
+                spacing: { before: 240 },
+                children: [
+                    new TextRun({ text: speakerLabel(s.speaker, speakerMap), bold: true }),
+                    new TextRun({ text: time, color: '888888' }),
+                ],
+            }),
+            new Paragraph({ children: emphasisRuns(s.text).map(run => new TextRun(run)) }),
+        );
+    });
+
+    const doc = new Document({ sections: [{ children }] });
+    const blob = await Packer.toBlob(doc);
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+/**
+ * Renders a transcript in the given format.
+ * @param {keyof EXPORT_FORMATS} format
+ * @returns {Promise<string|Uint8Array>}
+ */
+export async function renderTranscript(format, segments, speakerMap, metadata) {
+    switch (format) {
+        case 'srt': return toSrt(segments, speakerMap);
+        case 'vtt': return toVtt(segments, speakerMap);
+        case 'json': return toJson(segments, speakerMap, metadata);
+        case 'md': return toMarkdown(segments, speakerMap, metadata);
+        case 'docx': return toDocx(segments, speakerMap, metadata);
+        case 'txt': return toText(segments, speakerMap);
+        default: throw new Error(`Unknown export format "${format}"`);
+    }
+}
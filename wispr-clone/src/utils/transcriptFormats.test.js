@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { emphasisRuns, toText, toSrt, toVtt, toMarkdown } from './transcriptFormats';
+import { toWords } from './__fixtures__/words';
+
+// A segment after "bold that": the markers sit on the first and last bolded word
+const text = 'First one. **Make this bold**!';
+const segments = [{ speaker: 0, text, start: 0, end: 2.4, words: toWords(text) }];
+
+describe('emphasisRuns', () => {
+    it('splits text at the bold markers', () => {
+        expect(emphasisRuns('a **b c** d')).toEqual([
+            { text: 'a ', bold: false },
+            { text: 'b c', bold: true },
+            { text: ' d', bold: false },
+        ]);
+        expect(emphasisRuns('plain')).toEqual([{ text: 'plain', bold: false }]);
+    });
+
+    it('starts inside bold for a word in the middle of a bolded phrase', () => {
+        expect(emphasisRuns('this', true)).toEqual([{ text: 'this', bold: true }]);
+        expect(emphasisRuns('bold**!', true)).toEqual([{ text: 'bold', bold: true }, { text: '!', bold: false }]);
+    });
+});
+
+describe('bold text in exports', () => {
+    it('keeps the Markdown markers in text and Markdown', () => {
+        expect(toText(segments, {})).toBe('Speaker 0: First one. **Make this bold**!');
+        expect(toMarkdown(segments, {}, { title: 'Notes' })).toContain('\nFirst one. **Make this bold**!\n');
+    });
+
+    it('drops them from subtitles', () => {
+        expect(toSrt(segments, {})).toContain('Speaker 0: First one. Make this bold!');
+        expect(toVtt(segments, { 0: 'Ann' })).toContain('<v Ann>First one. Make this bold!');
+    });
+});
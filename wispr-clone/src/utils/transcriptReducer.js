@@ -0,0 +1,264 @@
+/**
+ * Transcript state for the live view.
+ * - `segments` holds committed (final) speaker turns.
+ * - `interim` holds at most one uncommitted tail per speaker, replaced on every partial result.
+ * - `speakerMap` maps Deepgram speaker indices to enrolled names.
+ * - `history` holds earlier `segments` of the current speaker turn, for the spoken "undo".
+ * - `lastFinalEnd` is the stream time (s) of the last committed word. A final that ends at or before
+ *   it is a repeat (e.g. replayed after a reconnect) or arrived out of order, and is dropped.
+ *
+ * Pure module: no React, no I/O, so it can be replayed against recorded Deepgram messages.
+ */
+export const initialTranscriptState = {
+    segments: [], // Array of { speaker, text, start, end, words }
+    interim: {}, // { [speaker]: { speaker, text, start, end, words } }
+    speakerMap: {}, // { 0: 'John', 1: 'Jane' }
+    history: [], // Earlier `segments`, newest last
+    lastFinalEnd: null,
+};
+
+const HISTORY_LIMIT = 50;
+const SENTENCE_END = /[.?!…]$|\n$/;
+const TRAILING_PUNCTUATION = /[.,;:?!…]+$/;
+const EMPHASIS = '**'; // Markdown bold, see emphasisRuns() in transcriptFormats.js
+
+/**
+ * Joins transcript text, without a space after a spoken line break.
+ */
+export function joinText(text, next) {
+    if (!text) return next;
+    return text.endsWith('\n') ? text + next : `${text} ${next}`;
+}
+
+/**
+ * Groups consecutive words by speaker into segments.
+ * @param {Array} words - Deepgram word objects ({ word, punctuated_word, start, end, speaker }).
+ */
+export function groupWordsBySpeaker(words) {
+    const groups = [];
+    let current = null;
+
+    words.forEach(word => {
+        const speaker = word.speaker !== undefined ? word.speaker : 'Unknown';
+        const content = word.punctuated_word || word.word;
+
+        if (current && current.speaker === speaker) {
+            current.text = joinText(current.text, content);
+            current.end = word.end;
+            current.words.push(word);
+        } else {
+            current = { speaker, text: content, start: word.start, end: word.end, words: [word] };
+            groups.push(current);
+        }
+    });
+
+    return groups;
+}
+
+function toSegments({ words, transcript }) {
+    if (words && words.length > 0) return groupWordsBySpeaker(words);
+    if (transcript) return [{ speaker: 'Unknown', text: transcript, words: [] }];
+    return [];
+}
+
+/**
+ * Picks up `speaker_name` set by the relay on individual words.
+ */
+function withWordNames(speakerMap, words) {
+    const named = (words || []).filter(w => w.speaker_name && speakerMap[w.speaker] !== w.speaker_name);
+    if (named.length === 0) return speakerMap;
+
+    const next = { ...speakerMap };
+    named.forEach(w => { next[w.speaker] = w.speaker_name; });
+    return next;
+}
+
+/**
+ * Appends final segments, merging the first one into the last committed segment when the speaker matches.
+ */
+function commitSegments(segments, incoming) {
+    if (incoming.length === 0) return segments;
+
+    const last = segments[segments.length - 1];
+    if (last && last.speaker === incoming[0].speaker) {
+        const merged = {
+            ...last,
+            text: joinText(last.text, incoming[0].text),
+            end: incoming[0].end !== undefined ? incoming[0].end : last.end,
+            words: [...(last.words || []), ...incoming[0].words],
+        };
+        return [...segments.slice(0, -1), merged, ...incoming.slice(1)];
+    }
+    return [...segments, ...incoming];
+}
+
+const remember = (state) => [...state.history, state.segments].slice(-HISTORY_LIMIT);
+
+// Replaces the words of the last segment; a segment left without words is removed
+function withLastWords(segments, words) {
+    const last = segments[segments.length - 1];
+    if (words.length === 0) return segments.slice(0, -1);
+    const text = words.reduce((result, word) => joinText(result, word.punctuated_word || word.word), '');
+    return [...segments.slice(0, -1), { ...last, words, text, end: words[words.length - 1].end }];
+}
+
+const withLastWord = (words, edit) => [...words.slice(0, -1), edit(words[words.length - 1])];
+
+const editWord = (word, punctuated) => ({ ...word, punctuated_word: punctuated });
+
+/**
+ * Runs a spoken command (utils/voiceCommands.js) against the end of the transcript, i.e. the
+ * words of the last segment.
+ * @returns {Array|null} The new segments, or null when there is nothing to change.
+ */
+function runCommand(segments, { name, value }) {
+    const words = segments[segments.length - 1]?.words || [];
+    if (words.length === 0) return null;
+    const lastText = (word) => word.punctuated_word || word.word;
+    const sentenceStart = () => {
+        let start = words.length - 1;
+        while (start > 0 && !SENTENCE_END.test(lastText(words[start - 1]))) start--;
+        return start;
+    };
+
+    switch (name) {
+        case 'newLine':
+        case 'newParagraph': {
+            // The pause before the command often got a comma
+            const brk = name === 'newLine' ? '\n' : '\n\n';
+            return withLastWords(segments, withLastWord(words, w => editWord(w, lastText(w).replace(/,?\n*$/, '') + brk)));
+        }
+        case 'deleteWord':
+        case 'deleteSentence': {
+            // Right after "new line" deleting takes the line break back first
+            if (lastText(words[words.length - 1]).endsWith('\n')) {
+                return withLastWords(segments, withLastWord(words, w => editWord(w, lastText(w).replace(/\n+$/, ''))));
+            }
+            return withLastWords(segments, words.slice(0, name === 'deleteSentence' ? sentenceStart() : words.length - 1));
+        }
+        case 'boldWord':
+        case 'boldSentence': {
+            // "**" before the first word, and after the last one but before its punctuation and line breaks
+            const start = name === 'boldSentence' ? sentenceStart() : words.length - 1;
+            const [, body, ending] = lastText(words[words.length - 1]).match(/^([\s\S]*?)([.,;:?!…]*\n*)$/);
+            if (lastText(words[start]).startsWith(EMPHASIS) && body.endsWith(EMPHASIS)) return null; // Already bold
+            const bolded = words.map((word, i) => {
+                if (i < start) return word;
+                let text = lastText(word);
+                if (i === start) text = EMPHASIS + text;
+                if (i === words.length - 1) text = (i === start ? EMPHASIS : '') + body + EMPHASIS + ending;
+                return text === lastText(word) ? word : editWord(word, text);
+            });
+            return withLastWords(segments, bolded);
+        }
+        case 'capitalize':
+        case 'uppercase':
+            return withLastWords(segments, withLastWord(words, (w) => {
+                const text = lastText(w);
+                return editWord(w, name === 'uppercase' ? text.toUpperCase() : text.charAt(0).toUpperCase() + text.slice(1));
+            }));
+        case 'punctuate':
+            return withLastWords(segments, withLastWord(words, (w) => {
+                // Replaces what the service guessed, before any line break
+                const [, body, breaks] = lastText(w).match(/^([\s\S]*?)(\n*)$/);
+                return editWord(w, body.replace(TRAILING_PUNCTUATION, '') + value + breaks);
+            }));
+        default:
+            return null; // `stop` is the recorder's business
+    }
+}
+
+/**
+ * @param {typeof initialTranscriptState} state
+ * @param {{ type: 'transcript', words?: Array, transcript?: string, isFinal?: boolean, speechFinal?: boolean }
+ *   | { type: 'command', name: string, value?: string }
+ *   | { type: 'speakers', speakers: Object<string, { name: string, confidence: number }> }
+ *   | { type: 'load', segments: Array, speakerMap: object }
+ *   | { type: 'start' }
+ *   | { type: 'clear' }} action
+ */
+export function transcriptReducer(state, action) {
+    switch (action.type) {
+        case 'transcript': {
+            const incoming = toSegments(action);
+            const speakerMap = withWordNames(state.speakerMap, action.words);
+
+            // speech_final implies is_final, but treat either as a commit point
+            if (action.isFinal || action.speechFinal) {
+                if (incoming.length === 0) return { ...state, speakerMap, interim: {} };
+                const end = action.words?.length > 0 ? action.words[action.words.length - 1].end : null;
+                if (end !== null && state.lastFinalEnd !== null && end <= state.lastFinalEnd) return state;
+                const lastFinalEnd = end ?? state.lastFinalEnd;
+                const segments = commitSegments(state.segments, incoming);
+                // Undo stays within the current turn: earlier turns may already be stored
+                const newTurn = state.segments.length > 0 && segments.length > state.segments.length;
+                const history = newTurn ? [] : remember(state);
+                return { ...state, speakerMap, segments, interim: {}, history, lastFinalEnd };
+            }
+
+            // A partial result covers all audio since the last final, so it supersedes every tail
+            const interim = {};
+            incoming.forEach(seg => {
+                interim[seg.speaker] = interim[seg.speaker]
+                    ? commitSegments([interim[seg.speaker]], [seg])[0]
+                    : seg;
+            });
+            return { ...state, speakerMap, interim };
+        }
+
+        case 'command': {
+            // Commands come from final results, which supersede the interim tails
+            if (action.name === 'undo') {
+                if (state.history.length === 0) return { ...state, interim: {} };
+                return { ...state, segments: state.history[state.history.length - 1], history: state.history.slice(0, -1), interim: {} };
+            }
+            const segments = runCommand(state.segments, action);
+            if (!segments) return { ...state, interim: {} };
+            return { ...state, segments, interim: {}, history: remember(state) };
+        }
+
+        case 'speakers': {
+            // Relay-side alignment of voice-ID results: { [speakerId]: { name, confidence } }
+            const speakerMap = { ...state.speakerMap };
+            Object.entries(action.speakers || {}).forEach(([speakerId, identity]) => {
+                speakerMap[speakerId] = identity.name;
+            });
+            return { ...state, speakerMap };
+        }
+
+        case 'load':
+            // A stored session replaces whatever is on screen
+            return { segments: action.segments, interim: {}, speakerMap: action.speakerMap || {}, history: [], lastFinalEnd: null };
+
+        case 'start':
+            // A new recording: its result times count from zero again
+            return { ...state, interim: {}, lastFinalEnd: null };
+
+        case 'clear':
+            return { ...state, segments: [], interim: {}, history: [], lastFinalEnd: null };
+
+        default:
+            return state;
+    }
+}
+
+/**
+ * Segments to render: committed text plus the interim tails.
+ * A tail for the same speaker as the last segment is attached to it as `interimText`,
+ * other tails become their own (entirely interim) segments.
+ */
+export function selectDisplaySegments(state) {
+    const display = state.segments.map(seg => ({ ...seg, interimText: '' }));
+
+    const tails = Object.values(state.interim).sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+    tails.forEach(tail => {
+        const last = display[display.length - 1];
+        if (last && last.speaker === tail.speaker) {
+            last.interimText = last.interimText ? `${last.interimText} ${tail.text}` : tail.text;
+        } else {
+            display.push({ ...tail, text: '', interimText: tail.text });
+        }
+    });
+
+    return display;
+}
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'vitest';
+import { transcriptReducer, initialTranscriptState, selectDisplaySegments } from './transcriptReducer';
+import singleSpeaker from './__fixtures__/deepgram/single-speaker.json';
+import twoSpeakers from './__fixtures__/deepgram/two-speakers.json';
+import duplicateFinals from './__fixtures__/deepgram/duplicate-finals.json';
+import { toWords } from './__fixtures__/words';
+
+// Same mapping as RealtimeRecorder.handleResult
+const toAction = (message) => {
+    const alternative = message.channel.alternatives[0];
+    return {
+        type: 'transcript',
+        words: alternative.words,
+        transcript: alternative.transcript,
+        isFinal: message.is_final,
+        speechFinal: message.speech_final,
+    };
+};
+
+// State after each message
+const replay = (messages, state = initialTranscriptState) => {
+    const states = [];
+    messages.forEach((message) => {
+        state = transcriptReducer(state, toAction(message));
+        states.push(state);
+    });
+    return states;
+};
+
+const texts = (state) => state.segments.map(seg => `${seg.speaker}: ${seg.text}`);
+const display = (state) => selectDisplaySegments(state).map(seg => [seg.speaker, seg.text, seg.interimText]);
+
+describe('transcriptReducer replay', () => {
+    it('replaces the interim tail on every partial and commits it on is_final', () => {
+        const states = replay(singleSpeaker);
+
+        expect(display(states[0])).toEqual([[0, '', 'hello']]);
+        expect(display(states[1])).toEqual([[0, '', 'hello there']]);
+        expect(states[1].segments).toEqual([]);
+
+        expect(texts(states[2])).toEqual(['0: Hello there.']);
+        expect(states[2].interim).toEqual({});
+
+        // The next tail is shown after the committed text of the same speaker
+        expect(display(states[4])).toEqual([[0, 'Hello there.', 'how are you']]);
+    });
+
+    it('commits on speech_final and keeps start/end and words of the merged turn', () => {
+        const states = replay(singleSpeaker);
+        const last = states[states.length - 1];
+
+        expect(texts(last)).toEqual(['0: Hello there. How are you?']);
+        expect(last.segments[0]).toMatchObject({ start: 0.08, end: 2.5 });
+        expect(last.segments[0].words).toHaveLength(5);
+        expect(last.interim).toEqual({});
+    });
+
+    it('an empty speech_final only closes the tail', () => {
+        const states = replay(singleSpeaker);
+        expect(states[6].segments).toEqual(states[5].segments);
+    });
+
+    it('keeps one tail per speaker and splits finals into turns', () => {
+        const states = replay(twoSpeakers);
+
+        expect(Object.keys(states[1].interim)).toEqual(['0', '1']);
+        expect(display(states[1])).toEqual([[0, '', 'so what'], [1, '', 'yes exactly']]);
+
+        expect(texts(states[2])).toEqual(['0: So what?', '1: Yes, exactly.']);
+        // Same speaker again: merged into the open turn
+        expect(texts(states[4])).toEqual(['0: So what?', '1: Yes, exactly. Right.']);
+        expect(texts(states[6])).toEqual(['0: So what?', '1: Yes, exactly. Right.', '0: Okay.']);
+    });
+
+    it('drops repeated and out-of-order finals', () => {
+        const states = replay(duplicateFinals);
+
+        // Verbatim repeat of the first final
+        expect(states[2]).toBe(states[1]);
+        // A partial after the repeat still shows
+        expect(display(states[3])).toEqual([[0, 'First part. Second part.', 'second part again']]);
+        // A late final for audio already committed changes nothing, the tail included
+        expect(states[4]).toBe(states[3]);
+
+        const last = states[states.length - 1];
+        expect(texts(last)).toEqual(['0: First part. Second part. Third part.']);
+        expect(last.interim).toEqual({});
+    });
+
+    it('accepts early times again after start, load and clear', () => {
+        const [, recorded] = replay(duplicateFinals.slice(0, 2));
+
+        const restarted = replay(duplicateFinals.slice(0, 1), transcriptReducer(recorded, { type: 'start' }));
+        expect(texts(restarted[0])).toEqual(['0: First part. Second part. First part.']);
+
+        const cleared = replay(duplicateFinals.slice(0, 1), transcriptReducer(recorded, { type: 'clear' }));
+        expect(texts(cleared[0])).toEqual(['0: First part.']);
+
+        const loaded = transcriptReducer(recorded, { type: 'load', segments: [], speakerMap: { 0: 'Ann' } });
+        expect(texts(replay(duplicateFinals.slice(0, 1), loaded)[0])).toEqual(['0: First part.']);
+        expect(loaded.speakerMap).toEqual({ 0: 'Ann' });
+    });
+
+    it('picks up speaker names from words and from the relay speaker map', () => {
+        const named = twoSpeakers.slice(0, 3).map(message => structuredClone(message));
+        named[2].channel.alternatives[0].words.forEach((word) => {
+            if (word.speaker === 1) word.speaker_name = 'Ben';
+        });
+        const [state] = replay(named).slice(-1);
+        expect(state.speakerMap).toEqual({ 1: 'Ben' });
+
+        const next = transcriptReducer(state, { type: 'speakers', speakers: { 0: { name: 'Ann', confidence: 0.8 } } });
+        expect(next.speakerMap).toEqual({ 0: 'Ann', 1: 'Ben' });
+    });
+});
+
+// A final result for one speaker; words 0.5 s apart from `start`
+const final = (sentence, opts) => ({
+    type: 'transcript', words: toWords(sentence, opts), transcript: sentence, isFinal: true, speechFinal: false,
+});
+
+const run = (state, ...actions) => actions.reduce(transcriptReducer, state);
+const said = (...sentences) => run(initialTranscriptState, ...sentences.map((sentence, i) => final(sentence, { start: i * 10 })));
+const command = (name, value) => ({ type: 'command', name, value });
+
+describe('transcriptReducer commands', () => {
+    it('adds line breaks in place of the comma before the command', () => {
+        const state = run(said('Dear Ann,'), command('newParagraph'), final('Thanks.', { start: 5 }), command('newLine'), final('Bob', { start: 8 }));
+        expect(state.segments[0].text).toBe('Dear Ann\n\nThanks.\nBob');
+    });
+
+    it('deletes the last word or sentence, a line break first', () => {
+        const start = said('One two. Three four five.');
+        expect(run(start, command('deleteWord')).segments[0].text).toBe('One two. Three four');
+        expect(run(start, command('deleteSentence')).segments[0].text).toBe('One two.');
+        expect(run(start, command('newLine'), command('deleteSentence')).segments[0].text).toBe('One two. Three four five.');
+        // Nothing left: the segment goes
+        expect(run(said('Hi.'), command('deleteSentence')).segments).toEqual([]);
+    });
+
+    it('capitalizes, upper-cases and replaces the guessed punctuation of the last word', () => {
+        const start = said('Call me maybe.');
+        expect(run(start, command('capitalize')).segments[0].text).toBe('Call me Maybe.');
+        expect(run(start, command('uppercase')).segments[0].text).toBe('Call me MAYBE.');
+        expect(run(start, command('punctuate', '?')).segments[0].text).toBe('Call me maybe?');
+        expect(run(start, command('newLine'), command('punctuate', '!')).segments[0].text).toBe('Call me maybe!\n');
+    });
+
+    it('bolds the last sentence or word as Markdown emphasis, once', () => {
+        const start = said('First one. Make this bold!');
+        const bolded = run(start, command('boldSentence'));
+        expect(bolded.segments[0].text).toBe('First one. **Make this bold**!');
+        expect(bolded.segments[0].words.map(w => w.punctuated_word)).toEqual(['First', 'one.', '**Make', 'this', 'bold**!']);
+        expect(bolded.segments[0].words[4].end).toBe(2.4);
+
+        expect(run(start, command('boldWord')).segments[0].text).toBe('First one. Make this **bold**!');
+        expect(run(bolded, command('boldSentence'))).toMatchObject({ segments: bolded.segments, history: bolded.history });
+    });
+
+    it('undoes commands and dictation step by step within the speaker turn', () => {
+        const typed = said('One two.', 'Three four.');
+        const edited = run(typed, command('deleteWord'), command('uppercase'));
+        expect(edited.segments[0].text).toBe('One two. THREE');
+
+        const once = run(edited, command('undo'));
+        expect(once.segments[0].text).toBe('One two. Three');
+        const twice = run(once, command('undo'));
+        expect(twice.segments[0].text).toBe('One two. Three four.');
+        const thrice = run(twice, command('undo'));
+        expect(thrice.segments[0].text).toBe('One two.');
+    });
+
+    it('does not undo into an earlier speaker turn', () => {
+        const state = run(said('Ann speaks.'), final('Ben answers.', { speaker: 1, start: 5 }));
+        expect(state.history).toEqual([]);
+        expect(run(state, command('undo')).segments).toBe(state.segments);
+    });
+
+    it('commands clear the interim tails and change nothing without words', () => {
+        const partial = { ...final('still talking', { start: 5 }), isFinal: false };
+        const state = run(said('Done.'), partial);
+        expect(Object.keys(state.interim)).toEqual(['0']);
+        expect(run(state, command('newLine')).interim).toEqual({});
+
+        const empty = run(initialTranscriptState, command('deleteWord'));
+        expect(empty.segments).toEqual([]);
+        expect(empty.history).toEqual([]);
+        expect(run(initialTranscriptState, command('stop')).segments).toEqual([]);
+    });
+
+    it('forgets the undo history on load and clear', () => {
+        const edited = run(said('One two.'), command('deleteWord'));
+        expect(edited.history).toHaveLength(2);
+        expect(run(edited, { type: 'clear' }).history).toEqual([]);
+        expect(run(edited, { type: 'load', segments: [] }).history).toEqual([]);
+    });
+});
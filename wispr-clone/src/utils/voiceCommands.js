@@ -0,0 +1,108 @@
+/**
+ * Spoken editing commands in finalized transcripts ("new paragraph", "delete that", "question mark").
+ * parseCommands() splits the words of one final result into text and commands; the transcript reducer
+ * runs the commands (see the `command` action in transcriptReducer.js).
+ *
+ * Phrases that are also common in prose only count when they are the whole result, i.e. spoken
+ * on their own: a bare "period" or "undo" is a command, "the period of time" is text.
+ *
+ * Pure module: no React, no I/O.
+ */
+
+const PUNCTUATION = {
+    period: '.',
+    'full stop': '.',
+    comma: ',',
+    'question mark': '?',
+    'exclamation mark': '!',
+    'exclamation point': '!',
+    colon: ':',
+    semicolon: ';',
+    ellipsis: '…',
+};
+
+/**
+ * Every phrase with its command: { phrase, name, value?, alone? }. `alone`: only as a whole result.
+ */
+export const COMMANDS = [
+    { phrase: 'new line', name: 'newLine' },
+    { phrase: 'next line', name: 'newLine' },
+    { phrase: 'new paragraph', name: 'newParagraph' },
+    { phrase: 'next paragraph', name: 'newParagraph' },
+    { phrase: 'delete last sentence', name: 'deleteSentence' },
+    { phrase: 'delete the last sentence', name: 'deleteSentence' },
+    { phrase: 'delete that', name: 'deleteSentence' },
+    { phrase: 'delete last word', name: 'deleteWord' },
+    { phrase: 'delete the last word', name: 'deleteWord' },
+    { phrase: 'bold that', name: 'boldSentence' },
+    { phrase: 'bold last sentence', name: 'boldSentence' },
+    { phrase: 'bold last word', name: 'boldWord' },
+    { phrase: 'undo that', name: 'undo' },
+    { phrase: 'undo', name: 'undo', alone: true },
+    { phrase: 'capitalize that', name: 'capitalize' },
+    { phrase: 'capitalize last word', name: 'capitalize' },
+    { phrase: 'all caps that', name: 'uppercase' },
+    { phrase: 'uppercase that', name: 'uppercase' },
+    { phrase: 'stop listening', name: 'stop' },
+    { phrase: 'stop dictation', name: 'stop' },
+    ...Object.entries(PUNCTUATION).flatMap(([spoken, mark]) => [
+        { phrase: `insert ${spoken}`, name: 'punctuate', value: mark },
+        // "question mark" is hardly ever meant literally, "period" and "colon" often are
+        { phrase: spoken, name: 'punctuate', value: mark, alone: !spoken.includes(' ') },
+    ]),
+].map(command => ({ ...command, tokens: command.phrase.split(' ') }))
+    .sort((a, b) => b.tokens.length - a.tokens.length); // Longest phrase wins
+
+const LABELS = {
+    newLine: 'New line',
+    newParagraph: 'New paragraph',
+    deleteSentence: 'Deleted the last sentence',
+    deleteWord: 'Deleted the last word',
+    boldSentence: 'Bolded the last sentence',
+    boldWord: 'Bolded the last word',
+    undo: 'Undone',
+    capitalize: 'Capitalized',
+    uppercase: 'All caps',
+    stop: 'Stopped listening',
+};
+
+const normalize = (word) => (word.word || word.punctuated_word || '').toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, '');
+
+/**
+ * @param {Array<{ word: string, punctuated_word?: string }>} words - Words of one final result.
+ * @returns {Array<{ type: 'text', words: Array } | { type: 'command', name: string, value?: string, words: Array }>}
+ *   In spoken order; consecutive text words are grouped.
+ */
+export function parseCommands(words) {
+    if (!words || words.length === 0) return [];
+    const tokens = words.map(normalize);
+    const parts = [];
+    let text = [];
+
+    let i = 0;
+    while (i < words.length) {
+        const match = COMMANDS.find(command => (!command.alone || command.tokens.length === tokens.length)
+            && command.tokens.every((token, offset) => tokens[i + offset] === token));
+
+        if (match) {
+            if (text.length > 0) parts.push({ type: 'text', words: text });
+            text = [];
+            const command = { type: 'command', name: match.name, words: words.slice(i, i + match.tokens.length) };
+            if (match.value !== undefined) command.value = match.value;
+            parts.push(command);
+            i += match.tokens.length;
+        } else {
+            text.push(words[i]);
+            i++;
+        }
+    }
+    if (text.length > 0) parts.push({ type: 'text', words: text });
+    return parts;
+}
+
+/**
+ * Short confirmation shown when a command runs, e.g. "New paragraph" or 'Inserted "?"'.
+ */
+export function describeCommand({ name, value }) {
+    return name === 'punctuate' ? `Inserted "${value}"` : LABELS[name] || name;
+}
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { COMMANDS, parseCommands, describeCommand } from './voiceCommands';
+import { toWords } from './__fixtures__/words';
+
+// Parts as [type, name or text]
+const summary = (parts) => parts.map(part => (part.type === 'text'
+    ? ['text', part.words.map(w => w.punctuated_word).join(' ')]
+    : ['command', part.name, ...(part.value !== undefined ? [part.value] : [])]));
+
+describe('parseCommands', () => {
+    it('splits text and commands in spoken order', () => {
+        expect(summary(parseCommands(toWords('Dear Ann, new paragraph. Thanks for the notes. New line, best, Bob.')))).toEqual([
+            ['text', 'Dear Ann,'],
+            ['command', 'newParagraph'],
+            ['text', 'Thanks for the notes.'],
+            ['command', 'newLine'],
+            ['text', 'best, Bob.'],
+        ]);
+    });
+
+    it('prefers the longest phrase', () => {
+        expect(summary(parseCommands(toWords('Delete the last sentence.')))).toEqual([['command', 'deleteSentence']]);
+        expect(summary(parseCommands(toWords('Delete last word.')))).toEqual([['command', 'deleteWord']]);
+        expect(summary(parseCommands(toWords('Question mark.')))).toEqual([['command', 'punctuate', '?']]);
+    });
+
+    it('takes single words that are also prose only when said alone', () => {
+        expect(summary(parseCommands(toWords('Period.')))).toEqual([['command', 'punctuate', '.']]);
+        expect(summary(parseCommands(toWords('Undo.')))).toEqual([['command', 'undo']]);
+        expect(summary(parseCommands(toWords('The period of time.')))).toEqual([['text', 'The period of time.']]);
+        expect(summary(parseCommands(toWords('I want to undo it.')))).toEqual([['text', 'I want to undo it.']]);
+    });
+
+    it('inserts any named punctuation with "insert"', () => {
+        expect(summary(parseCommands(toWords('Wait insert comma then go')))).toEqual([
+            ['text', 'Wait'],
+            ['command', 'punctuate', ','],
+            ['text', 'then go'],
+        ]);
+    });
+
+    it('recognizes editing, bold and stop commands', () => {
+        const names = (sentence) => parseCommands(toWords(sentence)).map(part => part.name);
+        expect(names('Capitalize that.')).toEqual(['capitalize']);
+        expect(names('All caps that.')).toEqual(['uppercase']);
+        expect(names('Bold that.')).toEqual(['boldSentence']);
+        expect(names('Bold last word.')).toEqual(['boldWord']);
+        expect(names('Undo that.')).toEqual(['undo']);
+        expect(names('Stop listening.')).toEqual(['stop']);
+    });
+
+    it('keeps the words each command was said with', () => {
+        const [, command] = parseCommands(toWords('Hello new line'));
+        expect(command.words.map(w => w.punctuated_word)).toEqual(['new', 'line']);
+    });
+
+    it('returns nothing for no words', () => {
+        expect(parseCommands([])).toEqual([]);
+        expect(parseCommands(undefined)).toEqual([]);
+    });
+});
+
+describe('COMMANDS', () => {
+    it('is sorted longest phrase first and every phrase has a label', () => {
+        const lengths = COMMANDS.map(command => command.tokens.length);
+        expect(lengths).toEqual([...lengths].sort((a, b) => b - a));
+        COMMANDS.forEach(command => expect(describeCommand(command)).not.toBe(command.name));
+    });
+
+    it('describes punctuation with the mark inserted', () => {
+        expect(describeCommand({ name: 'punctuate', value: '?' })).toBe('Inserted "?"');
+        expect(describeCommand({ name: 'newParagraph' })).toBe('New paragraph');
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * AudioWorklet processor for microphone capture. Runs on the audio rendering thread, so a busy
+ * main thread (e.g. React re-rendering a long transcript) can no longer starve capture.
+ *
+ * Resamples from the context's native rate (`sampleRate` global) to 16 kHz, converts to Int16 PCM
+ * and posts fixed-size frames to the main thread as transferable ArrayBuffers.
+ *
+ * processorOptions: { targetSampleRate = 16000, frameMs = 40 }
+ * Port messages in: { type: 'flush' } posts the partial last frame, then { type: 'flushed' }.
+ */
+import { createResampler, createFrameBuffer, frameSizeFor, DEFAULT_FRAME_MS } from '../utils/resampler';
+import { floatTo16BitPCM, TARGET_SAMPLE_RATE } from '../utils/audio';
+
+class PcmCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetSampleRate = TARGET_SAMPLE_RATE, frameMs = DEFAULT_FRAME_MS } = options.processorOptions || {};
+
+        this.resampler = createResampler(sampleRate, targetSampleRate);
+        this.frames = createFrameBuffer(frameSizeFor(targetSampleRate, frameMs));
+
+        this.port.onmessage = (event) => {
+            if (event.data?.type === 'flush') {
+                const rest = this.frames.flush();
+                if (rest) this.port.postMessage(rest.buffer, [rest.buffer]);
+                this.port.postMessage({ type: 'flushed' });
+            }
+        };
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        // No input while the track is muted or not yet connected; keep the node alive
+        if (!channel) return true;
+
+        const pcm = floatTo16BitPCM(this.resampler.process(channel));
+        this.frames.push(pcm).forEach(frame => {
+            this.port.postMessage(frame.buffer, [frame.buffer]);
+        });
+        return true;
+    }
+}
+
+registerProcessor('pcm-capture', PcmCaptureProcessor);
@@ -29,4 +29,8 @@ export default defineConfig(async () => ({
     },
   },
   envPrefix: ['VITE_', 'TAURI_ENV_*'],
+  // Unit tests of the pure modules; the backend services run theirs with `node --test`
+  test: {
+    include: ['src/**/*.test.{js,jsx}'],
+  },
 }));